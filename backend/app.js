@@ -0,0 +1,588 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const http = require('http');
+const { performance } = require('perf_hooks');
+const { Server } = require('socket.io');
+
+const Zone = require('./models/Zone');
+const Cluster = require('./models/Cluster');
+const { ZoneFlow, ZoneTransition } = require('./models/ZoneFlow');
+const { applyDBSCAN } = require('./services/clustering');
+const { createZoneRegistry } = require('./services/zoneRegistry');
+const { createStatusTracker } = require('./services/statusTracker');
+const { createAlertEngine } = require('./services/alertEngine');
+const { createNotifier } = require('./services/notifier');
+const { createAnomalyDetector } = require('./services/anomalyDetector');
+const { createForecaster } = require('./services/forecasting');
+const { createRetentionService } = require('./services/retention');
+const { createSummaryService } = require('./services/summary');
+const { createFlowTracker } = require('./services/flowTracker');
+const { createReportService } = require('./services/reports');
+const { createAnalyticsService } = require('./services/analytics');
+const { createZoneBroadcaster } = require('./services/zoneBroadcaster');
+const { createReplayer } = require('./services/replayer');
+const { createWriteBuffer, isDatabaseConnected } = require('./services/writeBuffer');
+const { createSnapshotCache } = require('./services/snapshotCache');
+const { createMetrics } = require('./services/metrics');
+const logger = require('./services/logger');
+const createZoneDefinitionRouter = require('./routes/zoneDefinitions');
+const createAlertRouter = require('./routes/alerts');
+const createAlertRuleRouter = require('./routes/alertRules');
+const createAnomalyRouter = require('./routes/anomalies');
+const createNotificationRouter = require('./routes/notifications');
+const createForecastRouter = require('./routes/forecast');
+const createHistoryRouter = require('./routes/history');
+const createFlowRouter = require('./routes/flows');
+const createExportRouter = require('./routes/export');
+const createReportRouter = require('./routes/reports');
+const createAnalyticsRouter = require('./routes/analytics');
+const createFloorPlanRouter = require('./routes/floorPlans');
+const createAuthRouter = require('./routes/auth');
+const { ensureAdminUser } = require('./services/auth');
+const { authenticate, requireIngestKey, authenticateSocket } = require('./middleware/auth');
+const requestContext = require('./middleware/requestContext');
+const { createDataSource } = require('./sources');
+
+const DEFAULT_MONGODB_URI = 'mongodb://localhost:27017/crowd_management';
+
+// How often a new reading is taken from the data source and broadcast
+const UPDATE_INTERVAL = Number(process.env.SOCKET_UPDATE_INTERVAL) || 5000;
+// Wait before retrying a failed first connection to MongoDB; doubles with
+// every failure up to the maximum
+const CONNECT_RETRY_MS = 1000;
+const CONNECT_RETRY_MAX_MS = 30000;
+
+const secondsSince = (started) => (performance.now() - started) / 1000;
+
+// Builds the HTTP + Socket.IO server without starting anything, so it can be
+// started and stopped on demand (and more than once, e.g. in tests).
+//
+// options:
+//   now            - clock shared by every service (default Date.now)
+//   dataSource     - reading source (default: from DATA_SOURCE, see sources/)
+//   mongoUri       - database to connect to (default MONGODB_URI)
+//   updateInterval - ms between update cycles; 0 leaves cycles to
+//                    runUpdateCycle() (default 5000)
+//   corsOrigins    - allowed dashboard origins (default CORS_ORIGIN)
+function createServer(options = {}) {
+  // Data source (simulator, scenario, Wi-Fi log tail, HTTP push or device
+  // sightings), chosen via DATA_SOURCE
+  const dataSource = options.dataSource || createDataSource();
+  const now = options.now || Date.now;
+  const mongoUri = options.mongoUri || process.env.MONGODB_URI || DEFAULT_MONGODB_URI;
+  const updateInterval = options.updateInterval !== undefined ? options.updateInterval : UPDATE_INTERVAL;
+  // Allowed dashboard origins (comma-separated)
+  const corsOrigins = options.corsOrigins ||
+    (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',').map(o => o.trim());
+
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: corsOrigins,
+      methods: ["GET", "POST"]
+    }
+  });
+
+  // Middleware
+  app.use(cors({ origin: corsOrigins }));
+  app.use(express.json());
+  app.use(requestContext);
+
+  if (dataSource.router) {
+    if (!process.env.INGEST_API_KEY) {
+      logger.warn('⚠️  INGEST_API_KEY is not set - /api/ingest will refuse all pushes');
+    }
+    app.use('/api/ingest', requireIngestKey, dataSource.router);
+  }
+
+  // Authentication: login is public, every other /api route needs a token
+  // End the live sessions of users that were disabled, deleted or had
+  // their role changed; their next handshake is checked again
+  app.use('/api/auth', createAuthRouter({
+    onUserRevoked(userId) {
+      for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.user && socket.data.user.id === userId) socket.disconnect(true);
+      }
+    }
+  }));
+  app.use('/api', authenticate);
+  io.use(authenticateSocket);
+
+  // Zone registry (stored in MongoDB, managed via /api/zone-definitions);
+  // a scenario's own zones are seeded into an empty registry
+  const zoneRegistry = createZoneRegistry(dataSource.zones ? { defaults: dataSource.zones } : {});
+  const statusTracker = createStatusTracker({ now });
+  zoneRegistry.on('change', (zones) => {
+    statusTracker.prune(zones.map(z => z.id));
+    io.emit('zoneDefinitionsUpdate', zones);
+  });
+  app.use('/api/zone-definitions', createZoneDefinitionRouter(zoneRegistry));
+  app.use('/api/floor-plans', createFloorPlanRouter());
+
+  // Per-subscription Socket.IO rooms receiving sequence-numbered zone deltas
+  const zoneBroadcaster = createZoneBroadcaster(io, zoneRegistry, { now });
+
+  // On-demand replay of stored zone readings, one session per socket
+  const replayer = createReplayer(zoneRegistry, { now });
+
+  // Alerting engine (rules managed via /api/alert-rules) and outbound
+  // notification channels (managed via /api/notifications/channels)
+  const alertEngine = createAlertEngine({ now });
+  const notifier = createNotifier({ now });
+  alertEngine.on('alert', (action, alert) => {
+    io.emit('alert', { action, alert });
+    notifier.notify(action, alert).catch(err => {
+      logger.error('❌ Error sending alert notifications', { error: err.message });
+    });
+  });
+  app.use('/api/alerts', createAlertRouter(alertEngine));
+  app.use('/api/alert-rules', createAlertRuleRouter(alertEngine));
+  app.use('/api/notifications', createNotificationRouter(notifier));
+
+  // Occupancy far from each zone's usual level for the time of day / week
+  const anomalyDetector = createAnomalyDetector({ now });
+  anomalyDetector.on('anomaly', (action, anomaly) => {
+    io.emit('anomaly', { action, anomaly });
+  });
+  app.use('/api/anomalies', createAnomalyRouter());
+
+  // Population forecasts trained on stored zone history
+  app.use('/api/forecast', createForecastRouter(createForecaster({ now }), zoneRegistry));
+
+  // Capacity planning: utilisation heatmaps, time per status, peak hours
+  // and capacity recommendations from the stored history
+  const analytics = createAnalyticsService({ now, getZones: () => zoneRegistry.getZones() });
+  app.use('/api/analytics', createAnalyticsRouter(analytics, zoneRegistry));
+
+  // Readings written while MongoDB is unreachable wait here (in memory,
+  // then in WRITE_BUFFER_SPILL_DIR) and are written once it is back
+  const writeBuffer = createWriteBuffer({ Zone, Cluster, ZoneFlow, ZoneTransition }, { now });
+
+  // Prometheus metrics, served at /metrics
+  const metrics = createMetrics({
+    socketClients: () => io.engine.clientsCount,
+    writeBufferDepth: () => writeBuffer.stats().depth
+  });
+  writeBuffer.on('write', metrics.observeWrite);
+
+  // Raw reading retention (TTL) and minute/hour/day rollups
+  const retention = createRetentionService({ now, hasPendingWrites: () => writeBuffer.stats().depth > 0 });
+
+  // Daily / weekly occupancy reports written to REPORTS_DIR
+  const reports = createReportService({ now, getZones: () => zoneRegistry.getZones() });
+
+  // Latest readings, served while MongoDB is unreachable
+  const snapshotCache = createSnapshotCache();
+
+  // Inflow / outflow per zone and movements between zones
+  const flowTracker = createFlowTracker({ now, writeBuffer });
+
+  // Summary statistics, compared with one hour ago and last week
+  const summaryService = createSummaryService({ now });
+
+  // Save zone data to MongoDB
+  async function saveZoneData(zoneData) {
+    try {
+      if (await writeBuffer.write('Zone', zoneData)) {
+        logger.debug('📊 Zone data saved to MongoDB');
+      } else {
+        logger.warn('💾 Zone data buffered', { depth: writeBuffer.stats().depth });
+      }
+    } catch (error) {
+      logger.error('❌ Error saving zone data', { error });
+    }
+  }
+
+  // Save DBSCAN hotspots to MongoDB
+  async function saveClusterData(clusters) {
+    try {
+      await writeBuffer.write('Cluster', clusters);
+    } catch (error) {
+      logger.error('❌ Error saving cluster data', { error });
+    }
+  }
+
+  // Answer from MongoDB, or from the snapshot cache while it is unreachable
+  // (or failing and the cache has something to offer)
+  async function fromDatabaseOrCache(query, fromCache) {
+    if (isDatabaseConnected()) {
+      try {
+        return { data: await query(), source: 'database' };
+      } catch (error) {
+        if (!snapshotCache.updatedAt()) throw error;
+        logger.error('❌ Database query failed, answering from cache', { error: error.message });
+      }
+    }
+    return { data: fromCache(), source: 'cache' };
+  }
+
+  // One real-time cycle: read, cluster, store and broadcast
+  async function runUpdateCycle() {
+    const started = performance.now();
+    logger.debug('🔄 Generating new crowd data...');
+
+    // Read network activity from the configured source
+    const zones = zoneRegistry.getZones();
+    const networkData = await dataSource.read(zones);
+
+    // Apply DBSCAN clustering
+    const clusteringStarted = performance.now();
+    const { zones: clusteredData, clusters } = applyDBSCAN(networkData, zones, statusTracker, new Date(now()));
+    metrics.observeDbscan(secondsSince(clusteringStarted));
+    metrics.recordZones(clusteredData);
+
+    // Save to MongoDB, keeping the latest readings at hand in case it is down
+    snapshotCache.update(clusteredData, clusters);
+    await saveZoneData(clusteredData);
+    await saveClusterData(clusters);
+
+    // Estimate movement into, out of and between zones
+    await flowTracker.record(networkData, dataSource.deviceZones ? dataSource.deviceZones() : null);
+
+    // Send zone deltas to subscribed rooms, hotspots to everyone
+    zoneBroadcaster.publish(clusteredData);
+    io.emit('clusterUpdate', clusters);
+
+    // Alerts and anomalies are stored as they are raised; while MongoDB is
+    // unreachable their writes would only stall the cycle, so they wait
+    if (isDatabaseConnected()) {
+      // Raise, escalate or resolve alerts
+      try {
+        await alertEngine.evaluate(clusteredData);
+      } catch (error) {
+        logger.error('❌ Error evaluating alerts', { error: error.message });
+      }
+
+      // Score readings against each zone's usual pattern
+      try {
+        await anomalyDetector.evaluate(clusteredData);
+      } catch (error) {
+        logger.error('❌ Error detecting anomalies', { error: error.message });
+      }
+    } else {
+      logger.debug('⏭️  MongoDB unreachable, skipping alerts and anomaly detection');
+    }
+
+    const duration = secondsSince(started);
+    metrics.observeUpdateCycle(duration);
+    logger.info('✅ Data broadcasted to clients', {
+      zones: clusteredData.length,
+      clusters: clusters.length,
+      durationMs: Math.round(duration * 1000)
+    });
+  }
+
+  // REST API Endpoints
+
+  // Zone history with time ranges and downsampling
+  app.use('/api/history', createHistoryRouter(retention));
+
+  app.use('/api/flows', createFlowRouter(flowTracker, zoneRegistry));
+
+  // CSV / NDJSON history downloads and the scheduled reports
+  app.use('/api/export', createExportRouter(retention, zoneRegistry));
+  app.use('/api/reports', createReportRouter(reports));
+
+  // Get latest zone data
+  app.get('/api/zones', async (req, res) => {
+    try {
+      const zoneIds = zoneRegistry.getZones().map(z => z.id);
+      const { data: zones, source } = await fromDatabaseOrCache(() => Zone.aggregate([
+        { $match: { zoneId: { $in: zoneIds } } },
+        { $sort: { timestamp: -1 } },
+        {
+          $group: {
+            _id: '$zoneId',
+            zoneName: { $first: '$zoneName' },
+            population: { $first: '$population' },
+            deviceCount: { $first: '$deviceCount' },
+            density: { $first: '$density' },
+            cluster: { $first: '$cluster' },
+            capacity: { $first: '$capacity' },
+            status: { $first: '$status' },
+            timestamp: { $first: '$timestamp' }
+          }
+        }
+      ]), () => snapshotCache.getZones(zoneIds));
+
+      res.json({
+        success: true,
+        data: zones,
+        source,
+        timestamp: new Date(now())
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get hotspot clusters from the latest update cycle
+  app.get('/api/clusters', async (req, res) => {
+    try {
+      const { data: clusters, source } = await fromDatabaseOrCache(
+        () => Cluster.getLatestClusters(),
+        () => snapshotCache.getClusters()
+      );
+
+      res.json({
+        success: true,
+        data: clusters,
+        count: clusters.length,
+        source
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get summary statistics, compared with one hour ago and last week
+  app.get('/api/summary', async (req, res) => {
+    try {
+      const zoneIds = zoneRegistry.getZones().map(z => z.id);
+      const { data: summary, source } = await fromDatabaseOrCache(
+        () => summaryService.getSummary(zoneIds),
+        () => summaryService.getCachedSummary(zoneIds, snapshotCache.getZones(zoneIds))
+      );
+
+      res.json({
+        success: true,
+        summary,
+        source
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Socket.IO connection handling
+  io.on('connection', (socket) => {
+    logger.info('👤 Client connected', { socketId: socket.id, user: socket.data.user.username });
+
+    socket.on('disconnect', () => {
+      logger.info('👋 Client disconnected', { socketId: socket.id });
+    });
+
+    zoneBroadcaster.attach(socket);
+    replayer.attach(socket);
+  });
+
+  // Health check endpoint; DEGRADED while readings can't be stored
+  app.get('/health', (req, res) => {
+    const { lastWriteAt, ...buffer } = writeBuffer.stats();
+    res.json({
+      status: isDatabaseConnected() ? 'OK' : 'DEGRADED',
+      timestamp: new Date(now()),
+      uptime: process.uptime(),
+      database: {
+        state: mongoose.STATES[mongoose.connection.readyState],
+        lastWriteAt
+      },
+      writeBuffer: buffer
+    });
+  });
+
+  // Prometheus scrape endpoint (public, like /health)
+  app.get('/metrics', async (req, res) => {
+    try {
+      const body = await metrics.render();
+      res.set('Content-Type', metrics.contentType);
+      res.end(body);
+    } catch (error) {
+      res.status(500).end(error.message);
+    }
+  });
+
+  // Handle MongoDB connection issues
+  const onConnectionError = (err) => {
+    logger.error('❌ MongoDB connection error', { error: err.message });
+  };
+  const onDisconnected = () => {
+    logger.warn('⚠️  MongoDB disconnected');
+  };
+  // Load what lives in the database on the first connection and write what
+  // was buffered whenever the connection is back
+  const onConnected = () => {
+    loadDatabase();
+    writeBuffer.flush();
+  };
+
+  let running = false;
+  let databaseLoaded = null;
+  let connectRetryTimer = null;
+
+  // Connect, retrying with backoff until stop() while MongoDB is not up -
+  // Mongoose only reconnects connections that succeeded once. Resolves after
+  // the first attempt: once the database is loaded when it succeeded, right
+  // away when it failed, with the server running without storage meanwhile.
+  async function connectDatabase() {
+    mongoose.connection.on('error', onConnectionError);
+    mongoose.connection.on('disconnected', onDisconnected);
+    mongoose.connection.on('connected', onConnected);
+    mongoose.connection.on('reconnected', onConnected);
+
+    if (await tryConnect(CONNECT_RETRY_MS)) {
+      await loadDatabase();
+    }
+  }
+
+  async function tryConnect(retryIn) {
+    try {
+      await mongoose.connect(mongoUri);
+      if (running) return true;
+      // stop() was called while connecting
+      await mongoose.disconnect();
+      return false;
+    } catch (err) {
+      if (!running) return false;
+      // Retries report their errors through the connection's error event
+      if (retryIn === CONNECT_RETRY_MS) {
+        logger.error('❌ MongoDB Connection Error', { error: err.message });
+        logger.error('💡 MongoDB is not running or not installed.');
+        logger.error('   Option 1: Install MongoDB locally');
+        logger.error('   Option 2: Use MongoDB Atlas (cloud): https://cloud.mongodb.com');
+        logger.error('   Option 3: Run with Docker: docker run -d -p 27017:27017 mongo');
+      }
+      logger.info(`🔁 Retrying the MongoDB connection in ${retryIn / 1000}s`);
+      connectRetryTimer = setTimeout(() => {
+        connectRetryTimer = null;
+        tryConnect(Math.min(retryIn * 2, CONNECT_RETRY_MAX_MS));
+      }, retryIn);
+      return false;
+    }
+  }
+
+  // Load everything that lives in the database, once per start()
+  function loadDatabase() {
+    if (databaseLoaded) return databaseLoaded;
+
+    logger.info('✅ MongoDB Connected');
+    const loaders = [
+      ensureAdminUser().catch(err => {
+        logger.error('❌ Error creating admin user', { error: err.message });
+      }),
+      zoneRegistry.init().catch(err => {
+        logger.error('❌ Error loading zone registry', { error: err.message });
+      }),
+      alertEngine.init().catch(err => {
+        logger.error('❌ Error loading alert rules', { error: err.message });
+      }),
+      notifier.init().catch(err => {
+        logger.error('❌ Error loading notification channels', { error: err.message });
+      }),
+      anomalyDetector.init().catch(err => {
+        logger.error('❌ Error loading anomalies', { error: err.message });
+      }),
+      retention.init()
+        .then(() => retention.start())
+        .catch(err => {
+          logger.error('❌ Error setting up data retention', { error: err.message });
+        })
+    ];
+    reports.start();
+    databaseLoaded = Promise.all(loaders);
+    return databaseLoaded;
+  }
+
+  let updateTimer = null;
+
+  // Run a cycle every updateInterval ms. The next one is only scheduled once
+  // the previous one finished, so a slow cycle delays the next instead of
+  // overlapping it.
+  function scheduleUpdateCycle() {
+    const timer = setTimeout(async () => {
+      try {
+        await runUpdateCycle();
+      } catch (err) {
+        metrics.countUpdateFailure();
+        logger.error('❌ Error in update cycle', { error: err.message });
+      }
+      // Unless stop() was called meanwhile
+      if (updateTimer === timer) scheduleUpdateCycle();
+    }, updateInterval);
+    updateTimer = timer;
+  }
+
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        logger.info(`🚀 Server running on port ${server.address().port}`);
+        logger.info('📡 Socket.IO server active');
+
+        // Start collecting from the data source
+        dataSource.start(zoneRegistry.getZones());
+        logger.info(`📥 Data source: ${dataSource.name}`);
+
+        writeBuffer.start();
+
+        // Start real-time updates
+        if (updateInterval > 0) {
+          scheduleUpdateCycle();
+        }
+        resolve(server.address().port);
+      });
+    });
+  }
+
+  // Listen on `port` (0 picks a free one) while connecting to MongoDB;
+  // resolves once listening and the first connection attempt are done
+  async function start(port = process.env.PORT || 5000) {
+    running = true;
+    databaseLoaded = null;
+    const [listeningOn] = await Promise.all([listen(port), connectDatabase()]);
+    return listeningOn;
+  }
+
+  // Stop the update loop, background jobs and the data source, disconnect
+  // every client, write out the flow interval in progress and buffered
+  // readings and close the database connection
+  async function stop() {
+    running = false;
+    clearTimeout(connectRetryTimer);
+    connectRetryTimer = null;
+    clearTimeout(updateTimer);
+    updateTimer = null;
+    dataSource.stop();
+    retention.stop();
+    reports.stop();
+
+    await new Promise(resolve => io.close(() => resolve()));
+    await flowTracker.stop();
+    await writeBuffer.flush();
+    writeBuffer.stop();
+    // Disconnecting waits for a connection attempt still in progress to
+    // time out, so only an established connection is closed
+    if (mongoose.connection.readyState === mongoose.STATES.connected) {
+      await mongoose.disconnect();
+    }
+    mongoose.connection.off('error', onConnectionError);
+    mongoose.connection.off('disconnected', onDisconnected);
+    mongoose.connection.off('connected', onConnected);
+    mongoose.connection.off('reconnected', onConnected);
+  }
+
+  return {
+    app,
+    server,
+    io,
+    zoneRegistry,
+    writeBuffer,
+    start,
+    stop,
+    runUpdateCycle
+  };
+}
+
+module.exports = { createServer };
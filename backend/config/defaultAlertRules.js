@@ -0,0 +1,36 @@
+// Alert rules seeded the first time the server starts.
+// After that, rules are managed through /api/alert-rules.
+const DEFAULT_ALERT_RULES = [
+  {
+    name: 'Zone overcrowded',
+    type: 'status',
+    status: 'overcrowded',
+    severity: 'warning',
+    escalateAfterMinutes: 5
+  },
+  {
+    name: 'Zone at critical capacity',
+    type: 'status',
+    status: 'critical',
+    severity: 'critical',
+    escalateAfterMinutes: 2
+  },
+  {
+    name: 'Sustained high occupancy',
+    type: 'occupancy',
+    threshold: 80,
+    durationMinutes: 10,
+    severity: 'warning',
+    escalateAfterMinutes: 10
+  },
+  {
+    name: 'Rapid inflow',
+    type: 'inflow',
+    threshold: 25,
+    durationMinutes: 5,
+    severity: 'warning',
+    escalateAfterMinutes: 5
+  }
+];
+
+module.exports = DEFAULT_ALERT_RULES;
@@ -0,0 +1,20 @@
+// Zones seeded into the zone registry the first time the server starts.
+// After that, zones are managed through /api/zone-definitions.
+//
+// position/spread are approximate campus-map coordinates in metres, used to
+// place devices for DBSCAN. Access points named "<zoneId>-..." map to their
+// zone automatically; list any others under accessPoints (optionally as
+// { id, position }). Add `dbscan: { epsilon, minPoints }` to tune a zone.
+const DEFAULT_ZONES = [
+  { zoneId: 'AB1', name: 'AB1', capacity: 5880, position: [100, 100], spread: 60, thresholdProfile: 'academic' },
+  { zoneId: 'AB2', name: 'AB2', capacity: 250, position: [220, 100], spread: 30, thresholdProfile: 'academic' },
+  { zoneId: 'AB3', name: 'AB3', capacity: 5880, position: [100, 240], spread: 60, thresholdProfile: 'academic' },
+  { zoneId: 'AB4', name: 'AB4', capacity: 5880, position: [220, 240], spread: 60, thresholdProfile: 'academic' },
+  { zoneId: 'Library', name: 'Library', capacity: 300, position: [360, 170], spread: 30, thresholdProfile: 'library' },
+  { zoneId: 'Admin', name: 'Admin Block', capacity: 250, position: [480, 100], spread: 25, thresholdProfile: 'default' },
+  { zoneId: 'North', name: 'North Square', capacity: 200, position: [360, 300], spread: 30, thresholdProfile: 'outdoor' },
+  { zoneId: 'Gazebo', name: 'Gazebo', capacity: 200, position: [460, 300], spread: 20, thresholdProfile: 'outdoor' },
+  { zoneId: 'MBA', name: 'MBA Amphitheater', capacity: 150, position: [560, 220], spread: 20, thresholdProfile: 'amphitheater' }
+];
+
+module.exports = DEFAULT_ZONES;
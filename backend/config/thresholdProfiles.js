@@ -0,0 +1,20 @@
+// Occupancy thresholds (% of capacity) at which a zone enters each status.
+// Zones pick a profile with `thresholdProfile` and may override individual
+// values with `thresholds`.
+//
+// hysteresis - percentage points a zone must drop below a threshold before
+//              it is downgraded again
+// minDwell   - how long (ms) a new status must be sustained before it is applied
+const THRESHOLD_PROFILES = {
+  default: { moderate: 60, overcrowded: 85, critical: 100, hysteresis: 5, minDwell: 15000 },
+  // Quiet study space: gets uncomfortable well before seats run out
+  library: { moderate: 50, overcrowded: 75, critical: 90, hysteresis: 5, minDwell: 30000 },
+  // Fixed seating, built to run full
+  amphitheater: { moderate: 75, overcrowded: 95, critical: 105, hysteresis: 5, minDwell: 15000 },
+  // Teaching blocks with corridors and stairwells
+  academic: { moderate: 60, overcrowded: 80, critical: 95, hysteresis: 5, minDwell: 15000 },
+  // Open-air spaces tolerate surges
+  outdoor: { moderate: 70, overcrowded: 90, critical: 110, hysteresis: 8, minDwell: 30000 }
+};
+
+module.exports = THRESHOLD_PROFILES;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { verifyToken, resolveUser, hasRole } = require('../services/auth');
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Require a valid token of an existing, enabled account; sets req.user =
+// { id, username, role } with the role as currently stored
+async function authenticate(req, res, next) {
+  let user;
+  try {
+    user = await resolveUser(verifyToken(bearerToken(req)));
+  } catch (error) {
+    return res.status(error.unavailable ? 503 : 500).json({ success: false, error: error.message });
+  }
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  req.user = user;
+  next();
+}
+
+// Require at least `role` (viewer < operator < admin)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user, role)) {
+      return res.status(403).json({ success: false, error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+// Constant-time comparison; hashing first gives equal-length buffers
+function keyMatches(sent, key) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof sent === 'string' && crypto.timingSafeEqual(digest(sent), digest(key));
+}
+
+// Devices pushing readings can't log in; they must send INGEST_API_KEY in
+// the X-API-Key header instead. Ingest is refused while no key is set.
+function requireIngestKey(req, res, next) {
+  const key = process.env.INGEST_API_KEY;
+  if (!key) {
+    return res.status(503).json({ success: false, error: 'Ingest is disabled until INGEST_API_KEY is set' });
+  }
+  if (!keyMatches(req.headers['x-api-key'], key)) {
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
+  }
+  next();
+}
+
+// Socket.IO handshake check: clients connect with { auth: { token } }
+async function authenticateSocket(socket, next) {
+  let user;
+  try {
+    user = await resolveUser(verifyToken(socket.handshake.auth && socket.handshake.auth.token));
+  } catch (error) {
+    return next(error);
+  }
+  if (!user) {
+    return next(new Error('Authentication required'));
+  }
+  socket.data.user = user;
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireIngestKey,
+  authenticateSocket
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const logger = require('../services/logger');
+
+// An X-Request-Id sent by a proxy is kept when it looks like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Polled by monitoring, so only logged at debug level
+const QUIET_PATHS = ['/health', '/metrics'];
+
+// Give every request an ID (returned in X-Request-Id and added to everything
+// logged while handling it) and log the outcome once the response is sent
+function requestContext(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = performance.now();
+  res.on('finish', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(performance.now() - started)
+    };
+    if (req.user) fields.user = req.user.username;
+
+    if (res.statusCode >= 500) {
+      logger.error('❌ Request failed', fields);
+    } else if (QUIET_PATHS.includes(fields.path)) {
+      logger.debug('🌐 Request', fields);
+    } else {
+      logger.info('🌐 Request', fields);
+    }
+  });
+
+  logger.withLogContext({ requestId: req.id }, next);
+}
+
+module.exports = requestContext;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// An alert raised by an alert rule for one zone.
+// Lifecycle: open -> acknowledged -> resolved (open alerts may also be
+// resolved directly, by an operator or once the condition clears)
+const alertSchema = new mongoose.Schema({
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  ruleName: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['status', 'occupancy', 'inflow'],
+    required: true
+  },
+  zoneId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  zoneName: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Reading that triggered the alert (status, % occupancy or % inflow)
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  state: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  escalatedAt: Date,
+  acknowledgedAt: Date,
+  acknowledgedBy: String,
+  resolvedAt: Date,
+  resolvedBy: String
+}, {
+  timestamps: true
+});
+
+alertSchema.index({ state: 1, openedAt: -1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
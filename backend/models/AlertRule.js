@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A condition that raises an alert when it holds for a zone:
+//   status    - zone reached `status` (or worse)
+//   occupancy - occupancy stayed above `threshold`% for `durationMinutes`
+//   inflow    - population grew by more than `threshold`% of capacity
+//               within `durationMinutes`
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['status', 'occupancy', 'inflow'],
+    required: true
+  },
+  // Zones the rule applies to; empty means every zone
+  zoneIds: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['moderate', 'overcrowded', 'critical'],
+    required: function() { return this.type === 'status'; }
+  },
+  threshold: {
+    type: Number,
+    min: 0,
+    required: function() { return this.type !== 'status'; }
+  },
+  durationMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  // Unacknowledged alerts are escalated after this many minutes (0 = never)
+  escalateAfterMinutes: {
+    type: Number,
+    min: 0,
+    default: 5
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Growth within a 0-minute window is always 0, so an inflow rule without a
+// window could never fire. Checked on every save, as changing `type` alone
+// wouldn't run a validator on durationMinutes.
+alertRuleSchema.pre('validate', function(next) {
+  if (this.type === 'inflow' && !(this.durationMinutes >= 1)) {
+    this.invalidate('durationMinutes', 'inflow rules need a durationMinutes of at least 1', this.durationMinutes);
+  }
+  next();
+});
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+module.exports = AlertRule;
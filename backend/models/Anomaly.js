@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A stretch of time during which a zone's population was far from its
+// usual level for that time of day / day of week. One document per
+// episode, updated while the score keeps growing.
+const anomalySchema = new mongoose.Schema({
+  zoneId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  zoneName: {
+    type: String,
+    required: true
+  },
+  // Unusually crowded (high) or unusually empty (low)
+  direction: {
+    type: String,
+    enum: ['high', 'low'],
+    required: true
+  },
+  // Peak deviation from the baseline in standard deviations (signed)
+  score: {
+    type: Number,
+    required: true
+  },
+  // Reading and baseline at the peak
+  population: Number,
+  expected: Number,
+  expectedStd: Number,
+  // Which baseline was used: same weekday and time, same time of day, or overall
+  baseline: {
+    type: String,
+    enum: ['weekly', 'daily', 'overall']
+  },
+  explanation: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active',
+    index: true
+  },
+  // When the anomaly started; indexed (with a TTL) by services/retention.js
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  peakAt: Date,
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+anomalySchema.index({ zoneId: 1, timestamp: -1 });
+
+const Anomaly = mongoose.model('Anomaly', anomalySchema);
+
+module.exports = Anomaly;
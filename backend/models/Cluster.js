@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A DBSCAN hotspot detected in one update cycle. Hotspots that straddle
+// neighbouring zones list every zone they cover.
+const clusterSchema = new mongoose.Schema({
+  clusterId: {
+    type: Number,
+    required: true
+  },
+  zoneIds: {
+    type: [String],
+    required: true,
+    index: true
+  },
+  centroid: {
+    type: [Number],
+    required: true
+  },
+  radius: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  memberCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  peakDensity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  epsilon: {
+    type: Number,
+    required: true
+  },
+  minPoints: {
+    type: Number,
+    required: true
+  },
+  // Indexed (with a TTL) by services/retention.js
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the hotspots from the most recent cycle
+clusterSchema.statics.getLatestClusters = async function() {
+  const latest = await this.findOne().sort({ timestamp: -1 });
+  if (!latest) return [];
+  return await this.find({ timestamp: latest.timestamp }).sort({ clusterId: 1 });
+};
+
+const Cluster = mongoose.model('Cluster', clusterSchema);
+
+module.exports = Cluster;
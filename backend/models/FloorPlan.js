@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+
+// A campus map or floor-plan image that zone polygons are drawn on.
+// `bounds` places the image in campus-map metres, the same coordinate
+// system as zone geometry: [minX, minY, maxX, maxY].
+const floorPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // When set, only zones in this building (and floor) are shown on the plan
+  building: {
+    type: String,
+    trim: true
+  },
+  floor: {
+    type: Number
+  },
+  bounds: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: v => v.length === 4 && v.every(Number.isFinite) && v[0] < v[2] && v[1] < v[3],
+      message: 'bounds must be [minX, minY, maxX, maxY]'
+    }
+  },
+  image: {
+    contentType: {
+      type: String,
+      enum: IMAGE_TYPES
+    },
+    size: {
+      type: Number
+    },
+    // Served from /api/floor-plans/:id/image, never included in listings
+    data: {
+      type: Buffer,
+      select: false
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      if (ret.image) delete ret.image.data;
+      return ret;
+    }
+  }
+});
+
+floorPlanSchema.statics.IMAGE_TYPES = IMAGE_TYPES;
+
+const FloorPlan = mongoose.model('FloorPlan', floorPlanSchema);
+
+module.exports = FloorPlan;
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = [/^([01]\d|2[0-3]):[0-5]\d$/, 'must be HH:MM'];
+
+// An outbound channel that alerts are delivered through.
+// Secrets (webhook secret, SMTP password) are never returned by default.
+const notificationChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['webhook', 'email', 'syslog'],
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Routing: zones this channel covers (empty = all), lowest severity
+  // delivered and which alert lifecycle actions are sent
+  zoneIds: {
+    type: [String],
+    default: []
+  },
+  minSeverity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'warning'
+  },
+  actions: {
+    type: [{ type: String, enum: ['opened', 'escalated', 'acknowledged', 'resolved'] }],
+    default: ['opened', 'escalated']
+  },
+
+  // During quiet hours (server local time) only alerts at or above
+  // quietHours.minSeverity are delivered
+  quietHours: {
+    start: { type: String, match: TIME_OF_DAY },
+    end: { type: String, match: TIME_OF_DAY },
+    minSeverity: {
+      type: String,
+      enum: ['info', 'warning', 'critical'],
+      default: 'critical'
+    }
+  },
+
+  retry: {
+    maxAttempts: { type: Number, min: 1, max: 10, default: 3 },
+    backoffMs: { type: Number, min: 0, default: 1000 }
+  },
+
+  webhook: {
+    url: {
+      type: String,
+      required: function() { return this.type === 'webhook'; },
+      match: [/^https?:\/\//, 'must be an http(s) URL']
+    },
+    // Shared secret for the X-Crowd-Signature HMAC
+    secret: { type: String, select: false },
+    timeoutMs: { type: Number, min: 100, default: 5000 }
+  },
+
+  email: {
+    host: {
+      type: String,
+      required: function() { return this.type === 'email'; }
+    },
+    port: { type: Number, default: 587 },
+    secure: { type: Boolean, default: false },
+    // Accept invalid or self-signed server certificates
+    allowInsecureTls: { type: Boolean, default: false },
+    user: String,
+    pass: { type: String, select: false },
+    from: {
+      type: String,
+      required: function() { return this.type === 'email'; }
+    },
+    to: {
+      type: [String],
+      validate: {
+        validator: function(v) { return this.type !== 'email' || v.length > 0; },
+        message: 'email.to needs at least one recipient'
+      }
+    }
+  },
+
+  syslog: {
+    host: {
+      type: String,
+      required: function() { return this.type === 'syslog'; }
+    },
+    port: { type: Number, default: 514 },
+    protocol: { type: String, enum: ['udp', 'tcp'], default: 'udp' },
+    // RFC 5424 facility code (16 = local0)
+    facility: { type: Number, min: 0, max: 23, default: 16 },
+    appName: { type: String, default: 'crowd-management' }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // Never echo secrets back, even right after they were set
+    transform: (doc, ret) => {
+      if (ret.webhook) delete ret.webhook.secret;
+      if (ret.email) delete ret.email.pass;
+      return ret;
+    }
+  }
+});
+
+const NotificationChannel = mongoose.model('NotificationChannel', notificationChannelSchema);
+
+module.exports = NotificationChannel;
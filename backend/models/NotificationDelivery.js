@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['delivered', 'failed', 'suppressed'];
+
+// Audit log entry for a single delivery attempt of an alert notification
+const notificationDeliverySchema = new mongoose.Schema({
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel',
+    required: true,
+    index: true
+  },
+  channelName: String,
+  channelType: String,
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    index: true
+  },
+  action: String,
+  zoneId: String,
+  attempt: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    required: true
+  },
+  // Why a delivery failed or was suppressed
+  detail: String,
+  responseCode: Number,
+  durationMs: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+notificationDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_.-]{3,32}$/, 'username may only contain letters, digits, ".", "-" and "_"']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  // bcrypt hash; never returned by queries unless selected explicitly
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      delete ret.passwordHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+userSchema.methods.checkPassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.statics.ROLES = ROLES;
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
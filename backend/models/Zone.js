@@ -15,6 +15,11 @@ const zoneSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  deviceCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   density: {
     type: Number,
     required: true,
@@ -30,13 +35,13 @@ const zoneSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['normal', 'moderate', 'overcrowded'],
+    enum: ['normal', 'moderate', 'overcrowded', 'critical'],
     default: 'normal'
   },
+  // Indexed (with a TTL) by services/retention.js
   timestamp: {
     type: Date,
-    default: Date.now,
-    index: true
+    default: Date.now
   }
 }, {
   timestamps: true
@@ -50,9 +55,9 @@ zoneSchema.virtual('occupancyPercentage').get(function() {
   return ((this.population / this.capacity) * 100).toFixed(2);
 });
 
-// Instance method to check if zone is overcrowded
+// Instance method to check if zone is overcrowded (or worse)
 zoneSchema.methods.isOvercrowded = function() {
-  return this.status === 'overcrowded';
+  return this.status === 'overcrowded' || this.status === 'critical';
 };
 
 // Static method to get latest data for all zones
@@ -64,6 +69,7 @@ zoneSchema.statics.getLatestData = async function() {
         _id: '$zoneId',
         zoneName: { $first: '$zoneName' },
         population: { $first: '$population' },
+        deviceCount: { $first: '$deviceCount' },
         density: { $first: '$density' },
         cluster: { $first: '$cluster' },
         capacity: { $first: '$capacity' },
@@ -74,15 +80,86 @@ zoneSchema.statics.getLatestData = async function() {
   ]);
 };
 
-// Static method to get zone history
-zoneSchema.statics.getZoneHistory = async function(zoneId, minutes = 15) {
-  const cutoffTime = new Date(Date.now() - minutes * 60 * 1000);
-  return await this.find({
-    zoneId: zoneId,
-    timestamp: { $gte: cutoffTime }
-  }).sort({ timestamp: 1 });
+const STATUS_LEVELS = ['normal', 'moderate', 'overcrowded', 'critical'];
+
+// Bucket widths accepted by getZoneHistory
+const HISTORY_BUCKETS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Static method to get zone history for one or more zones between `from`
+// and `to`. Without `bucket` raw readings are returned; with a bucket they
+// are downsampled to min/max/avg population and the peak status per bucket.
+// Returns { data, total } so callers can paginate with skip/limit.
+zoneSchema.statics.getZoneHistory = async function(zoneIds, options = {}) {
+  const ids = Array.isArray(zoneIds) ? zoneIds : [zoneIds];
+  const to = options.to || new Date();
+  const from = options.from || new Date(to.getTime() - 15 * 60 * 1000);
+  const skip = options.skip || 0;
+  const limit = options.limit || 1000;
+
+  const match = {
+    zoneId: { $in: ids },
+    timestamp: { $gte: from, $lte: to }
+  };
+
+  if (!options.bucket) {
+    const [data, total] = await Promise.all([
+      this.find(match).sort({ timestamp: 1, zoneId: 1 }).skip(skip).limit(limit),
+      this.countDocuments(match)
+    ]);
+    return { data, total };
+  }
+
+  const bucketMs = HISTORY_BUCKETS[options.bucket];
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          zoneId: '$zoneId',
+          bucket: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }] }
+        },
+        zoneName: { $last: '$zoneName' },
+        capacity: { $last: '$capacity' },
+        minPopulation: { $min: '$population' },
+        maxPopulation: { $max: '$population' },
+        avgPopulation: { $avg: '$population' },
+        peakLevel: { $max: { $indexOfArray: [STATUS_LEVELS, '$status'] } },
+        samples: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        zoneId: '$_id.zoneId',
+        zoneName: 1,
+        timestamp: { $toDate: '$_id.bucket' },
+        capacity: 1,
+        minPopulation: 1,
+        maxPopulation: 1,
+        avgPopulation: { $round: ['$avgPopulation', 1] },
+        peakStatus: { $arrayElemAt: [STATUS_LEVELS, '$peakLevel'] },
+        samples: 1
+      }
+    },
+    { $sort: { timestamp: 1, zoneId: 1 } },
+    {
+      $facet: {
+        data: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return { data: result.data, total: result.total.length > 0 ? result.total[0].count : 0 };
 };
 
+zoneSchema.statics.HISTORY_BUCKETS = HISTORY_BUCKETS;
+
 const Zone = mongoose.model('Zone', zoneSchema);
 
 module.exports = Zone;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const THRESHOLD_PROFILES = require('../config/thresholdProfiles');
+
+// Validates a list of [x, y] pairs
+function isPointList(points) {
+  return Array.isArray(points) && points.every(p =>
+    Array.isArray(p) && p.length === 2 && p.every(Number.isFinite)
+  );
+}
+
+const accessPointSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  position: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: v => v === undefined || (v.length === 2 && v.every(Number.isFinite)),
+      message: 'position must be [x, y]'
+    }
+  }
+}, { _id: false });
+
+// Zone registry entry - the configuration behind each monitored zone.
+// Coordinates are campus-map metres, not longitude/latitude.
+const zoneDefinitionSchema = new mongoose.Schema({
+  zoneId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z0-9_-]{1,32}$/, 'zoneId may only contain letters, digits, "-" and "_"']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  building: {
+    type: String,
+    trim: true
+  },
+  floor: {
+    type: Number
+  },
+  geometry: {
+    type: {
+      type: String,
+      enum: ['Polygon'],
+      default: 'Polygon'
+    },
+    // Single outer ring, GeoJSON-style: [[[x, y], ...]]
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined,
+      validate: {
+        validator: v => v === undefined || (v.length === 1 && v[0].length >= 3 && isPointList(v[0])),
+        message: 'geometry must be a polygon with at least 3 [x, y] points'
+      }
+    }
+  },
+  position: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: v => v === undefined || (v.length === 2 && v.every(Number.isFinite)),
+      message: 'position must be [x, y]'
+    }
+  },
+  spread: {
+    type: Number,
+    min: 0
+  },
+  // Accepts plain AP IDs or { id, position }
+  accessPoints: {
+    type: [accessPointSchema],
+    default: [],
+    set: aps => (Array.isArray(aps) ? aps.map(ap => (typeof ap === 'string' ? { id: ap } : ap)) : aps)
+  },
+  // Named threshold profile (see config/thresholdProfiles.js)
+  thresholdProfile: {
+    type: String,
+    enum: Object.keys(THRESHOLD_PROFILES),
+    default: 'default'
+  },
+  // Per-zone overrides of the profile: occupancy percentages at which the
+  // zone changes status, hysteresis band and minimum dwell time (ms)
+  thresholds: {
+    moderate: { type: Number, min: 0 },
+    overcrowded: { type: Number, min: 0 },
+    critical: { type: Number, min: 0 },
+    hysteresis: { type: Number, min: 0 },
+    minDwell: { type: Number, min: 0 }
+  },
+  dbscan: {
+    epsilon: { type: Number, min: 0 },
+    minPoints: { type: Number, min: 1 }
+  }
+}, {
+  timestamps: true
+});
+
+zoneDefinitionSchema.pre('validate', function(next) {
+  const merged = { ...(THRESHOLD_PROFILES[this.thresholdProfile] || THRESHOLD_PROFILES.default) };
+  const overrides = this.toObject().thresholds || {};
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null) merged[key] = overrides[key];
+  });
+
+  const { moderate, overcrowded, critical } = merged;
+
+  if (!(moderate < overcrowded && overcrowded < critical)) {
+    this.invalidate('thresholds', 'thresholds must satisfy moderate < overcrowded < critical');
+  }
+  next();
+});
+
+const ZoneDefinition = mongoose.model('ZoneDefinition', zoneDefinitionSchema);
+
+module.exports = ZoneDefinition;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// People entering and leaving one zone during a flow interval. `method` is
+// "devices" when counted from device movements and "net" when only the
+// change in population was known (inflow and outflow are then a lower bound).
+const zoneFlowSchema = new mongoose.Schema({
+  zoneId: {
+    type: String,
+    required: true
+  },
+  // Interval start
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  inflow: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  outflow: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  method: {
+    type: String,
+    enum: ['devices', 'net'],
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// TTL on `timestamp` is managed by services/retention.js
+zoneFlowSchema.index({ zoneId: 1, timestamp: 1 });
+
+// Devices that moved from one zone to another during a flow interval. A
+// null `from` means the device arrived on campus, a null `to` that it left.
+const zoneTransitionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, {
+  versionKey: false
+});
+
+zoneTransitionSchema.index({ timestamp: 1, from: 1, to: 1 });
+
+const ZoneFlow = mongoose.model('ZoneFlow', zoneFlowSchema, 'zone_flows');
+const ZoneTransition = mongoose.model('ZoneTransition', zoneTransitionSchema, 'zone_transitions');
+
+module.exports = { ZoneFlow, ZoneTransition };
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Width of each rollup resolution in milliseconds
+const ROLLUP_RESOLUTIONS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const STATUS_LEVELS = ['normal', 'moderate', 'overcrowded', 'critical'];
+
+// Summary of a zone's raw readings over one minute, hour or day. Sums are
+// stored alongside min/max so coarser rollups and averages can be derived
+// exactly from finer ones.
+function createRollupSchema() {
+  const schema = new mongoose.Schema({
+    zoneId: {
+      type: String,
+      required: true
+    },
+    zoneName: {
+      type: String,
+      required: true
+    },
+    capacity: {
+      type: Number,
+      required: true
+    },
+    // Bucket start
+    timestamp: {
+      type: Date,
+      required: true
+    },
+    minPopulation: Number,
+    maxPopulation: Number,
+    sumPopulation: Number,
+    sumSqPopulation: Number,
+    samples: Number,
+    // Index into STATUS_LEVELS of the worst status seen in the bucket
+    peakLevel: Number
+  }, {
+    versionKey: false
+  });
+
+  // Also the $merge key when rollups are (re)computed
+  schema.index({ zoneId: 1, timestamp: 1 }, { unique: true });
+
+  // Downsample rollups into `bucketMs` buckets, in the same shape as
+  // Zone.getZoneHistory's bucketed output
+  schema.statics.getRollupHistory = async function(zoneIds, { from, to, bucketMs, skip = 0, limit = 1000 }) {
+    const [result] = await this.aggregate([
+      {
+        $match: {
+          zoneId: { $in: zoneIds },
+          timestamp: { $gte: from, $lte: to }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            zoneId: '$zoneId',
+            bucket: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }] }
+          },
+          zoneName: { $last: '$zoneName' },
+          capacity: { $last: '$capacity' },
+          minPopulation: { $min: '$minPopulation' },
+          maxPopulation: { $max: '$maxPopulation' },
+          sumPopulation: { $sum: '$sumPopulation' },
+          samples: { $sum: '$samples' },
+          peakLevel: { $max: '$peakLevel' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          zoneId: '$_id.zoneId',
+          zoneName: 1,
+          timestamp: { $toDate: '$_id.bucket' },
+          capacity: 1,
+          minPopulation: 1,
+          maxPopulation: 1,
+          avgPopulation: { $round: [{ $divide: ['$sumPopulation', '$samples'] }, 1] },
+          peakStatus: { $arrayElemAt: [STATUS_LEVELS, '$peakLevel'] },
+          samples: 1
+        }
+      },
+      { $sort: { timestamp: 1, zoneId: 1 } },
+      {
+        $facet: {
+          data: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    return { data: result.data, total: result.total.length > 0 ? result.total[0].count : 0 };
+  };
+
+  return schema;
+}
+
+const ZoneRollupMinute = mongoose.model('ZoneRollupMinute', createRollupSchema(), 'zone_rollups_minute');
+const ZoneRollupHour = mongoose.model('ZoneRollupHour', createRollupSchema(), 'zone_rollups_hour');
+const ZoneRollupDay = mongoose.model('ZoneRollupDay', createRollupSchema(), 'zone_rollups_day');
+
+module.exports = {
+  ZoneRollupMinute,
+  ZoneRollupHour,
+  ZoneRollupDay,
+  ROLLUP_RESOLUTIONS,
+  STATUS_LEVELS
+};
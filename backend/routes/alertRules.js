@@ -0,0 +1,74 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AlertRule = require('../models/AlertRule');
+const { requireRole } = require('../middleware/auth');
+const handleError = require('./handleError');
+
+// CRUD routes for alert rules. Every change reloads the alert engine's rules.
+// Changing rules requires the admin role.
+function createAlertRuleRouter(alertEngine) {
+  const router = express.Router();
+
+  // Resolve :id to a rule, answering 404 when it doesn't exist
+  async function findRule(req, res) {
+    const rule = mongoose.isValidObjectId(req.params.id) ? await AlertRule.findById(req.params.id) : null;
+    if (!rule) {
+      res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+    return rule;
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      const rules = await AlertRule.find().sort({ createdAt: 1 });
+      res.json({
+        success: true,
+        data: rules,
+        count: rules.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+      const rule = await new AlertRule(req.body).save();
+      await alertEngine.loadRules();
+      res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.put('/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const rule = await findRule(req, res);
+      if (!rule) return;
+
+      rule.set(req.body);
+      await rule.save();
+      await alertEngine.loadRules();
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const rule = await findRule(req, res);
+      if (!rule) return;
+
+      await rule.deleteOne();
+      await alertEngine.loadRules();
+      res.json({ success: true, data: rule });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAlertRuleRouter;
@@ -0,0 +1,60 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const { requireRole } = require('../middleware/auth');
+const handleError = require('./handleError');
+
+// List alerts and drive their lifecycle (acknowledge / resolve). Lifecycle
+// changes require the operator role and are attributed to the signed-in user.
+function createAlertRouter(alertEngine) {
+  const router = express.Router();
+
+  // GET /api/alerts?state=open,acknowledged&zoneId=AB1&limit=50
+  router.get('/', async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.state) query.state = { $in: String(req.query.state).split(',') };
+      if (req.query.zoneId) query.zoneId = req.query.zoneId;
+      const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+      const alerts = await Alert.find(query).sort({ openedAt: -1 }).limit(limit);
+      res.json({
+        success: true,
+        data: alerts,
+        count: alerts.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // Shared handler for the lifecycle transitions
+  function transition(action) {
+    return async (req, res) => {
+      try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+          return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+
+        const result = await alertEngine[action](req.params.id, req.user.username);
+        if (!result) {
+          return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        if (result.error) {
+          return res.status(409).json({ success: false, error: result.error, data: result.alert });
+        }
+
+        res.json({ success: true, data: result.alert });
+      } catch (error) {
+        handleError(res, error);
+      }
+    };
+  }
+
+  router.post('/:id/acknowledge', requireRole('operator'), transition('acknowledge'));
+  router.post('/:id/resolve', requireRole('operator'), transition('resolve'));
+
+  return router;
+}
+
+module.exports = createAlertRouter;
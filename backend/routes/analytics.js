@@ -0,0 +1,63 @@
+const express = require('express');
+const handleError = require('./handleError');
+const parseDate = require('./parseDate');
+
+// Validate ?from=&to=; returns { error } or the range
+function parseRange(query) {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  }
+  if (from && to && from >= to) {
+    return { error: 'from must be before to' };
+  }
+  return { from, to };
+}
+
+// Capacity planning analytics: utilisation heatmaps, time per status, peak
+// hours and capacity recommendations
+function createAnalyticsRouter(analytics, zoneRegistry) {
+  const router = express.Router();
+
+  // GET /api/analytics?zoneIds=AB1,Library&from=&to= - every zone by default,
+  // over the last 28 days
+  router.get('/', async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const zoneIds = req.query.zoneIds ? String(req.query.zoneIds).split(',').filter(Boolean) : null;
+      const data = await analytics.getAnalytics(zoneIds, range);
+      res.json({ success: true, data });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // GET /api/analytics/:zoneId?from=&to=
+  router.get('/:zoneId', async (req, res) => {
+    try {
+      const zone = zoneRegistry.getZone(req.params.zoneId);
+      if (!zone) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+      }
+
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const { zones, ...rest } = await analytics.getAnalytics([zone.id], range);
+      res.json({ success: true, data: { ...rest, ...zones[0] } });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAnalyticsRouter;
@@ -0,0 +1,48 @@
+const express = require('express');
+const Anomaly = require('../models/Anomaly');
+const handleError = require('./handleError');
+const parseDate = require('./parseDate');
+
+// Occupancy anomalies found by the anomaly detector
+function createAnomalyRouter() {
+  const router = express.Router();
+
+  // GET /api/anomalies?state=active&zoneId=Library&from=&to=&limit=50
+  router.get('/', async (req, res) => {
+    try {
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if (from === null || to === null) {
+        return res.status(400).json({ success: false, error: 'from and to must be ISO dates or epoch milliseconds' });
+      }
+
+      const query = {};
+      if (req.query.state) query.state = { $in: String(req.query.state).split(',') };
+      if (req.query.zoneId !== undefined) {
+        if (typeof req.query.zoneId !== 'string') {
+          return res.status(400).json({ success: false, error: 'zoneId must be a single zone ID' });
+        }
+        if (req.query.zoneId) query.zoneId = req.query.zoneId;
+      }
+      if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = from;
+        if (to) query.timestamp.$lte = to;
+      }
+      const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+      const anomalies = await Anomaly.find(query).sort({ timestamp: -1 }).limit(limit);
+      res.json({
+        success: true,
+        data: anomalies,
+        count: anomalies.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAnomalyRouter;
@@ -0,0 +1,135 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { issueToken, login, validatePassword, forgetUser } = require('../services/auth');
+const { authenticate, requireRole } = require('../middleware/auth');
+const handleError = require('./handleError');
+
+// Login, current-user lookup and (admin-only) user management.
+//
+// options:
+//   onUserRevoked(id) - called when a user is disabled, deleted or has their
+//                       role changed, so their live sessions can be ended
+function createAuthRouter(options = {}) {
+  const router = express.Router();
+  const onUserRevoked = options.onUserRevoked || (() => {});
+
+  // POST /api/auth/login { username, password } -> { token, user }
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const user = await login(username, password);
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      res.json({
+        success: true,
+        data: { token: issueToken(user), user }
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.get('/me', authenticate, async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user || !user.enabled) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      res.json({ success: true, data: user });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  const admin = [authenticate, requireRole('admin')];
+
+  // Resolve :id to a user, answering 404 when it doesn't exist
+  async function findUser(req, res) {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      res.status(404).json({ success: false, error: 'User not found' });
+    }
+    return user;
+  }
+
+  router.get('/users', admin, async (req, res) => {
+    try {
+      const users = await User.find().sort({ username: 1 });
+      res.json({ success: true, data: users, count: users.length });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.post('/users', admin, async (req, res) => {
+    try {
+      const { password, ...fields } = req.body || {};
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ success: false, error: passwordError });
+      }
+
+      const user = new User(fields);
+      await user.setPassword(password);
+      await user.save();
+      res.status(201).json({ success: true, data: user });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.put('/users/:id', admin, async (req, res) => {
+    try {
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      const { password, username, ...fields } = req.body || {};
+      if (username && username !== user.username) {
+        return res.status(400).json({ success: false, error: 'username cannot be changed' });
+      }
+      if (password !== undefined) {
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+          return res.status(400).json({ success: false, error: passwordError });
+        }
+        await user.setPassword(password);
+      }
+
+      const previous = { role: user.role, enabled: user.enabled };
+      user.set(fields);
+      await user.save();
+      forgetUser(user._id);
+      if (user.role !== previous.role || user.enabled !== previous.enabled) {
+        onUserRevoked(String(user._id));
+      }
+      res.json({ success: true, data: user });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.delete('/users/:id', admin, async (req, res) => {
+    try {
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+      }
+
+      const user = await findUser(req, res);
+      if (!user) return;
+
+      await user.deleteOne();
+      forgetUser(user._id);
+      onUserRevoked(String(user._id));
+      res.json({ success: true, data: user });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,79 @@
+const express = require('express');
+const Zone = require('../models/Zone');
+const { EXPORT_FORMATS, exportHistory } = require('../services/export');
+const handleError = require('./handleError');
+const parseDate = require('./parseDate');
+const logger = require('../services/logger');
+
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => date.toISOString().slice(0, 16).replace(/[:T]/g, '');
+
+// Validate ?from=&to=&bucket=&format=; defaults to the last 24 hours as CSV
+function parseExportQuery(query) {
+  const to = parseDate(query.to);
+  const from = parseDate(query.from);
+  if (from === null || to === null) {
+    return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  }
+
+  const end = to || new Date();
+  const start = from || new Date(end - DEFAULT_RANGE_MS);
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+
+  const bucket = query.bucket || undefined;
+  if (bucket && !Zone.HISTORY_BUCKETS[bucket]) {
+    return { error: `bucket must be one of ${Object.keys(Zone.HISTORY_BUCKETS).join(', ')}` };
+  }
+
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return { error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  return { from: start, to: end, bucket, format };
+}
+
+// Streams zone history of any length as a CSV or NDJSON download
+function createExportRouter(retention, zoneRegistry) {
+  const router = express.Router();
+
+  // GET /api/export/history?zoneIds=AB1,Library&from=&to=&bucket=1h&format=csv
+  router.get('/history', (req, res) => {
+    const options = parseExportQuery(req.query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+    const rangeError = !options.bucket && retention.rawRangeError(options.from);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const requested = String(req.query.zoneIds || '').split(',').filter(Boolean);
+    const zoneIds = requested.length > 0 ? requested : zoneRegistry.getZones().map(z => z.id);
+    const { contentType, extension } = EXPORT_FORMATS[options.format];
+    const filename = `zone-history-${formatDate(options.from)}-${formatDate(options.to)}${options.bucket ? `-${options.bucket}` : ''}.${extension}`;
+
+    const stream = exportHistory(retention, zoneIds, options, options.format);
+    stream.on('error', (error) => {
+      logger.error('❌ Error exporting zone history', { error: error.message });
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        handleError(res, error);
+      }
+    });
+    // Stop reading from MongoDB when the client goes away
+    res.on('close', () => stream.destroy());
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    stream.pipe(res);
+  });
+
+  return router;
+}
+
+module.exports = createExportRouter;
@@ -0,0 +1,122 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const FloorPlan = require('../models/FloorPlan');
+const { requireRole } = require('../middleware/auth');
+const handleError = require('./handleError');
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Floor-plan images for the campus map. Any signed-in user can view plans;
+// uploading and editing require the admin role.
+function createFloorPlanRouter() {
+  const router = express.Router();
+
+  // Resolve :id to a plan, answering 404 when it doesn't exist
+  async function findPlan(req, res, select) {
+    const plan = mongoose.isValidObjectId(req.params.id)
+      ? await FloorPlan.findById(req.params.id).select(select || '')
+      : null;
+    if (!plan) {
+      res.status(404).json({ success: false, error: 'Floor plan not found' });
+    }
+    return plan;
+  }
+
+  router.get('/', async (req, res) => {
+    try {
+      const plans = await FloorPlan.find().sort({ building: 1, floor: 1, name: 1 });
+      res.json({ success: true, data: plans, count: plans.length });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+      // The image itself is uploaded separately to /:id/image
+      const { image, ...fields } = req.body || {};
+      const plan = await new FloorPlan(fields).save();
+      res.status(201).json({ success: true, data: plan });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.put('/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const plan = await findPlan(req, res);
+      if (!plan) return;
+
+      const { image, ...fields } = req.body || {};
+      plan.set(fields);
+      await plan.save();
+      res.json({ success: true, data: plan });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // PUT the raw image with its Content-Type (PNG, JPEG, WebP or SVG)
+  router.put(
+    '/:id/image',
+    requireRole('admin'),
+    express.raw({ type: FloorPlan.IMAGE_TYPES, limit: MAX_IMAGE_BYTES }),
+    async (req, res) => {
+      try {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+        if (!FloorPlan.IMAGE_TYPES.includes(contentType) || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(415).json({
+            success: false,
+            error: `Upload the image body as one of ${FloorPlan.IMAGE_TYPES.join(', ')}`
+          });
+        }
+
+        const plan = await findPlan(req, res);
+        if (!plan) return;
+
+        plan.image = { contentType, size: req.body.length, data: req.body };
+        await plan.save();
+        res.json({ success: true, data: plan });
+      } catch (error) {
+        handleError(res, error);
+      }
+    }
+  );
+
+  router.get('/:id/image', async (req, res) => {
+    try {
+      const plan = await findPlan(req, res, '+image.data');
+      if (!plan) return;
+      if (!plan.image || !plan.image.data) {
+        return res.status(404).json({ success: false, error: 'Floor plan has no image' });
+      }
+
+      // Uploaded SVGs must never run scripts if opened directly
+      res.set({
+        'Content-Type': plan.image.contentType,
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'",
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=300'
+      });
+      res.send(plan.image.data);
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const plan = await findPlan(req, res);
+      if (!plan) return;
+
+      await plan.deleteOne();
+      res.json({ success: true, data: plan });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFloorPlanRouter;
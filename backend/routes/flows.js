@@ -0,0 +1,98 @@
+const express = require('express');
+const Zone = require('../models/Zone');
+const handleError = require('./handleError');
+const parseDate = require('./parseDate');
+
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+const MAX_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Validate ?from=&to=&bucket=; defaults to the last hour
+function parseFlowQuery(query) {
+  const to = parseDate(query.to);
+  const from = parseDate(query.from);
+  if (from === null || to === null) {
+    return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  }
+
+  const end = to || new Date();
+  const start = from || new Date(end - DEFAULT_RANGE_MS);
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+  if (end - start > MAX_RANGE_MS) {
+    return { error: 'from and to may be at most 31 days apart' };
+  }
+
+  const bucket = query.bucket || undefined;
+  if (bucket && !Zone.HISTORY_BUCKETS[bucket]) {
+    return { error: `bucket must be one of ${Object.keys(Zone.HISTORY_BUCKETS).join(', ')}` };
+  }
+
+  return { from: start, to: end, bucket, bucketMs: bucket && Zone.HISTORY_BUCKETS[bucket] };
+}
+
+// Inflow / outflow per zone and the origin-destination matrix of movements
+// between zones
+function createFlowRouter(flowTracker, zoneRegistry) {
+  const router = express.Router();
+
+  const requestedZones = (req) => {
+    const zoneIds = String(req.query.zoneIds || '').split(',').filter(Boolean);
+    return zoneIds.length > 0 ? zoneIds : zoneRegistry.getZones().map(z => z.id);
+  };
+
+  // GET /api/flows?zoneIds=AB1,Library&from=&to=&bucket=1h
+  router.get('/', async (req, res) => {
+    try {
+      const options = parseFlowQuery(req.query);
+      if (options.error) {
+        return res.status(400).json({ success: false, error: options.error });
+      }
+
+      const zoneIds = requestedZones(req);
+      const data = await flowTracker.getFlows(zoneIds, options);
+      res.json({
+        success: true,
+        zoneIds,
+        from: options.from,
+        to: options.to,
+        bucket: options.bucket || null,
+        intervalMinutes: flowTracker.intervalMs / 60000,
+        data,
+        count: data.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // GET /api/flows/matrix?from=&to=&zoneIds=AB1 - movements between zones;
+  // null origin / destination means arriving on / leaving campus
+  router.get('/matrix', async (req, res) => {
+    try {
+      const options = parseFlowQuery(req.query);
+      if (options.error) {
+        return res.status(400).json({ success: false, error: options.error });
+      }
+
+      const zoneIds = String(req.query.zoneIds || '').split(',').filter(Boolean);
+      const links = await flowTracker.getMatrix({ ...options, zoneIds });
+      const names = Object.fromEntries(zoneRegistry.getZones().map(z => [z.id, z.name]));
+
+      res.json({
+        success: true,
+        from: options.from,
+        to: options.to,
+        zones: names,
+        data: links,
+        total: links.reduce((sum, link) => sum + link.count, 0)
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFlowRouter;
@@ -0,0 +1,61 @@
+const express = require('express');
+const handleError = require('./handleError');
+
+const MAX_HORIZON_HOURS = 48;
+
+// Parse ?horizon=<hours>&step=<minutes>, clamped to sensible bounds
+function parseHorizon(query) {
+  const horizon = Math.min(Math.max(Number(query.horizon) || 6, 1), MAX_HORIZON_HOURS);
+  const step = Math.min(Math.max(Number(query.step) || 30, 5), horizon * 60);
+  return { horizon, step };
+}
+
+// Population forecasts with confidence intervals, campus-wide and per zone
+function createForecastRouter(forecaster, zoneRegistry) {
+  const router = express.Router();
+
+  // GET /api/forecast?horizon=6&step=30
+  router.get('/', async (req, res) => {
+    try {
+      const { horizon, step } = parseHorizon(req.query);
+      const zoneIds = zoneRegistry.getZones().map(z => z.id);
+      const forecast = await forecaster.forecastCampus(zoneIds, horizon, step);
+
+      res.json({
+        success: true,
+        data: forecast,
+        horizon,
+        step
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // GET /api/forecast/:zoneId?horizon=6&step=30
+  router.get('/:zoneId', async (req, res) => {
+    try {
+      const zone = zoneRegistry.getZone(req.params.zoneId);
+      if (!zone) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+      }
+
+      const { horizon, step } = parseHorizon(req.query);
+      const forecast = await forecaster.forecastZone(zone.id, horizon, step);
+
+      res.json({
+        success: true,
+        data: forecast,
+        zoneId: zone.id,
+        horizon,
+        step
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createForecastRouter;
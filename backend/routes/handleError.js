@@ -0,0 +1,31 @@
+const logger = require('../services/logger');
+
+// Turn Mongoose validation / duplicate key errors into 4xx responses
+function handleError(res, error) {
+  if (error.name === 'ValidationError') {
+    const details = {};
+    Object.keys(error.errors).forEach(path => {
+      details[path] = error.errors[path].message;
+    });
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A record with this key already exists'
+    });
+  }
+
+  logger.error('❌ Request error', { error });
+  res.status(500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+module.exports = handleError;
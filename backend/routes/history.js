@@ -0,0 +1,95 @@
+const express = require('express');
+const Zone = require('../models/Zone');
+const handleError = require('./handleError');
+const parseDate = require('./parseDate');
+
+const MAX_LIMIT = 5000;
+
+// Validate ?from=&to=&bucket=&page=&limit=; returns { error } or the options
+function parseHistoryQuery(query) {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  const bucket = query.bucket || undefined;
+  if (bucket && !Zone.HISTORY_BUCKETS[bucket]) {
+    return { error: `bucket must be one of ${Object.keys(Zone.HISTORY_BUCKETS).join(', ')}` };
+  }
+
+  const page = Math.max(Number(query.page) || 1, 1);
+  const limit = Math.min(Math.max(Number(query.limit) || 1000, 1), MAX_LIMIT);
+
+  return {
+    from,
+    to,
+    bucket,
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+}
+
+// Zone history with time ranges, downsampling and pagination. Queries go
+// through the retention service, which answers long ranges from rollups.
+function createHistoryRouter(retention) {
+  const router = express.Router();
+
+  async function sendHistory(res, zoneIds, query, extra = {}) {
+    const options = parseHistoryQuery(query);
+    if (options.error) {
+      return res.status(400).json({ success: false, error: options.error });
+    }
+    // Without `from` the range ends at `to`, so that is checked instead
+    const rangeError = !options.bucket && (options.from || options.to) && retention.rawRangeError(options.from || options.to);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    const { data, total, source } = await retention.getHistory(zoneIds, options);
+    res.json({
+      success: true,
+      ...extra,
+      zoneIds,
+      bucket: options.bucket || null,
+      source,
+      data,
+      count: data.length,
+      total,
+      page: options.page,
+      limit: options.limit,
+      hasMore: options.skip + data.length < total
+    });
+  }
+
+  // GET /api/history?zoneIds=AB1,Library&from=&to=&bucket=5m&page=1&limit=1000
+  router.get('/', async (req, res) => {
+    try {
+      const zoneIds = String(req.query.zoneIds || '').split(',').filter(Boolean);
+      if (zoneIds.length === 0) {
+        return res.status(400).json({ success: false, error: 'zoneIds is required' });
+      }
+      await sendHistory(res, zoneIds, req.query);
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // GET /api/history/:zoneId - same query options; defaults to the last 15 minutes
+  router.get('/:zoneId', async (req, res) => {
+    try {
+      const { zoneId } = req.params;
+      await sendHistory(res, [zoneId], req.query, { zoneId });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createHistoryRouter;
@@ -0,0 +1,120 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { requireRole } = require('../middleware/auth');
+const handleError = require('./handleError');
+
+// Notification channel CRUD, test sends and the delivery audit log.
+// Every channel change reloads the notifier's channels. Admin only.
+function createNotificationRouter(notifier) {
+  const router = express.Router();
+  router.use(requireRole('admin'));
+
+  // Resolve :id to a channel, answering 404 when it doesn't exist
+  async function findChannel(req, res) {
+    const channel = mongoose.isValidObjectId(req.params.id)
+      ? await NotificationChannel.findById(req.params.id)
+      : null;
+    if (!channel) {
+      res.status(404).json({ success: false, error: 'Notification channel not found' });
+    }
+    return channel;
+  }
+
+  router.get('/channels', async (req, res) => {
+    try {
+      const channels = await NotificationChannel.find().sort({ createdAt: 1 });
+      res.json({
+        success: true,
+        data: channels,
+        count: channels.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.post('/channels', async (req, res) => {
+    try {
+      const channel = await new NotificationChannel(req.body).save();
+      await notifier.loadChannels();
+      res.status(201).json({ success: true, data: channel });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.put('/channels/:id', async (req, res) => {
+    try {
+      const channel = await findChannel(req, res);
+      if (!channel) return;
+
+      channel.set(req.body);
+      await channel.save();
+      await notifier.loadChannels();
+      res.json({ success: true, data: channel });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.delete('/channels/:id', async (req, res) => {
+    try {
+      const channel = await findChannel(req, res);
+      if (!channel) return;
+
+      await channel.deleteOne();
+      await notifier.loadChannels();
+      res.json({ success: true, data: channel });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // Send a synthetic alert through a channel, e.g. against a local receiver
+  router.post('/channels/:id/test', async (req, res) => {
+    try {
+      const channel = await findChannel(req, res);
+      if (!channel) return;
+
+      const result = await notifier.sendTest(channel._id);
+      res.status(result.delivered ? 200 : 502).json({
+        success: result.delivered,
+        data: result
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  // GET /api/notifications/deliveries?channelId=&alertId=&status=&limit=
+  router.get('/deliveries', async (req, res) => {
+    try {
+      const query = {};
+      ['channelId', 'alertId'].forEach(field => {
+        if (req.query[field] && mongoose.isValidObjectId(req.query[field])) query[field] = req.query[field];
+      });
+      if (req.query.status !== undefined) {
+        if (!NotificationDelivery.STATUSES.includes(req.query.status)) {
+          return res.status(400).json({ success: false, error: `status must be one of ${NotificationDelivery.STATUSES.join(', ')}` });
+        }
+        query.status = req.query.status;
+      }
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+      const deliveries = await NotificationDelivery.find(query).sort({ timestamp: -1 }).limit(limit);
+      res.json({
+        success: true,
+        data: deliveries,
+        count: deliveries.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationRouter;
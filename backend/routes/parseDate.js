@@ -0,0 +1,12 @@
+// Parse an ISO date or epoch-milliseconds query parameter. Returns undefined
+// when the parameter is missing or empty and null when it is invalid
+// (including repeated keys, which arrive as an array).
+function parseDate(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  if (String(value).trim() === '') return undefined;
+  const date = new Date(isNaN(value) ? value : Number(value));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = parseDate;
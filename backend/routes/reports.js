@@ -0,0 +1,57 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { REPORT_PERIODS } = require('../services/reports');
+const parseDate = require('./parseDate');
+
+// Scheduled occupancy reports: list, download and generate on demand
+function createReportRouter(reports) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const data = await reports.list();
+      res.json({ success: true, data, count: data.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // POST /api/reports/generate { period: 'daily' | 'weekly', date } - (re)build
+  // the report for the period containing `date` (default: the previous period)
+  router.post('/generate', requireRole('operator'), async (req, res) => {
+    try {
+      const { period } = req.body;
+      if (!REPORT_PERIODS[period]) {
+        return res.status(400).json({ success: false, error: `period must be one of ${Object.keys(REPORT_PERIODS).join(', ')}` });
+      }
+
+      const date = parseDate(req.body.date);
+      if (date === null) {
+        return res.status(400).json({ success: false, error: 'date must be an ISO date or epoch milliseconds' });
+      }
+
+      const { report, files } = await reports.generate(period, date || new Date(Date.now() - REPORT_PERIODS[period].length));
+      res.status(201).json({ success: true, data: report, files });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // GET /api/reports/daily-2024-05-01.html
+  router.get('/:name', (req, res) => {
+    const file = reports.filePath(req.params.name);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.download(file, req.params.name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'Report not found' });
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createReportRouter;
@@ -0,0 +1,84 @@
+const express = require('express');
+const ZoneDefinition = require('../models/ZoneDefinition');
+const { requireRole } = require('../middleware/auth');
+const handleError = require('./handleError');
+
+// CRUD routes for the zone registry. Every change reloads the registry so the
+// update loop and connected dashboards pick it up immediately. Any signed-in
+// user can read definitions; changes require the admin role.
+function createZoneDefinitionRouter(zoneRegistry) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const definitions = await ZoneDefinition.find().sort({ createdAt: 1 });
+      res.json({
+        success: true,
+        data: definitions,
+        count: definitions.length
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.get('/:zoneId', async (req, res) => {
+    try {
+      const definition = await ZoneDefinition.findOne({ zoneId: req.params.zoneId });
+      if (!definition) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+      }
+      res.json({ success: true, data: definition });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+      const definition = await new ZoneDefinition(req.body).save();
+      await zoneRegistry.load();
+      res.status(201).json({ success: true, data: definition });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.put('/:zoneId', requireRole('admin'), async (req, res) => {
+    try {
+      if (req.body.zoneId && req.body.zoneId !== req.params.zoneId) {
+        return res.status(400).json({ success: false, error: 'zoneId cannot be changed' });
+      }
+
+      const definition = await ZoneDefinition.findOne({ zoneId: req.params.zoneId });
+      if (!definition) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+      }
+
+      definition.set(req.body);
+      await definition.save();
+      await zoneRegistry.load();
+      res.json({ success: true, data: definition });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  router.delete('/:zoneId', requireRole('admin'), async (req, res) => {
+    try {
+      const definition = await ZoneDefinition.findOneAndDelete({ zoneId: req.params.zoneId });
+      if (!definition) {
+        return res.status(404).json({ success: false, error: 'Zone not found' });
+      }
+
+      await zoneRegistry.load();
+      res.json({ success: true, data: definition });
+    } catch (error) {
+      handleError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createZoneDefinitionRouter;
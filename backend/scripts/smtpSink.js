@@ -0,0 +1,61 @@
+// Local stand-in for an SMTP server. Accepts every message and prints it
+// instead of delivering it. Point an email channel at localhost:<port> with
+// secure: false and no credentials.
+//
+//   node scripts/smtpSink.js [port]
+const net = require('net');
+
+const PORT = Number(process.argv[2]) || 2525;
+
+net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let message = [];
+
+  const reply = line => socket.write(`${line}\r\n`);
+  reply('220 localhost crowd-management SMTP sink');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString();
+    let idx;
+    while ((idx = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`\n📧 Message received:\n${message.join('\n')}`);
+          message = [];
+          reply('250 OK: queued');
+        } else {
+          message.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.split(' ')[0].toUpperCase();
+      switch (command) {
+        case 'EHLO':
+        case 'HELO':
+          reply('250 localhost');
+          break;
+        case 'DATA':
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          // MAIL FROM, RCPT TO, RSET, NOOP, ...
+          reply('250 OK');
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+}).listen(PORT, () => {
+  console.log(`📮 SMTP sink listening on localhost:${PORT}`);
+});
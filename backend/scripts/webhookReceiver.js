@@ -0,0 +1,43 @@
+// Local stand-in for a webhook endpoint. Prints every notification and
+// checks its HMAC signature.
+//
+//   WEBHOOK_SECRET=s3cret node scripts/webhookReceiver.js [port]
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+
+// Simulate flaky receivers: respond 500 to this fraction of requests
+const FAILURE_RATE = Number(process.env.WEBHOOK_FAILURE_RATE) || 0;
+
+function verifySignature(req, body) {
+  if (!SECRET) return 'not checked (WEBHOOK_SECRET unset)';
+
+  const timestamp = req.headers['x-crowd-timestamp'];
+  const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  const received = req.headers['x-crowd-signature'] || '';
+
+  const valid = received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  return valid ? 'valid ✅' : 'INVALID ❌';
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n📨 ${req.method} ${req.url} (${req.headers['x-crowd-event']})`);
+    console.log(`   signature: ${verifySignature(req, body)}`);
+    console.log(`   ${body}`);
+
+    if (Math.random() < FAILURE_RATE) {
+      console.log('   ↩️  responding 500 (simulated failure)');
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,246 @@
+const EventEmitter = require('events');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const DEFAULT_ALERT_RULES = require('../config/defaultAlertRules');
+const logger = require('./logger');
+
+const STATUS_LEVELS = ['normal', 'moderate', 'overcrowded', 'critical'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+function appliesTo(rule, zoneId) {
+  return rule.zoneIds.length === 0 || rule.zoneIds.includes(zoneId);
+}
+
+// Check a rule against a zone's recent samples ({ t, population, percentage,
+// status }, oldest first). Returns { value, message } when the rule fires.
+function evaluateRule(rule, samples, now) {
+  const latest = samples[samples.length - 1];
+  const windowStart = now - rule.durationMinutes * 60 * 1000;
+
+  switch (rule.type) {
+    case 'status': {
+      if (STATUS_LEVELS.indexOf(latest.status) < STATUS_LEVELS.indexOf(rule.status)) return null;
+      return { value: latest.status, message: `${latest.zoneName} is ${latest.status}` };
+    }
+
+    case 'occupancy': {
+      // Need samples covering the whole duration, all above the threshold
+      if (samples[0].t > windowStart) return null;
+      const inWindow = samples.filter(s => s.t >= windowStart);
+      if (!inWindow.every(s => s.percentage > rule.threshold)) return null;
+      return {
+        value: Number(latest.percentage.toFixed(1)),
+        message: `${latest.zoneName} has been above ${rule.threshold}% occupancy for ${rule.durationMinutes} min`
+      };
+    }
+
+    case 'inflow': {
+      const baseline = samples.find(s => s.t >= windowStart);
+      if (!baseline || baseline === latest) return null;
+      const growth = ((latest.population - baseline.population) / latest.capacity) * 100;
+      if (growth <= rule.threshold) return null;
+      return {
+        value: Number(growth.toFixed(1)),
+        message: `${latest.zoneName} gained ${Math.round(growth)}% of capacity in ${rule.durationMinutes} min`
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Evaluates alert rules against every update cycle and manages the alert
+// lifecycle (open -> acknowledged -> resolved), escalating alerts nobody
+// acknowledges. Emits 'alert' with (action, alert) on every change.
+function createAlertEngine(options = {}) {
+  const now = options.now || Date.now;
+  const events = new EventEmitter();
+
+  let rules = [];
+  // zoneId -> recent samples
+  const history = new Map();
+  // `${ruleId}:${zoneId}` -> active (open / acknowledged) alert document
+  const active = new Map();
+  // Rules manually resolved while their condition still holds; they won't
+  // fire again for the zone until the condition clears
+  const suppressed = new Set();
+
+  const keyOf = (ruleId, zoneId) => `${ruleId}:${zoneId}`;
+
+  function emit(action, alert) {
+    events.emit('alert', action, alert);
+  }
+
+  function recordSamples(readings) {
+    const t = now();
+    const longestWindow = Math.max(0, ...rules.map(r => r.durationMinutes)) * 60 * 1000;
+
+    readings.forEach(reading => {
+      const samples = history.get(reading.zoneId) || [];
+      samples.push({
+        t,
+        zoneName: reading.zoneName,
+        population: reading.population,
+        capacity: reading.capacity,
+        percentage: (reading.population / reading.capacity) * 100,
+        status: reading.status
+      });
+
+      // Keep one sample older than the longest window so it can be covered
+      while (samples.length > 2 && samples[1].t <= t - longestWindow) {
+        samples.shift();
+      }
+      history.set(reading.zoneId, samples);
+    });
+  }
+
+  async function openAlert(rule, zoneId, result) {
+    const samples = history.get(zoneId);
+    const alert = await Alert.create({
+      ruleId: rule._id,
+      ruleName: rule.name,
+      type: rule.type,
+      zoneId,
+      zoneName: samples[samples.length - 1].zoneName,
+      severity: rule.severity,
+      message: result.message,
+      value: result.value,
+      openedAt: new Date(now())
+    });
+
+    active.set(keyOf(rule._id, zoneId), alert);
+    logger.info(`🚨 Alert opened: ${alert.message}`, { zoneId: alert.zoneId, severity: alert.severity });
+    emit('opened', alert);
+  }
+
+  async function autoResolve(key) {
+    const alert = active.get(key);
+    active.delete(key);
+
+    alert.state = 'resolved';
+    alert.resolvedAt = new Date(now());
+    alert.resolvedBy = 'system';
+    await alert.save();
+    emit('resolved', alert);
+  }
+
+  async function escalate(alert, rule) {
+    const since = (alert.escalatedAt || alert.openedAt).getTime();
+    if (!rule.escalateAfterMinutes || now() - since < rule.escalateAfterMinutes * 60 * 1000) return;
+
+    alert.escalationLevel += 1;
+    alert.escalatedAt = new Date(now());
+    alert.severity = SEVERITIES[Math.min(SEVERITIES.indexOf(alert.severity) + 1, SEVERITIES.length - 1)];
+    await alert.save();
+
+    logger.warn(`📢 Alert escalated: ${alert.message}`, { zoneId: alert.zoneId, escalationLevel: alert.escalationLevel });
+    emit('escalated', alert);
+  }
+
+  async function evaluate(readings) {
+    recordSamples(readings);
+    const t = now();
+
+    for (const rule of rules) {
+      for (const reading of readings) {
+        if (!appliesTo(rule, reading.zoneId)) continue;
+
+        const key = keyOf(rule._id, reading.zoneId);
+        const result = evaluateRule(rule, history.get(reading.zoneId), t);
+
+        if (!result) {
+          suppressed.delete(key);
+          if (active.has(key)) await autoResolve(key);
+          continue;
+        }
+
+        const alert = active.get(key);
+        if (alert) {
+          if (alert.state === 'open') await escalate(alert, rule);
+        } else if (!suppressed.has(key)) {
+          await openAlert(rule, reading.zoneId, result);
+        }
+      }
+    }
+  }
+
+  async function loadRules() {
+    rules = await AlertRule.find({ enabled: true }).lean();
+
+    // Alerts for rules that were removed or disabled can't clear themselves
+    const ruleIds = rules.map(r => String(r._id));
+    active.forEach((alert, key) => {
+      if (!ruleIds.includes(String(alert.ruleId))) active.delete(key);
+    });
+    return rules;
+  }
+
+  // Seed default rules on first start, load rules and pick up alerts that
+  // were still active when the server last stopped
+  async function init() {
+    if (await AlertRule.countDocuments() === 0) {
+      await AlertRule.insertMany(DEFAULT_ALERT_RULES);
+      logger.info(`🚨 Seeded ${DEFAULT_ALERT_RULES.length} alert rules`);
+    }
+
+    const openAlerts = await Alert.find({ state: { $in: ['open', 'acknowledged'] } });
+    openAlerts.forEach(alert => active.set(keyOf(alert.ruleId, alert.zoneId), alert));
+
+    return loadRules();
+  }
+
+  // Find an alert by ID, preferring the in-memory copy the engine tracks
+  async function findAlert(alertId) {
+    const tracked = Array.from(active.values()).find(a => String(a._id) === String(alertId));
+    return tracked || Alert.findById(alertId);
+  }
+
+  async function acknowledge(alertId, by) {
+    const alert = await findAlert(alertId);
+    if (!alert) return null;
+    if (alert.state !== 'open') return { error: `Alert is already ${alert.state}`, alert };
+
+    alert.state = 'acknowledged';
+    alert.acknowledgedAt = new Date(now());
+    alert.acknowledgedBy = by;
+    await alert.save();
+
+    emit('acknowledged', alert);
+    return { alert };
+  }
+
+  async function resolve(alertId, by) {
+    const alert = await findAlert(alertId);
+    if (!alert) return null;
+    if (alert.state === 'resolved') return { error: 'Alert is already resolved', alert };
+
+    const key = keyOf(alert.ruleId, alert.zoneId);
+    if (active.get(key) === alert) {
+      active.delete(key);
+      suppressed.add(key);
+    }
+
+    alert.state = 'resolved';
+    alert.resolvedAt = new Date(now());
+    alert.resolvedBy = by;
+    await alert.save();
+
+    emit('resolved', alert);
+    return { alert };
+  }
+
+  return {
+    init,
+    loadRules,
+    evaluate,
+    acknowledge,
+    resolve,
+
+    on(event, listener) {
+      events.on(event, listener);
+    }
+  };
+}
+
+module.exports = { createAlertEngine };
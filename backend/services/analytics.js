@@ -0,0 +1,159 @@
+const { ZoneRollupMinute, ZoneRollupHour, ROLLUP_RESOLUTIONS, STATUS_LEVELS } = require('../models/ZoneRollup');
+const { MINUTE_ROLLUP_RETENTION_DAYS } = require('./retention');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TIMEZONE = process.env.ANALYTICS_TIMEZONE || process.env.FORECAST_TIMEZONE || 'UTC';
+const DEFAULT_DAYS = 28;
+// Occupancy a zone's busy hours should run at; capacity recommendations
+// size each zone for it
+const TARGET_OCCUPANCY = Number(process.env.ANALYTICS_TARGET_OCCUPANCY) || 75;
+// Hours of data a zone needs before it gets a recommendation
+const MIN_HOURS = Number(process.env.ANALYTICS_MIN_HOURS) || 24;
+
+// Busy hours are the 90th percentile of the hour-of-week averages
+const BUSY_PERCENTILE = 0.9;
+const UNDERUSED_OCCUPANCY = 30;
+const OVERUSED_OCCUPANCY = 90;
+// Share of time (%) overcrowded or critical that makes a zone over-used
+const OVERCROWDED_SHARE = 10;
+const PEAK_HOURS = 3;
+
+const OVERCROWDED_LEVEL = STATUS_LEVELS.indexOf('overcrowded');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function localParts(field) {
+  return { [field]: { date: '$timestamp', timezone: TIMEZONE } };
+}
+
+// Nearest-rank percentile of `values`
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+// Rate a zone's use and size it so its busy hours run at TARGET_OCCUPANCY
+function recommend(capacity, busyOccupancy, overcrowdedShare, coveredHours) {
+  if (coveredHours < MIN_HOURS) {
+    return { rating: 'insufficient-data', recommendedCapacity: null, change: null, reason: `Only ${coveredHours} of ${MIN_HOURS} hours of data` };
+  }
+
+  const needed = Math.max(10, Math.ceil((capacity * busyOccupancy) / TARGET_OCCUPANCY / 10) * 10);
+  const reasons = [`Busy hours run at ${busyOccupancy}% of capacity (target ${TARGET_OCCUPANCY}%)`];
+  let rating = 'ok';
+  let recommendedCapacity = capacity;
+
+  if (busyOccupancy >= OVERUSED_OCCUPANCY || overcrowdedShare >= OVERCROWDED_SHARE) {
+    rating = 'over-used';
+    recommendedCapacity = Math.max(needed, capacity);
+    if (overcrowdedShare >= OVERCROWDED_SHARE) reasons.push(`overcrowded or critical ${overcrowdedShare}% of the time`);
+    if (recommendedCapacity === capacity) reasons.push('spread demand over more hours');
+  } else if (busyOccupancy < UNDERUSED_OCCUPANCY) {
+    rating = 'under-used';
+    recommendedCapacity = Math.min(needed, capacity);
+  }
+
+  return { rating, recommendedCapacity, change: recommendedCapacity - capacity, reason: reasons.join('; ') };
+}
+
+// Analytics for one zone from its hour-of-week cells (see getAnalytics)
+function summarizeZone(zone, cells, bucketMinutes) {
+  const buckets = cells.reduce((sum, cell) => sum + cell.buckets, 0);
+  const coveredHours = round1((buckets * bucketMinutes) / 60);
+
+  const heatmap = cells
+    .map(cell => ({
+      dow: cell.dow,
+      hour: cell.hour,
+      avgOccupancy: round1((cell.sumOccupancy / cell.buckets) * 100),
+      peakOccupancy: round1(cell.maxOccupancy * 100),
+      hours: round1((cell.buckets * bucketMinutes) / 60)
+    }))
+    .sort((a, b) => a.dow - b.dow || a.hour - b.hour);
+
+  const shareOf = (statuses) => (buckets
+    ? round1((cells.reduce((sum, cell) => sum + statuses.reduce((n, status) => n + cell[status], 0), 0) / buckets) * 100)
+    : 0);
+  const statusShare = Object.fromEntries(STATUS_LEVELS.map(status => [status, shareOf([status])]));
+  const overcrowdedShare = shareOf(STATUS_LEVELS.slice(OVERCROWDED_LEVEL));
+  const busyOccupancy = heatmap.length ? percentile(heatmap.map(cell => cell.avgOccupancy), BUSY_PERCENTILE) : 0;
+
+  return {
+    zoneId: zone.id,
+    zoneName: zone.name,
+    capacity: zone.capacity,
+    coveredHours,
+    avgOccupancy: buckets ? round1((cells.reduce((sum, cell) => sum + cell.sumOccupancy, 0) / buckets) * 100) : null,
+    busyOccupancy: heatmap.length ? busyOccupancy : null,
+    peakOccupancy: heatmap.length ? Math.max(...heatmap.map(cell => cell.peakOccupancy)) : null,
+    peakPopulation: cells.length ? Math.max(...cells.map(cell => cell.maxPopulation)) : null,
+    statusShare,
+    peakHours: [...heatmap]
+      .sort((a, b) => b.avgOccupancy - a.avgOccupancy || a.dow - b.dow || a.hour - b.hour)
+      .slice(0, PEAK_HOURS)
+      .map(({ dow, hour, avgOccupancy }) => ({ dow, hour, avgOccupancy })),
+    heatmap,
+    recommendation: recommend(zone.capacity, busyOccupancy, overcrowdedShare, coveredHours)
+  };
+}
+
+// Capacity planning analytics per zone, built on the stored history:
+// utilisation by hour of day x day of week (in ANALYTICS_TIMEZONE), the
+// share of time spent in each status, peak hours and a capacity
+// recommendation. Minute rollups are used while the range is within their
+// retention, hour rollups beyond it (statuses are then per hour).
+function createAnalyticsService(options = {}) {
+  const now = options.now || Date.now;
+  const getZones = options.getZones || (() => []);
+
+  async function getAnalytics(zoneIds, query = {}) {
+    const to = query.to || new Date(now());
+    const from = query.from || new Date(to.getTime() - DEFAULT_DAYS * DAY);
+    const zones = getZones().filter(zone => !zoneIds || zoneIds.includes(zone.id));
+
+    const useMinutes = from.getTime() >= now() - MINUTE_ROLLUP_RETENTION_DAYS * DAY;
+    const model = useMinutes ? ZoneRollupMinute : ZoneRollupHour;
+    const bucketMinutes = (useMinutes ? ROLLUP_RESOLUTIONS.minute : ROLLUP_RESOLUTIONS.hour) / 60000;
+
+    const rows = await model.aggregate([
+      { $match: { zoneId: { $in: zones.map(z => z.id) }, timestamp: { $gte: from, $lt: to }, samples: { $gt: 0 }, capacity: { $gt: 0 } } },
+      {
+        $group: {
+          _id: {
+            zoneId: '$zoneId',
+            dow: { $subtract: [localParts('$dayOfWeek'), 1] },
+            hour: localParts('$hour')
+          },
+          buckets: { $sum: 1 },
+          sumOccupancy: { $sum: { $divide: ['$sumPopulation', { $multiply: ['$samples', '$capacity'] }] } },
+          maxOccupancy: { $max: { $divide: ['$maxPopulation', '$capacity'] } },
+          maxPopulation: { $max: '$maxPopulation' },
+          ...Object.fromEntries(STATUS_LEVELS.map((status, level) => [
+            status,
+            { $sum: { $cond: [{ $eq: ['$peakLevel', level] }, 1, 0] } }
+          ]))
+        }
+      }
+    ]);
+
+    const cellsByZone = {};
+    rows.forEach(row => {
+      const { zoneId, dow, hour } = row._id;
+      (cellsByZone[zoneId] || (cellsByZone[zoneId] = [])).push({ ...row, dow, hour });
+    });
+
+    return {
+      from,
+      to,
+      timezone: TIMEZONE,
+      source: model.collection.collectionName,
+      targetOccupancy: TARGET_OCCUPANCY,
+      zones: zones.map(zone => summarizeZone(zone, cellsByZone[zone.id] || [], bucketMinutes))
+    };
+  }
+
+  return { getAnalytics };
+}
+
+module.exports = { createAnalyticsService, summarizeZone };
@@ -0,0 +1,179 @@
+const EventEmitter = require('events');
+const Anomaly = require('../models/Anomaly');
+const { trainSeasonalModel, slotOf, SLOT_MINUTES, WEEKDAYS } = require('./forecasting');
+const logger = require('./logger');
+
+// Smoothed score (in standard deviations) at which an anomaly starts; it
+// ends once the score falls below CLEAR_RATIO of that
+const ANOMALY_THRESHOLD = Number(process.env.ANOMALY_THRESHOLD) || 3;
+const CLEAR_RATIO = 0.6;
+// Baseline slots need this many stored readings to be trusted (720 = one
+// hour of 5-second readings)
+const ANOMALY_MIN_SAMPLES = Number(process.env.ANOMALY_MIN_SAMPLES) || 720;
+
+// Scores are exponentially smoothed so a single odd reading doesn't count
+const SMOOTHING = 0.3;
+// Floor for the baseline spread, so near-constant zones don't flag every
+// small change
+const MIN_STD = 2;
+// A growing anomaly is saved again once its score rose by this much
+const UPDATE_STEP = 0.5;
+
+const MODEL_TTL = 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function slotTime(slot) {
+  const minutes = slot * SLOT_MINUTES;
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Most specific baseline with enough history: same weekday and time, same
+// time of day, or the zone overall
+function baselineFor(model, date) {
+  const { dow, slot } = slotOf(date);
+  const candidates = [
+    { stats: model.weekly[`${dow}:${slot}`], baseline: 'weekly', context: `on ${WEEKDAYS[dow]} around ${slotTime(slot)}` },
+    { stats: model.daily[slot], baseline: 'daily', context: `around ${slotTime(slot)}` },
+    { stats: model.overall, baseline: 'overall', context: 'overall' }
+  ];
+  const found = candidates.find(c => c.stats && c.stats.count >= ANOMALY_MIN_SAMPLES);
+  return found ? { ...found.stats, baseline: found.baseline, context: found.context } : null;
+}
+
+function explain(zoneName, population, expected, score) {
+  const usual = `${Math.round(expected.mean)} ± ${Math.round(expected.std)}`;
+  const direction = score > 0 ? 'above' : 'below';
+  return `${zoneName} has ${population} people; usually ${usual} ${expected.context} ` +
+    `(${Math.abs(score).toFixed(1)}σ ${direction} normal)`;
+}
+
+// Learns each zone's normal population by day-of-week and time-of-day from
+// stored history (the forecaster's seasonal model), scores every reading
+// against it and tracks anomalies: started when the smoothed score crosses
+// ANOMALY_THRESHOLD, updated while it grows, ended once it falls back.
+// Emits 'anomaly' with (action, anomaly) for started | updated | ended.
+function createAnomalyDetector(options = {}) {
+  const now = options.now || Date.now;
+  const threshold = options.threshold || ANOMALY_THRESHOLD;
+  const events = new EventEmitter();
+
+  let models = null;
+  let trainedAt = 0;
+  let training = null;
+  // zoneId -> smoothed score
+  const scores = new Map();
+  // zoneId -> active anomaly document
+  const active = new Map();
+
+  function emit(action, anomaly) {
+    events.emit('anomaly', action, anomaly);
+  }
+
+  // Retrain in the background so the update loop never waits for it
+  function refreshModels() {
+    if (training || (models && now() - trainedAt < MODEL_TTL)) return;
+    training = trainSeasonalModel(now())
+      .then(trained => {
+        models = trained;
+        trainedAt = now();
+      })
+      .catch(error => {
+        logger.error('❌ Error training anomaly baseline', { error: error.message });
+      })
+      .finally(() => {
+        training = null;
+      });
+  }
+
+  async function start(reading, score, expected, at) {
+    const anomaly = await Anomaly.create({
+      zoneId: reading.zoneId,
+      zoneName: reading.zoneName,
+      direction: score > 0 ? 'high' : 'low',
+      score: Number(score.toFixed(2)),
+      population: reading.population,
+      expected: Math.round(expected.mean),
+      expectedStd: Math.round(expected.std),
+      baseline: expected.baseline,
+      explanation: explain(reading.zoneName, reading.population, expected, score),
+      timestamp: at,
+      peakAt: at
+    });
+
+    active.set(reading.zoneId, anomaly);
+    logger.info(`🔍 Anomaly: ${anomaly.explanation}`, { zoneId: anomaly.zoneId });
+    emit('started', anomaly);
+  }
+
+  async function grow(anomaly, reading, score, expected, at) {
+    anomaly.set({
+      score: Number(score.toFixed(2)),
+      population: reading.population,
+      expected: Math.round(expected.mean),
+      expectedStd: Math.round(expected.std),
+      baseline: expected.baseline,
+      explanation: explain(reading.zoneName, reading.population, expected, score),
+      peakAt: at
+    });
+    await anomaly.save();
+    emit('updated', anomaly);
+  }
+
+  async function end(zoneId, at) {
+    const anomaly = active.get(zoneId);
+    active.delete(zoneId);
+
+    anomaly.state = 'ended';
+    anomaly.endedAt = at;
+    await anomaly.save();
+    emit('ended', anomaly);
+  }
+
+  // Score one update cycle's readings
+  async function evaluate(readings) {
+    refreshModels();
+    if (!models) return;
+
+    const at = new Date(now());
+    for (const reading of readings) {
+      const model = models[reading.zoneId];
+      const expected = model && baselineFor(model, at);
+      if (!expected) continue;
+
+      const std = Math.max(expected.std, MIN_STD);
+      const raw = (reading.population - expected.mean) / std;
+      const previous = scores.get(reading.zoneId);
+      const score = previous === undefined ? raw : previous + SMOOTHING * (raw - previous);
+      scores.set(reading.zoneId, score);
+
+      const anomaly = active.get(reading.zoneId);
+      const expectedWithFloor = { ...expected, std };
+      if (!anomaly) {
+        if (Math.abs(score) >= threshold) await start(reading, score, expectedWithFloor, at);
+      } else if (Math.abs(score) < threshold * CLEAR_RATIO || Math.sign(score) !== Math.sign(anomaly.score)) {
+        await end(reading.zoneId, at);
+      } else if (Math.abs(score) >= Math.abs(anomaly.score) + UPDATE_STEP) {
+        await grow(anomaly, reading, score, expectedWithFloor, at);
+      }
+    }
+  }
+
+  // Pick up anomalies that were still active when the server last stopped
+  async function init() {
+    const open = await Anomaly.find({ state: 'active' });
+    open.forEach(anomaly => active.set(anomaly.zoneId, anomaly));
+    refreshModels();
+  }
+
+  return {
+    init,
+    evaluate,
+
+    on(event, listener) {
+      events.on(event, listener);
+    }
+  };
+}
+
+module.exports = { createAnomalyDetector };
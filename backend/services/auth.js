@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { isDatabaseConnected } = require('./writeBuffer');
+const logger = require('./logger');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long a looked-up account is trusted before it is read again
+const USER_CACHE_MS = 30 * 1000;
+// How long into a MongoDB outage a looked-up account is still trusted
+const USER_OUTAGE_GRACE_MS = 5 * 60 * 1000;
+// User ID -> { user, loadedAt }; user is null for deleted / disabled accounts
+const userCache = new Map();
+
+let secret = process.env.JWT_SECRET;
+
+// Without JWT_SECRET tokens are signed with a per-process secret, so every
+// session ends when the server restarts
+function getSecret() {
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('⚠️  JWT_SECRET is not set - using a random secret, tokens will not survive a restart');
+  }
+  return secret;
+}
+
+function issueToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), username: user.username, role: user.role },
+    getSecret(),
+    { expiresIn: TOKEN_TTL }
+  );
+}
+
+// Returns { id, username, role } or null for a missing / invalid token
+function verifyToken(token) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return { id: payload.sub, username: payload.username, role: payload.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+// The account behind verified token claims as it is stored now - with its
+// current role - or null when it was deleted or disabled. Lookups are
+// cached for USER_CACHE_MS. While MongoDB is unreachable, accounts looked up
+// within USER_OUTAGE_GRACE_MS are still served from the cache; for any other
+// the token alone is not trusted and an error with `unavailable` set is
+// thrown.
+async function resolveUser(claims) {
+  if (!claims) return null;
+
+  const cached = userCache.get(claims.id);
+  const age = cached ? Date.now() - cached.loadedAt : Infinity;
+  if (age < USER_CACHE_MS) return cached.user;
+  if (!isDatabaseConnected()) {
+    if (age < USER_OUTAGE_GRACE_MS) return cached.user;
+    const error = new Error('Authentication is unavailable while the database is unreachable');
+    error.unavailable = true;
+    throw error;
+  }
+
+  const doc = mongoose.isValidObjectId(claims.id) ? await User.findById(claims.id).lean() : null;
+  const user = doc && doc.enabled ? { id: String(doc._id), username: doc.username, role: doc.role } : null;
+  userCache.set(claims.id, { user, loadedAt: Date.now() });
+  return user;
+}
+
+// Drop a cached account after it was changed, disabled or deleted
+function forgetUser(id) {
+  userCache.delete(String(id));
+}
+
+function hasRole(user, role) {
+  return User.ROLES.indexOf(user.role) >= User.ROLES.indexOf(role);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Check credentials; returns the user (and records the login) or null
+async function login(username, password) {
+  if (!username || !password) return null;
+
+  const user = await User.findOne({ username: String(username).toLowerCase() }).select('+passwordHash');
+  if (!user || !user.enabled || !(await user.checkPassword(password))) return null;
+
+  user.lastLoginAt = new Date();
+  await user.save();
+  return user;
+}
+
+// Create the first admin account on an empty user collection, from
+// ADMIN_USERNAME / ADMIN_PASSWORD or with a generated password
+async function ensureAdminUser() {
+  if (await User.countDocuments() > 0) return;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+  const admin = new User({ username, name: 'Administrator', role: 'admin' });
+  await admin.setPassword(password);
+  await admin.save();
+
+  logger.info(`🔑 Created admin user "${username}"`);
+  if (generated) {
+    logger.info(`   Generated password: ${password} (set ADMIN_PASSWORD to choose one)`);
+  }
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  resolveUser,
+  forgetUser,
+  hasRole,
+  validatePassword,
+  login,
+  ensureAdminUser
+};
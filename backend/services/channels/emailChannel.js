@@ -0,0 +1,34 @@
+const nodemailer = require('nodemailer');
+
+// Send the notification as a plain-text email over SMTP
+async function send(channel, notification) {
+  const { host, port, secure, allowInsecureTls, user, pass, from, to } = channel.email;
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    // Certificates are verified unless the channel opts out (e.g. a test
+    // server with a self-signed certificate)
+    tls: { rejectUnauthorized: !allowInsecureTls }
+  });
+
+  try {
+    await transport.sendMail({
+      from,
+      to: to.join(', '),
+      subject: notification.subject,
+      text: notification.text
+    });
+    return {};
+  } catch (error) {
+    // Permanent SMTP failures (5xx) won't succeed on retry
+    error.retryable = !(error.responseCode >= 500);
+    throw error;
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = { send };
@@ -0,0 +1,56 @@
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+
+// Syslog severities (RFC 5424) for alert severities
+const SYSLOG_SEVERITY = {
+  critical: 2,
+  warning: 4,
+  info: 6
+};
+
+// Format an RFC 5424 message
+function formatMessage(channel, notification) {
+  const { facility, appName } = channel.syslog;
+  const priority = facility * 8 + SYSLOG_SEVERITY[notification.alert.severity];
+  const timestamp = new Date().toISOString();
+  return `<${priority}>1 ${timestamp} ${os.hostname()} ${appName} ${process.pid} ALERT - ${notification.subject}: ${notification.alert.message}`;
+}
+
+function sendUdp(host, port, message) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+    socket.send(Buffer.from(message), port, host, (error) => {
+      socket.close();
+      if (error) reject(error);
+      else resolve();
+    });
+  });
+}
+
+// TCP uses octet-counting framing (RFC 6587)
+function sendTcp(host, port, message) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port, timeout: 5000 }, () => {
+      socket.end(`${Buffer.byteLength(message)} ${message}`, resolve);
+    });
+    socket.on('timeout', () => socket.destroy(new Error('Syslog connection timed out')));
+    socket.on('error', reject);
+  });
+}
+
+async function send(channel, notification) {
+  const { host, port, protocol } = channel.syslog;
+  const message = formatMessage(channel, notification);
+
+  try {
+    if (protocol === 'tcp') await sendTcp(host, port, message);
+    else await sendUdp(host, port, message);
+    return {};
+  } catch (error) {
+    error.retryable = true;
+    throw error;
+  }
+}
+
+module.exports = { send };
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// POST the notification as JSON. When a secret is configured the request
+// carries X-Crowd-Timestamp and X-Crowd-Signature: sha256=HMAC(secret,
+// "<timestamp>.<body>") so receivers can verify origin and reject replays.
+function send(channel, notification) {
+  const { url, secret, timeoutMs } = channel.webhook;
+  const body = JSON.stringify(notification.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    'User-Agent': 'crowd-management-notifier',
+    'X-Crowd-Event': notification.payload.event,
+    'X-Crowd-Timestamp': timestamp
+  };
+  if (secret) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    headers['X-Crowd-Signature'] = `sha256=${signature}`;
+  }
+
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method: 'POST', headers, timeout: timeoutMs || 5000 }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ responseCode: res.statusCode });
+          return;
+        }
+
+        const error = new Error(`Webhook responded with HTTP ${res.statusCode}`);
+        error.responseCode = res.statusCode;
+        // Client errors won't succeed on retry, except rate limiting
+        error.retryable = res.statusCode >= 500 || res.statusCode === 429;
+        reject(error);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeoutMs || 5000} ms`)));
+    req.on('error', (error) => {
+      error.retryable = true;
+      reject(error);
+    });
+    req.end(body);
+  });
+}
+
+module.exports = { send };
@@ -0,0 +1,173 @@
+const DBSCAN = require('density-clustering').DBSCAN;
+
+// Campus-wide DBSCAN defaults (DBSCAN_EPSILON is in campus-map metres)
+const DEFAULT_EPSILON = Number(process.env.DBSCAN_EPSILON) || 8;
+const DEFAULT_MIN_POINTS = Number(process.env.DBSCAN_MIN_POINTS) || 5;
+
+// DBSCAN is O(n²) - larger zones are clustered on a random sample and
+// member counts scaled back up
+const MAX_POINTS_PER_ZONE = Number(process.env.DBSCAN_MAX_POINTS_PER_ZONE) || 300;
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+// Zones may override the defaults with `dbscan: { epsilon, minPoints }`
+function getClusterParams(zone) {
+  const overrides = (zone && zone.dbscan) || {};
+  return {
+    epsilon: overrides.epsilon || DEFAULT_EPSILON,
+    minPoints: overrides.minPoints || DEFAULT_MIN_POINTS
+  };
+}
+
+function samplePoints(points, max) {
+  if (points.length <= max) return points;
+
+  const sample = points.slice(0, max);
+  for (let i = max; i < points.length; i++) {
+    const j = Math.floor(Math.random() * (i + 1));
+    if (j < max) sample[j] = points[i];
+  }
+  return sample;
+}
+
+// Run DBSCAN over the device positions of a single zone
+function clusterZone(reading, params) {
+  const points = samplePoints(reading.points || [], MAX_POINTS_PER_ZONE);
+  if (points.length === 0) return [];
+
+  // Each sampled point stands in for this many devices
+  const weight = reading.population / points.length;
+
+  const dbscan = new DBSCAN();
+  return dbscan.run(points, params.epsilon, params.minPoints).map(indices => ({
+    zoneIds: [reading.zoneId],
+    points: indices.map(i => points[i]),
+    weight,
+    epsilon: params.epsilon,
+    minPoints: params.minPoints
+  }));
+}
+
+function centroidOf(points) {
+  const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+function touches(a, b, epsilon) {
+  // Cheap reject before comparing every pair of points
+  const ca = centroidOf(a.points);
+  const cb = centroidOf(b.points);
+  const ra = Math.max(...a.points.map(p => distance(p, ca)));
+  const rb = Math.max(...b.points.map(p => distance(p, cb)));
+  if (distance(ca, cb) > ra + rb + epsilon) return false;
+
+  return a.points.some(p => b.points.some(q => distance(p, q) <= epsilon));
+}
+
+// Merge hotspots from neighbouring zones that are within reach of each
+// other, so a crowd straddling a zone boundary is reported as one cluster
+function mergeAcrossZones(clusters) {
+  const parent = clusters.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < clusters.length; i++) {
+    for (let j = i + 1; j < clusters.length; j++) {
+      if (clusters[i].zoneIds[0] === clusters[j].zoneIds[0]) continue;
+
+      const epsilon = Math.max(clusters[i].epsilon, clusters[j].epsilon);
+      if (touches(clusters[i], clusters[j], epsilon)) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  clusters.forEach((cluster, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(cluster);
+  });
+
+  return Array.from(groups.values());
+}
+
+// Reduce a group of raw clusters to centroid, radius, member count and
+// peak density (devices per square metre around the busiest point)
+function summarizeCluster(group) {
+  const members = [];
+  group.forEach(cluster => {
+    cluster.points.forEach(point => members.push({ point, weight: cluster.weight }));
+  });
+
+  const points = members.map(m => m.point);
+  const centroid = centroidOf(points);
+  const radius = Math.max(...points.map(p => distance(p, centroid)));
+  const epsilon = Math.max(...group.map(c => c.epsilon));
+  const memberCount = Math.round(members.reduce((sum, m) => sum + m.weight, 0));
+
+  let peakNeighbours = 0;
+  members.forEach(a => {
+    const neighbours = members
+      .filter(b => distance(a.point, b.point) <= epsilon)
+      .reduce((sum, b) => sum + b.weight, 0);
+    peakNeighbours = Math.max(peakNeighbours, neighbours);
+  });
+
+  return {
+    zoneIds: Array.from(new Set(group.flatMap(c => c.zoneIds))),
+    centroid: centroid.map(v => Number(v.toFixed(2))),
+    radius: Number(radius.toFixed(2)),
+    memberCount,
+    peakDensity: Number((peakNeighbours / (Math.PI * epsilon * epsilon)).toFixed(3)),
+    epsilon,
+    minPoints: Math.min(...group.map(c => c.minPoints))
+  };
+}
+
+// Apply DBSCAN clustering to detect crowd hotspots from device positions;
+// every reading and hotspot is stamped with `timestamp`
+function applyDBSCAN(zoneData, zones, statusTracker, timestamp = new Date()) {
+  const rawClusters = zoneData.flatMap(reading => {
+    const zone = zones.find(z => z.id === reading.zoneId);
+    return clusterZone(reading, getClusterParams(zone));
+  });
+
+  // Largest hotspot first; cluster IDs are 1-based, 0 means "no hotspot"
+  const clusters = mergeAcrossZones(rawClusters)
+    .map(summarizeCluster)
+    .sort((a, b) => b.memberCount - a.memberCount)
+    .map((cluster, idx) => ({ clusterId: idx + 1, ...cluster, timestamp }));
+
+  const clusteredData = zoneData.map(zone => {
+    const definition = zones.find(z => z.id === zone.zoneId);
+
+    // The zone's cluster is the largest hotspot it takes part in
+    const dominant = clusters.find(c => c.zoneIds.includes(zone.zoneId));
+
+    // Calculate density based on population and capacity
+    const density = Math.floor((zone.population / zone.capacity) * 120);
+
+    // Determine crowd status from the zone's threshold profile, with
+    // hysteresis and minimum dwell applied by the status tracker
+    const percentage = (zone.population / zone.capacity) * 100;
+    const status = statusTracker.classify(definition || { id: zone.zoneId }, percentage);
+
+    return {
+      zoneId: zone.zoneId,
+      zoneName: zone.zoneName,
+      population: zone.population,
+      deviceCount: zone.deviceCount || 0,
+      density: density,
+      cluster: dominant ? dominant.clusterId : 0,
+      capacity: zone.capacity,
+      status: status,
+      timestamp: timestamp
+    };
+  });
+
+  return { zones: clusteredData, clusters };
+}
+
+module.exports = { applyDBSCAN };
@@ -0,0 +1,81 @@
+const { Readable } = require('stream');
+const Zone = require('../models/Zone');
+
+// Columns written for raw readings and for bucketed history
+const RAW_COLUMNS = ['timestamp', 'zoneId', 'zoneName', 'population', 'deviceCount', 'density', 'capacity', 'status', 'cluster'];
+const BUCKET_COLUMNS = ['timestamp', 'zoneId', 'zoneName', 'capacity', 'minPopulation', 'maxPopulation', 'avgPopulation', 'peakStatus', 'samples'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Bucketed history is paged through the retention service this many rows at a time
+const PAGE_SIZE = 5000;
+
+// Excel needs the byte order mark to read the file as UTF-8
+const UTF8_BOM = '\uFEFF';
+
+// Quote a CSV cell. Text a spreadsheet would evaluate as a formula is
+// prefixed with an apostrophe.
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// Raw readings come straight from a cursor; bucketed history is read from
+// the retention service (and so from the rollups for long ranges)
+async function* historyRows(retention, zoneIds, options) {
+  if (!options.bucket) {
+    const cursor = Zone.find({ zoneId: { $in: zoneIds }, timestamp: { $gte: options.from, $lte: options.to } })
+      .sort({ timestamp: 1, zoneId: 1 })
+      .allowDiskUse(true)
+      .lean()
+      .cursor();
+    try {
+      for await (const doc of cursor) yield doc;
+    } finally {
+      await cursor.close();
+    }
+    return;
+  }
+
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const { data } = await retention.getHistory(zoneIds, { ...options, skip, limit: PAGE_SIZE });
+    for (const row of data) yield row;
+    if (data.length < PAGE_SIZE) return;
+  }
+}
+
+async function* formatRows(rows, columns, format) {
+  if (format === 'csv') {
+    yield UTF8_BOM + csvRow(columns);
+    for await (const row of rows) yield csvRow(columns.map(column => row[column]));
+    return;
+  }
+
+  for await (const row of rows) {
+    yield `${JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column]])))}\n`;
+  }
+}
+
+// Readable stream of zone history between options.from and options.to in
+// `format` (csv or ndjson), raw or downsampled to options.bucket
+function exportHistory(retention, zoneIds, options, format) {
+  const columns = options.bucket ? BUCKET_COLUMNS : RAW_COLUMNS;
+  return Readable.from(formatRows(historyRows(retention, zoneIds, options), columns, format));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  UTF8_BOM,
+  csvRow,
+  exportHistory
+};
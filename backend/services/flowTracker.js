@@ -0,0 +1,166 @@
+const { ZoneFlow, ZoneTransition } = require('../models/ZoneFlow');
+const logger = require('./logger');
+
+// Length of each stored flow interval
+const FLOW_INTERVAL_MINUTES = Number(process.env.FLOW_INTERVAL_MINUTES) || 5;
+
+const floorTo = (t, ms) => t - (t % ms);
+
+const MODELS = { ZoneFlow, ZoneTransition };
+
+// Estimates how many people enter and leave each zone per interval and,
+// when the data source tracks individual devices, where they came from and
+// went to. Movements are accumulated in memory and written out once per
+// interval, through `writeBuffer` (see writeBuffer.js) when one is given.
+function createFlowTracker(options = {}) {
+  const now = options.now || Date.now;
+  const intervalMs = (options.intervalMinutes || FLOW_INTERVAL_MINUTES) * 60 * 1000;
+  const write = options.writeBuffer
+    ? (model, docs) => options.writeBuffer.write(model, docs)
+    : (model, docs) => MODELS[model].insertMany(docs);
+
+  let previousCounts = null;
+  let previousDevices = null;
+  let bucket = null;
+
+  function newBucket(start) {
+    return { start, zones: {}, transitions: new Map(), method: 'net' };
+  }
+
+  function zoneFlow(zoneId) {
+    return bucket.zones[zoneId] || (bucket.zones[zoneId] = { inflow: 0, outflow: 0 });
+  }
+
+  function move(from, to) {
+    if (from) zoneFlow(from).outflow++;
+    if (to) zoneFlow(to).inflow++;
+    const key = JSON.stringify([from, to]);
+    bucket.transitions.set(key, (bucket.transitions.get(key) || 0) + 1);
+  }
+
+  // Compare each device's zone with the previous update
+  function recordDevices(deviceZones) {
+    bucket.method = 'devices';
+    deviceZones.forEach((zoneId, deviceId) => {
+      const before = previousDevices.get(deviceId);
+      if (before === undefined) {
+        move(null, zoneId);
+      } else if (before !== zoneId) {
+        move(before, zoneId);
+      }
+    });
+    previousDevices.forEach((zoneId, deviceId) => {
+      if (!deviceZones.has(deviceId)) move(zoneId, null);
+    });
+  }
+
+  // Without device identities only the net change per zone is known
+  function recordCounts(readings) {
+    readings.forEach(reading => {
+      const delta = reading.population - (previousCounts[reading.zoneId] || 0);
+      const flow = zoneFlow(reading.zoneId);
+      if (delta > 0) flow.inflow += delta;
+      if (delta < 0) flow.outflow -= delta;
+    });
+  }
+
+  async function flush() {
+    if (!bucket) return;
+    const { start, zones, transitions, method } = bucket;
+    bucket = null;
+
+    const timestamp = new Date(start);
+    const flows = Object.entries(zones).map(([zoneId, flow]) => ({ zoneId, timestamp, method, ...flow }));
+    const moves = Array.from(transitions, ([key, count]) => {
+      const [from, to] = JSON.parse(key);
+      return { from, to, timestamp, count };
+    });
+
+    try {
+      if (flows.length > 0) await write('ZoneFlow', flows);
+      if (moves.length > 0) await write('ZoneTransition', moves);
+    } catch (error) {
+      logger.error('❌ Error saving zone flows', { error: error.message });
+    }
+  }
+
+  // Called once per update cycle with the readings and, when the source
+  // provides it, a Map of hashed device ID -> zone ID
+  async function record(readings, deviceZones) {
+    const start = floorTo(now(), intervalMs);
+    if (bucket && bucket.start !== start) await flush();
+    if (!bucket) bucket = newBucket(start);
+
+    // Every zone gets a row per interval, even without movement
+    readings.forEach(reading => zoneFlow(reading.zoneId));
+
+    if (deviceZones && previousDevices) {
+      recordDevices(deviceZones);
+    } else if (previousCounts) {
+      recordCounts(readings);
+    }
+
+    previousDevices = deviceZones ? new Map(deviceZones) : null;
+    previousCounts = Object.fromEntries(readings.map(r => [r.zoneId, r.population]));
+  }
+
+  // Inflow / outflow per zone, summed into `bucketMs` buckets
+  async function getFlows(zoneIds, { from, to, bucketMs }) {
+    const width = Math.max(bucketMs || intervalMs, intervalMs);
+    const rows = await ZoneFlow.aggregate([
+      { $match: { zoneId: { $in: zoneIds }, timestamp: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: {
+            zoneId: '$zoneId',
+            bucket: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, width] }] }
+          },
+          inflow: { $sum: '$inflow' },
+          outflow: { $sum: '$outflow' },
+          devices: { $min: { $cond: [{ $eq: ['$method', 'devices'] }, 1, 0] } }
+        }
+      },
+      { $sort: { '_id.bucket': 1, '_id.zoneId': 1 } }
+    ]);
+
+    return rows.map(row => ({
+      zoneId: row._id.zoneId,
+      timestamp: new Date(row._id.bucket),
+      inflow: row.inflow,
+      outflow: row.outflow,
+      net: row.inflow - row.outflow,
+      method: row.devices ? 'devices' : 'net'
+    }));
+  }
+
+  // Origin-destination matrix: device movements between zones (null = off
+  // campus), optionally limited to movements touching `zoneIds`
+  async function getMatrix({ from, to, zoneIds }) {
+    const match = { timestamp: { $gte: from, $lte: to } };
+    if (zoneIds && zoneIds.length > 0) {
+      match.$or = [{ from: { $in: zoneIds } }, { to: { $in: zoneIds } }];
+    }
+
+    const rows = await ZoneTransition.aggregate([
+      { $match: match },
+      { $group: { _id: { from: '$from', to: '$to' }, count: { $sum: '$count' } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    return rows.map(row => ({ from: row._id.from, to: row._id.to, count: row.count }));
+  }
+
+  return {
+    intervalMs,
+    record,
+    flush,
+    getFlows,
+    getMatrix,
+
+    // Write out the interval in progress on shutdown; the next run adds its
+    // own row for the rest of that interval
+    stop: flush
+  };
+}
+
+module.exports = { createFlowTracker };
@@ -0,0 +1,224 @@
+const Zone = require('../models/Zone');
+const { ZoneRollupMinute } = require('../models/ZoneRollup');
+
+const SLOT_MINUTES = Number(process.env.FORECAST_SLOT_MINUTES) || 30;
+const TRAINING_DAYS = Number(process.env.FORECAST_TRAINING_DAYS) || 28;
+const TIMEZONE = process.env.FORECAST_TIMEZONE || 'UTC';
+
+// Recent deviation from the seasonal baseline is smoothed with this factor
+// and decays by DAMPING per hour of forecast horizon
+const ALPHA = 0.3;
+const DAMPING = 0.8;
+const RECENT_MINUTES = 120;
+
+// 95% confidence interval
+const Z_SCORE = 1.96;
+
+const MODEL_TTL = 10 * 60 * 1000;
+const RESIDUAL_TTL = 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const slotFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  weekday: 'short',
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23'
+});
+
+// Day-of-week / time-of-day slot of a date in the forecasting timezone
+function slotOf(date) {
+  const parts = {};
+  slotFormatter.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return {
+    dow: WEEKDAYS.indexOf(parts.weekday),
+    slot: Math.floor((Number(parts.hour) * 60 + Number(parts.minute)) / SLOT_MINUTES)
+  };
+}
+
+function localParts(field) {
+  return { [field]: { date: '$timestamp', timezone: TIMEZONE } };
+}
+
+// Seasonal baseline per zone: mean, spread and sample count of population
+// for every day-of-week x time-of-day slot, with time-of-day and overall
+// fallbacks. Trained on the minute rollups, which outlive the raw readings.
+async function trainSeasonalModel(now) {
+  const since = new Date(now - TRAINING_DAYS * 24 * 60 * 60 * 1000);
+  const rows = await ZoneRollupMinute.aggregate([
+    { $match: { timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          zoneId: '$zoneId',
+          dow: { $subtract: [localParts('$dayOfWeek'), 1] },
+          slot: {
+            $floor: {
+              $divide: [{ $add: [{ $multiply: [localParts('$hour'), 60] }, localParts('$minute')] }, SLOT_MINUTES]
+            }
+          }
+        },
+        sum: { $sum: '$sumPopulation' },
+        sumSq: { $sum: '$sumSqPopulation' },
+        count: { $sum: '$samples' }
+      }
+    }
+  ]);
+
+  const finalize = acc => {
+    const mean = acc.sum / acc.count;
+    return { mean, std: Math.sqrt(Math.max(0, acc.sumSq / acc.count - mean * mean)), count: acc.count };
+  };
+
+  const zones = {};
+  rows.forEach(row => {
+    const { zoneId, dow, slot } = row._id;
+    const model = zones[zoneId] || (zones[zoneId] = { weekly: {}, daily: {}, overall: { sum: 0, sumSq: 0, count: 0 } });
+    model.weekly[`${dow}:${slot}`] = finalize(row);
+
+    // Accumulate sums so fallbacks can be derived without another query
+    [model.daily[slot] || (model.daily[slot] = { sum: 0, sumSq: 0, count: 0 }), model.overall].forEach(acc => {
+      acc.sum += row.sum;
+      acc.sumSq += row.sumSq;
+      acc.count += row.count;
+    });
+  });
+
+  Object.values(zones).forEach(model => {
+    Object.keys(model.daily).forEach(slot => { model.daily[slot] = finalize(model.daily[slot]); });
+    model.overall = finalize(model.overall);
+  });
+
+  return zones;
+}
+
+function baselineFor(model, date) {
+  const { dow, slot } = slotOf(date);
+  return model.weekly[`${dow}:${slot}`] || model.daily[slot] || model.overall;
+}
+
+// Exponentially smoothed deviation of the last couple of hours from the
+// seasonal baseline, per zone
+async function recentResiduals(models, now) {
+  const bucketMs = 5 * 60 * 1000;
+  const rows = await Zone.aggregate([
+    { $match: { timestamp: { $gte: new Date(now - RECENT_MINUTES * 60 * 1000) } } },
+    {
+      $group: {
+        _id: { zoneId: '$zoneId', bucket: { $floor: { $divide: [{ $toLong: '$timestamp' }, bucketMs] } } },
+        population: { $avg: '$population' }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ]);
+
+  const residuals = {};
+  rows.forEach(row => {
+    const model = models[row._id.zoneId];
+    if (!model) return;
+
+    const expected = baselineFor(model, new Date(row._id.bucket * bucketMs)).mean;
+    const residual = row.population - expected;
+    const state = residuals[row._id.zoneId];
+    if (!state) {
+      residuals[row._id.zoneId] = { level: residual, variance: 0 };
+    } else {
+      const error = residual - state.level;
+      state.level += ALPHA * error;
+      state.variance = (1 - ALPHA) * (state.variance + ALPHA * error * error);
+    }
+  });
+
+  return residuals;
+}
+
+// Seasonal baseline (day-of-week x time-of-day) plus damped exponential
+// smoothing of recent residuals, trained on stored Zone history
+function createForecaster(options = {}) {
+  const now = options.now || Date.now;
+  let models = null;
+  let modelTrainedAt = 0;
+  let residuals = {};
+  let residualsAt = 0;
+
+  async function refresh() {
+    const t = now();
+    if (!models || t - modelTrainedAt > MODEL_TTL) {
+      models = await trainSeasonalModel(t);
+      modelTrainedAt = t;
+      residualsAt = 0;
+    }
+    if (t - residualsAt > RESIDUAL_TTL) {
+      residuals = await recentResiduals(models, t);
+      residualsAt = t;
+    }
+  }
+
+  function forecastZone(zoneId, horizonHours, stepMinutes) {
+    const model = models[zoneId];
+    if (!model) return [];
+
+    const residual = residuals[zoneId] || { level: 0, variance: 0 };
+    const start = now();
+    const points = [];
+
+    for (let minutes = stepMinutes; minutes <= horizonHours * 60; minutes += stepMinutes) {
+      const timestamp = new Date(start + minutes * 60 * 1000);
+      const hoursAhead = minutes / 60;
+      const baseline = baselineFor(model, timestamp);
+
+      const mean = Math.max(0, baseline.mean + residual.level * DAMPING ** hoursAhead);
+      const variance = baseline.std ** 2 + residual.variance * hoursAhead;
+      points.push({ timestamp, population: mean, variance });
+    }
+
+    return points;
+  }
+
+  function withInterval(point) {
+    const margin = Z_SCORE * Math.sqrt(point.variance);
+    return {
+      timestamp: point.timestamp,
+      population: Math.round(point.population),
+      lower: Math.max(0, Math.round(point.population - margin)),
+      upper: Math.round(point.population + margin)
+    };
+  }
+
+  return {
+    async forecastZone(zoneId, horizonHours, stepMinutes) {
+      await refresh();
+      return forecastZone(zoneId, horizonHours, stepMinutes).map(withInterval);
+    },
+
+    // Campus-wide total (zones treated as independent for the interval)
+    // plus the individual zone forecasts
+    async forecastCampus(zoneIds, horizonHours, stepMinutes) {
+      await refresh();
+
+      const perZone = {};
+      const total = [];
+      zoneIds.forEach(zoneId => {
+        const points = forecastZone(zoneId, horizonHours, stepMinutes);
+        if (points.length === 0) return;
+
+        perZone[zoneId] = points.map(withInterval);
+        points.forEach((point, idx) => {
+          if (!total[idx]) total[idx] = { timestamp: point.timestamp, population: 0, variance: 0 };
+          total[idx].population += point.population;
+          total[idx].variance += point.variance;
+        });
+      });
+
+      return { total: total.map(withInterval), zones: perZone };
+    }
+  };
+}
+
+module.exports = {
+  createForecaster,
+  trainSeasonalModel,
+  slotOf,
+  SLOT_MINUTES,
+  WEEKDAYS
+};
@@ -0,0 +1,129 @@
+const client = require('prom-client');
+const { STATUS_LEVELS } = require('../models/ZoneRollup');
+
+// Prometheus metrics served at /metrics. Each server gets its own registry,
+// so several can run in one process (as in the tests).
+//
+// options:
+//   socketClients    - () => connected Socket.IO clients
+//   writeBufferDepth - () => batches waiting for MongoDB
+function createMetrics(options = {}) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  const zonePopulation = new client.Gauge({
+    name: 'crowd_zone_population',
+    help: 'People in the zone at the latest reading',
+    labelNames: ['zone_id', 'zone_name'],
+    registers: [register]
+  });
+  const zoneOccupancy = new client.Gauge({
+    name: 'crowd_zone_occupancy_ratio',
+    help: 'Population divided by capacity at the latest reading',
+    labelNames: ['zone_id'],
+    registers: [register]
+  });
+  const zonesByStatus = new client.Gauge({
+    name: 'crowd_zones',
+    help: 'Zones in each status at the latest reading',
+    labelNames: ['status'],
+    registers: [register]
+  });
+  const updateCycleDuration = new client.Histogram({
+    name: 'crowd_update_cycle_duration_seconds',
+    help: 'Time to read, cluster, store and broadcast one update',
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register]
+  });
+  const updateCycleFailures = new client.Counter({
+    name: 'crowd_update_cycle_failures_total',
+    help: 'Update cycles that failed',
+    registers: [register]
+  });
+  const dbscanDuration = new client.Histogram({
+    name: 'crowd_dbscan_duration_seconds',
+    help: 'DBSCAN clustering time per update',
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+    registers: [register]
+  });
+  const mongoWriteDuration = new client.Histogram({
+    name: 'crowd_mongo_write_duration_seconds',
+    help: 'MongoDB insert latency per batch',
+    labelNames: ['model'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5],
+    registers: [register]
+  });
+  const mongoWriteFailures = new client.Counter({
+    name: 'crowd_mongo_write_failures_total',
+    help: 'MongoDB inserts that failed',
+    labelNames: ['model'],
+    registers: [register]
+  });
+
+  if (options.socketClients) {
+    new client.Gauge({
+      name: 'crowd_socket_clients',
+      help: 'Connected Socket.IO clients',
+      registers: [register],
+      collect() {
+        this.set(options.socketClients());
+      }
+    });
+  }
+  if (options.writeBufferDepth) {
+    new client.Gauge({
+      name: 'crowd_write_buffer_batches',
+      help: 'Write batches waiting for MongoDB',
+      registers: [register],
+      collect() {
+        this.set(options.writeBufferDepth());
+      }
+    });
+  }
+
+  return {
+    contentType: register.contentType,
+
+    // Text exposition of every metric
+    render() {
+      return register.metrics();
+    },
+
+    // Replace the zone gauges with one update cycle's readings
+    recordZones(readings) {
+      zonePopulation.reset();
+      zoneOccupancy.reset();
+      const counts = {};
+      STATUS_LEVELS.forEach(status => {
+        counts[status] = 0;
+      });
+
+      readings.forEach(r => {
+        zonePopulation.set({ zone_id: r.zoneId, zone_name: r.zoneName }, r.population);
+        zoneOccupancy.set({ zone_id: r.zoneId }, r.capacity > 0 ? r.population / r.capacity : 0);
+        counts[r.status] = (counts[r.status] || 0) + 1;
+      });
+      Object.keys(counts).forEach(status => zonesByStatus.set({ status }, counts[status]));
+    },
+
+    observeUpdateCycle(seconds) {
+      updateCycleDuration.observe(seconds);
+    },
+
+    countUpdateFailure() {
+      updateCycleFailures.inc();
+    },
+
+    observeDbscan(seconds) {
+      dbscanDuration.observe(seconds);
+    },
+
+    // One insert attempt (see writeBuffer.js 'write' events)
+    observeWrite(model, seconds, error) {
+      mongoWriteDuration.observe({ model }, seconds);
+      if (error) mongoWriteFailures.inc({ model });
+    }
+  };
+}
+
+module.exports = { createMetrics };
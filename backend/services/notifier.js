@@ -0,0 +1,201 @@
+const NotificationChannel = require('../models/NotificationChannel');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const webhookChannel = require('./channels/webhookChannel');
+const emailChannel = require('./channels/emailChannel');
+const syslogChannel = require('./channels/syslogChannel');
+const logger = require('./logger');
+
+const SENDERS = {
+  webhook: webhookChannel,
+  email: emailChannel,
+  syslog: syslogChannel
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Fields the senders need that are hidden from API responses
+const SECRET_FIELDS = '+webhook.secret +email.pass';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function atLeast(severity, minimum) {
+  return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(minimum);
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Quiet hours may wrap midnight (e.g. 22:00 - 07:00)
+function inQuietHours(quietHours, date) {
+  if (!quietHours || !quietHours.start || !quietHours.end) return false;
+
+  const current = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+// Build the subject, text and JSON payload shared by all channels
+function buildNotification(action, alert) {
+  const subject = `[${alert.severity.toUpperCase()}] ${alert.zoneName}: ${alert.ruleName} (${action})`;
+  const lines = [
+    alert.message,
+    '',
+    `Zone:      ${alert.zoneName} (${alert.zoneId})`,
+    `Rule:      ${alert.ruleName}`,
+    `Severity:  ${alert.severity}`,
+    `State:     ${alert.state}`,
+    `Opened:    ${new Date(alert.openedAt).toISOString()}`
+  ];
+  if (alert.escalationLevel > 0) lines.push(`Escalated: level ${alert.escalationLevel}`);
+  if (alert.acknowledgedBy) lines.push(`Acknowledged by: ${alert.acknowledgedBy}`);
+
+  return {
+    action,
+    alert,
+    subject,
+    text: lines.join('\n'),
+    payload: {
+      event: `alert.${action}`,
+      sentAt: new Date().toISOString(),
+      alert: {
+        id: alert._id ? String(alert._id) : null,
+        ruleName: alert.ruleName,
+        type: alert.type,
+        zoneId: alert.zoneId,
+        zoneName: alert.zoneName,
+        severity: alert.severity,
+        message: alert.message,
+        value: alert.value,
+        state: alert.state,
+        escalationLevel: alert.escalationLevel,
+        openedAt: alert.openedAt,
+        acknowledgedAt: alert.acknowledgedAt,
+        acknowledgedBy: alert.acknowledgedBy,
+        resolvedAt: alert.resolvedAt
+      }
+    }
+  };
+}
+
+// Delivers alert notifications through the configured channels, applying
+// per-zone routing, severity filters and quiet hours, retrying with
+// exponential backoff and recording every attempt in the delivery log
+function createNotifier(options = {}) {
+  const now = options.now || Date.now;
+  let channels = [];
+
+  async function record(channel, notification, entry) {
+    try {
+      await NotificationDelivery.create({
+        channelId: channel._id,
+        channelName: channel.name,
+        channelType: channel.type,
+        alertId: notification.alert._id,
+        action: notification.action,
+        zoneId: notification.alert.zoneId,
+        ...entry
+      });
+    } catch (error) {
+      logger.error('❌ Error recording notification delivery', { error: error.message });
+    }
+  }
+
+  async function deliver(channel, notification) {
+    const { maxAttempts, backoffMs } = channel.retry;
+    const sender = SENDERS[channel.type];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const started = Date.now();
+      try {
+        const result = await sender.send(channel, notification);
+        await record(channel, notification, {
+          attempt,
+          status: 'delivered',
+          responseCode: result.responseCode,
+          durationMs: Date.now() - started
+        });
+        return { delivered: true, attempts: attempt };
+      } catch (error) {
+        await record(channel, notification, {
+          attempt,
+          status: 'failed',
+          detail: error.message,
+          responseCode: error.responseCode,
+          durationMs: Date.now() - started
+        });
+
+        if (error.retryable === false || attempt === maxAttempts) {
+          logger.error(`❌ ${channel.type} notification via "${channel.name}" failed`, { error: error.message });
+          return { delivered: false, attempts: attempt, error: error.message };
+        }
+        await sleep(backoffMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  // Check routing rules; returns the reason a channel is skipped, if any
+  function skipReason(channel, action, alert) {
+    if (channel.zoneIds.length > 0 && !channel.zoneIds.includes(alert.zoneId)) return 'zone';
+    if (!channel.actions.includes(action)) return 'action';
+    if (!atLeast(alert.severity, channel.minSeverity)) return 'severity';
+    if (inQuietHours(channel.quietHours, new Date(now())) && !atLeast(alert.severity, channel.quietHours.minSeverity)) {
+      return 'quiet hours';
+    }
+    return null;
+  }
+
+  async function notify(action, alert) {
+    const notification = buildNotification(action, alert);
+
+    await Promise.all(channels.map(async (channel) => {
+      const reason = skipReason(channel, action, alert);
+      if (reason === 'quiet hours') {
+        // Record suppressed deliveries so the audit log shows why nothing was sent
+        await record(channel, notification, { attempt: 0, status: 'suppressed', detail: reason });
+        return;
+      }
+      if (reason) return;
+
+      await deliver(channel, notification);
+    }));
+  }
+
+  async function loadChannels() {
+    channels = await NotificationChannel.find({ enabled: true }).select(SECRET_FIELDS).lean();
+    return channels;
+  }
+
+  // Send a synthetic alert through one channel, ignoring routing rules
+  async function sendTest(channelId) {
+    const channel = await NotificationChannel.findById(channelId).select(SECRET_FIELDS).lean();
+    if (!channel) return null;
+
+    const testAlert = {
+      _id: undefined,
+      ruleName: 'Test notification',
+      type: 'status',
+      zoneId: 'TEST',
+      zoneName: 'Test Zone',
+      severity: 'info',
+      message: `Test notification from "${channel.name}"`,
+      state: 'open',
+      escalationLevel: 0,
+      openedAt: new Date(now())
+    };
+    return deliver(channel, buildNotification('test', testAlert));
+  }
+
+  return {
+    init: loadChannels,
+    loadChannels,
+    notify,
+    sendTest
+  };
+}
+
+module.exports = { createNotifier };
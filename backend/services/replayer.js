@@ -0,0 +1,241 @@
+const Zone = require('../models/Zone');
+const { ZoneRollupMinute, ZoneRollupHour, STATUS_LEVELS } = require('../models/ZoneRollup');
+const { ZONE_FIELDS } = require('./zoneBroadcaster');
+const { RAW_RETENTION_HOURS, MINUTE_ROLLUP_RETENTION_DAYS } = require('./retention');
+const logger = require('./logger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const MIN_SPEED = 1;
+const MAX_SPEED = 60;
+// How often each replay session advances its clock and looks for a new frame
+const REPLAY_TICK_MS = Number(process.env.REPLAY_TICK_MS) || 500;
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const date = new Date(isNaN(value) ? value : Number(value));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const clampSpeed = (speed) => Math.min(Math.max(Number(speed) || MIN_SPEED, MIN_SPEED), MAX_SPEED);
+
+// A rollup row in the shape of a raw reading, at its average population
+function fromRollup(row) {
+  const population = Math.round(row.sumPopulation / row.samples);
+  return {
+    zoneId: row.zoneId,
+    zoneName: row.zoneName,
+    population,
+    deviceCount: population,
+    density: Math.floor((population / row.capacity) * 120),
+    cluster: null,
+    capacity: row.capacity,
+    status: STATUS_LEVELS[row.peakLevel]
+  };
+}
+
+// Replays stored Zone readings to one socket at a time, on demand. Each
+// session has its own clock running at 1x-60x between `from` and `to`;
+// whenever the clock passes a stored update cycle that cycle's readings are
+// sent as a `replayFrame`, in the same zone shape as live updates. Times
+// whose raw readings have expired are replayed from the minute rollups, then
+// the hourly ones, one frame per rollup bucket.
+// Play / pause / speed / seek changes are echoed as `replayState`.
+function createReplayer(zoneRegistry, options = {}) {
+  const now = options.now || Date.now;
+  const tickMs = options.tickMs || REPLAY_TICK_MS;
+
+  // The collection still holding readings from `at`
+  function modelFor(at) {
+    const age = now() - at.getTime();
+    if (age < RAW_RETENTION_HOURS * HOUR) return Zone;
+    if (age < MINUTE_ROLLUP_RETENTION_DAYS * DAY) return ZoneRollupMinute;
+    return ZoneRollupHour;
+  }
+
+  // Readings of the latest update cycle (or rollup bucket) in (after, at];
+  // without `after`, the state as of `at` even when that cycle was stored
+  // before the range
+  async function frameAt(session, after, at) {
+    const model = modelFor(at);
+    const match = { timestamp: after ? { $gt: after, $lte: at } : { $lte: at } };
+    if (session.zoneIds.length > 0) match.zoneId = { $in: session.zoneIds };
+
+    const latest = await model.findOne(match).sort({ timestamp: -1 }).select('timestamp').lean();
+    if (!latest) return null;
+
+    const rows = await model.find({ ...match, timestamp: latest.timestamp }).lean();
+    const readings = model === Zone ? rows : rows.map(fromRollup);
+    const buildings = new Map(zoneRegistry.getZones().map(z => [z.id, z.building]));
+    return {
+      timestamp: latest.timestamp,
+      source: model.collection.collectionName,
+      zones: readings.map(reading => {
+        const zone = { zoneId: reading.zoneId };
+        ZONE_FIELDS.forEach(field => { zone[field] = reading[field]; });
+        zone.building = buildings.get(reading.zoneId);
+        return zone;
+      })
+    };
+  }
+
+  function stateOf(session) {
+    return {
+      active: true,
+      playing: session.playing,
+      ended: session.position >= session.to.getTime(),
+      speed: session.speed,
+      from: session.from,
+      to: session.to,
+      position: new Date(session.position),
+      frameAt: session.frameAt
+    };
+  }
+
+  // Move the session clock forward by the wall time since the last call
+  function advance(session) {
+    const wall = now();
+    if (session.playing) {
+      session.position = Math.min(session.position + (wall - session.lastTick) * session.speed, session.to.getTime());
+    }
+    session.lastTick = wall;
+  }
+
+  async function tick(socket, session) {
+    if (session.busy || (!session.playing && !session.seeked)) return;
+    session.busy = true;
+    try {
+      advance(session);
+      const seeked = session.seeked;
+      session.seeked = false;
+
+      const frame = await frameAt(session, seeked ? null : session.frameAt, new Date(session.position));
+      if (frame) {
+        session.frameAt = frame.timestamp;
+        socket.emit('replayFrame', { ...frame, position: new Date(session.position) });
+      }
+
+      if (session.playing && session.position >= session.to.getTime()) {
+        session.playing = false;
+        socket.emit('replayState', stateOf(session));
+      }
+    } catch (error) {
+      logger.error('❌ Error replaying zone history', { socketId: socket.id, error: error.message });
+    } finally {
+      session.busy = false;
+    }
+  }
+
+  function stop(socket) {
+    const session = socket.data.replay;
+    if (!session) return;
+    clearInterval(session.timer);
+    socket.data.replay = null;
+  }
+
+  function start(socket, request) {
+    if (request === null || typeof request !== 'object' || Array.isArray(request)) {
+      return { success: false, error: 'replay:start expects an object' };
+    }
+    if (request.zoneIds !== undefined &&
+        !(Array.isArray(request.zoneIds) && request.zoneIds.every(id => typeof id === 'string'))) {
+      return { success: false, error: 'zoneIds must be an array of strings' };
+    }
+    const from = toDate(request.from);
+    const to = toDate(request.to) || new Date(now());
+    if (!from || to === null) {
+      return { success: false, error: 'from (and to) must be ISO dates or epoch milliseconds' };
+    }
+    if (from >= to) {
+      return { success: false, error: 'from must be before to' };
+    }
+
+    stop(socket);
+    const session = {
+      from,
+      to,
+      zoneIds: request.zoneIds || [],
+      speed: clampSpeed(request.speed),
+      position: from.getTime(),
+      playing: request.paused !== true,
+      seeked: true,
+      frameAt: null,
+      lastTick: now(),
+      busy: false
+    };
+    session.timer = setInterval(() => tick(socket, session), tickMs);
+    socket.data.replay = session;
+    tick(socket, session);
+    return { success: true, state: stateOf(session) };
+  }
+
+  // Apply a control message to the socket's session
+  function control(socket, action, value) {
+    const session = socket.data.replay;
+    if (!session) {
+      return { success: false, error: 'No replay in progress' };
+    }
+
+    advance(session);
+    switch (action) {
+      case 'play':
+        // Playing from the end starts over
+        if (session.position >= session.to.getTime()) {
+          session.position = session.from.getTime();
+          session.seeked = true;
+        }
+        session.playing = true;
+        break;
+      case 'pause':
+        session.playing = false;
+        break;
+      case 'speed':
+        session.speed = clampSpeed(value);
+        break;
+      case 'seek': {
+        const at = toDate(value);
+        if (!at) {
+          return { success: false, error: 'seek needs an ISO date or epoch milliseconds' };
+        }
+        session.position = Math.min(Math.max(at.getTime(), session.from.getTime()), session.to.getTime());
+        session.seeked = true;
+        break;
+      }
+      default:
+        return { success: false, error: `Unknown replay action: ${action}` };
+    }
+
+    if (session.seeked) tick(socket, session);
+    return { success: true, state: stateOf(session) };
+  }
+
+  // Register the replay handlers on a newly connected socket. Every handler
+  // answers through its acknowledgement with { success, state } or
+  // { success: false, error }. The acknowledgement is the last argument,
+  // whatever the client sent before it.
+  function attach(socket) {
+    const on = (event, handler) => socket.on(event, (...args) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const result = handler(args[0]);
+      if (ack) ack(result);
+      if (result.success) socket.emit('replayState', result.state);
+    });
+
+    on('replay:start', request => start(socket, request === undefined ? {} : request));
+    on('replay:play', () => control(socket, 'play'));
+    on('replay:pause', () => control(socket, 'pause'));
+    on('replay:speed', speed => control(socket, 'speed', speed));
+    on('replay:seek', timestamp => control(socket, 'seek', timestamp));
+    on('replay:stop', () => {
+      stop(socket);
+      return { success: true, state: { active: false } };
+    });
+    socket.on('disconnect', () => stop(socket));
+  }
+
+  return { attach };
+}
+
+module.exports = { createReplayer };
@@ -0,0 +1,286 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Alert = require('../models/Alert');
+const { ZoneRollupMinute, STATUS_LEVELS } = require('../models/ZoneRollup');
+const { csvRow, UTF8_BOM } = require('./export');
+const logger = require('./logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(__dirname, '..', 'reports');
+// Comma-separated report periods to generate automatically (empty disables)
+const REPORT_SCHEDULE = (process.env.REPORT_SCHEDULE === undefined ? 'daily,weekly' : process.env.REPORT_SCHEDULE)
+  .split(',').map(p => p.trim()).filter(Boolean);
+const REPORT_CHECK_INTERVAL = Number(process.env.REPORT_CHECK_INTERVAL) || 10 * 60 * 1000;
+
+// Periods are only reported once their minute rollups are complete
+const SETTLE_MS = 5 * 60 * 1000;
+
+const OVERCROWDED_LEVEL = STATUS_LEVELS.indexOf('overcrowded');
+const CRITICAL_LEVEL = STATUS_LEVELS.indexOf('critical');
+
+// Start of the (UTC) day or Monday-based week containing `t`
+const REPORT_PERIODS = {
+  daily: {
+    title: 'Daily',
+    start: t => t - (t % DAY),
+    length: DAY
+  },
+  weekly: {
+    title: 'Weekly',
+    start: t => {
+      const day = t - (t % DAY);
+      return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY;
+    },
+    length: 7 * DAY
+  }
+};
+
+const REPORT_FILE = /^(daily|weekly)-\d{4}-\d{2}-\d{2}\.(csv|html)$/;
+
+const COLUMNS = [
+  ['zoneId', 'Zone ID'],
+  ['zoneName', 'Zone'],
+  ['capacity', 'Capacity'],
+  ['avgPopulation', 'Avg population'],
+  ['peakPopulation', 'Peak population'],
+  ['peakOccupancy', 'Peak occupancy %'],
+  ['peakAt', 'Peak at'],
+  ['overcrowdedMinutes', 'Overcrowded minutes'],
+  ['criticalMinutes', 'Critical minutes'],
+  ['alerts', 'Alerts'],
+  ['criticalAlerts', 'Critical alerts'],
+  ['coveredMinutes', 'Minutes with data']
+];
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+function renderCsv(report) {
+  return UTF8_BOM + csvRow(COLUMNS.map(([, label]) => label)) +
+    report.zones.map(zone => csvRow(COLUMNS.map(([key]) => zone[key]))).join('');
+}
+
+function renderHtml(report) {
+  const title = `${REPORT_PERIODS[report.period].title} occupancy report: ${formatDate(report.from)}` +
+    (report.period === 'weekly' ? ` to ${formatDate(new Date(report.to - DAY))}` : '');
+  const cell = (key, value) => {
+    if (value instanceof Date) return value.toISOString().replace('T', ' ').slice(0, 16);
+    return key === 'peakOccupancy' && value !== null ? `${value}%` : value;
+  };
+  const rows = report.zones.map(zone => {
+    const flagged = zone.overcrowdedMinutes > 0 ? ' class="flagged"' : '';
+    return `<tr${flagged}>${COLUMNS.map(([key]) => `<td>${escapeHtml(cell(key, zone[key]))}</td>`).join('')}</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #0f172a; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { border: 1px solid #cbd5e1; padding: 6px 10px; text-align: left; }
+th { background: #f1f5f9; }
+tr.flagged td { background: #fef2f2; }
+.totals { margin: 1rem 0 1.5rem; color: #475569; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="totals">
+  ${report.zones.length} zones &middot;
+  ${report.totals.overcrowdedMinutes} overcrowded zone-minutes &middot;
+  ${report.totals.alerts} alerts (${report.totals.criticalAlerts} critical) &middot;
+  generated ${escapeHtml(report.generatedAt.toISOString())} (times in UTC)
+</p>
+<table>
+<thead><tr>${COLUMNS.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+// Daily and weekly occupancy reports per zone (average and peak population,
+// minutes spent overcrowded, alert counts), built from the minute rollups
+// and written to REPORTS_DIR as CSV and HTML. A periodic check writes the
+// report for each scheduled period once it has ended.
+function createReportService(options = {}) {
+  const now = options.now || Date.now;
+  const dir = options.dir || REPORTS_DIR;
+  const schedule = options.schedule || REPORT_SCHEDULE;
+  const getZones = options.getZones || (() => []);
+  let timer = null;
+  let running = false;
+
+  // Bounds of the period of type `period` containing `date`
+  function periodBounds(period, date) {
+    const { start, length } = REPORT_PERIODS[period];
+    const from = start(date.getTime());
+    return { from: new Date(from), to: new Date(from + length) };
+  }
+
+  async function buildReport(period, { from, to }) {
+    const zones = getZones();
+    const zoneIds = zones.map(z => z.id);
+
+    const [usage, alerts] = await Promise.all([
+      ZoneRollupMinute.aggregate([
+        { $match: { zoneId: { $in: zoneIds }, timestamp: { $gte: from, $lt: to } } },
+        { $sort: { maxPopulation: -1, timestamp: 1 } },
+        {
+          $group: {
+            _id: '$zoneId',
+            capacity: { $first: '$capacity' },
+            peakPopulation: { $first: '$maxPopulation' },
+            peakAt: { $first: '$timestamp' },
+            sumPopulation: { $sum: '$sumPopulation' },
+            samples: { $sum: '$samples' },
+            coveredMinutes: { $sum: 1 },
+            overcrowdedMinutes: { $sum: { $cond: [{ $gte: ['$peakLevel', OVERCROWDED_LEVEL] }, 1, 0] } },
+            criticalMinutes: { $sum: { $cond: [{ $gte: ['$peakLevel', CRITICAL_LEVEL] }, 1, 0] } }
+          }
+        }
+      ]),
+      Alert.aggregate([
+        { $match: { zoneId: { $in: zoneIds }, openedAt: { $gte: from, $lt: to } } },
+        {
+          $group: {
+            _id: '$zoneId',
+            alerts: { $sum: 1 },
+            criticalAlerts: { $sum: { $cond: [{ $eq: ['$severity', 'critical'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const usageByZone = Object.fromEntries(usage.map(row => [row._id, row]));
+    const alertsByZone = Object.fromEntries(alerts.map(row => [row._id, row]));
+
+    const rows = zones.map(zone => {
+      const stats = usageByZone[zone.id];
+      const zoneAlerts = alertsByZone[zone.id] || { alerts: 0, criticalAlerts: 0 };
+      const capacity = stats ? stats.capacity : zone.capacity;
+      return {
+        zoneId: zone.id,
+        zoneName: zone.name,
+        capacity,
+        avgPopulation: stats && stats.samples ? Math.round((stats.sumPopulation / stats.samples) * 10) / 10 : null,
+        peakPopulation: stats ? stats.peakPopulation : null,
+        peakOccupancy: stats && capacity ? Math.round((stats.peakPopulation / capacity) * 100) : null,
+        peakAt: stats ? stats.peakAt : null,
+        overcrowdedMinutes: stats ? stats.overcrowdedMinutes : 0,
+        criticalMinutes: stats ? stats.criticalMinutes : 0,
+        alerts: zoneAlerts.alerts,
+        criticalAlerts: zoneAlerts.criticalAlerts,
+        coveredMinutes: stats ? stats.coveredMinutes : 0
+      };
+    });
+
+    const sum = key => rows.reduce((total, row) => total + row[key], 0);
+    return {
+      period,
+      from,
+      to,
+      generatedAt: new Date(now()),
+      zones: rows,
+      totals: {
+        overcrowdedMinutes: sum('overcrowdedMinutes'),
+        alerts: sum('alerts'),
+        criticalAlerts: sum('criticalAlerts'),
+        coveredMinutes: sum('coveredMinutes')
+      }
+    };
+  }
+
+  // Build and write the report for the period containing `date`; returns
+  // the report and the files written
+  async function generate(period, date) {
+    if (!REPORT_PERIODS[period]) {
+      throw new Error(`Unknown report period: ${period}`);
+    }
+
+    const bounds = periodBounds(period, date);
+    const report = await buildReport(period, bounds);
+    const base = `${period}-${formatDate(bounds.from)}`;
+    const files = [`${base}.csv`, `${base}.html`];
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, files[0]), renderCsv(report));
+    await fs.writeFile(path.join(dir, files[1]), renderHtml(report));
+    logger.info(`📝 ${REPORT_PERIODS[period].title} report written: ${base}`);
+
+    return { report, files };
+  }
+
+  // Write reports for scheduled periods that have ended and have no report
+  // yet. Periods without any stored readings are skipped.
+  async function runSchedule() {
+    if (running) return;
+    running = true;
+    try {
+      const existing = await fs.readdir(dir).catch(() => []);
+      for (const period of schedule) {
+        if (!REPORT_PERIODS[period]) continue;
+
+        const current = periodBounds(period, new Date(now() - SETTLE_MS));
+        const last = periodBounds(period, new Date(current.from.getTime() - 1));
+        if (existing.includes(`${period}-${formatDate(last.from)}.csv`)) continue;
+
+        const hasData = await ZoneRollupMinute.exists({ timestamp: { $gte: last.from, $lt: last.to } });
+        if (hasData) await generate(period, last.from);
+      }
+    } catch (error) {
+      logger.error('❌ Error generating reports', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  // Reports on disk, newest first
+  async function list() {
+    const names = (await fs.readdir(dir).catch(() => [])).filter(name => REPORT_FILE.test(name));
+    const reports = await Promise.all(names.map(async name => {
+      const stats = await fs.stat(path.join(dir, name));
+      const [, period, date, format] = name.match(/^(\w+)-([\d-]+)\.(\w+)$/);
+      return { name, period, date, format, size: stats.size, generatedAt: stats.mtime };
+    }));
+    return reports.sort((a, b) => b.date.localeCompare(a.date) || a.name.localeCompare(b.name));
+  }
+
+  // Absolute path of a report file, or null for anything that isn't one
+  function filePath(name) {
+    return REPORT_FILE.test(name) ? path.join(dir, name) : null;
+  }
+
+  return {
+    generate,
+    buildReport,
+    list,
+    filePath,
+    runSchedule,
+
+    start() {
+      if (schedule.length === 0) return;
+      runSchedule();
+      timer = setInterval(runSchedule, REPORT_CHECK_INTERVAL);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createReportService, REPORT_PERIODS };
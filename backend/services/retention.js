@@ -0,0 +1,247 @@
+const Zone = require('../models/Zone');
+const Cluster = require('../models/Cluster');
+const {
+  ZoneRollupMinute,
+  ZoneRollupHour,
+  ZoneRollupDay,
+  ROLLUP_RESOLUTIONS,
+  STATUS_LEVELS
+} = require('../models/ZoneRollup');
+const { ZoneFlow, ZoneTransition } = require('../models/ZoneFlow');
+const Anomaly = require('../models/Anomaly');
+const logger = require('./logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// Raw samples must outlive a few rollup runs, so at least an hour is kept
+const RAW_RETENTION_HOURS = Math.max(Number(process.env.RAW_RETENTION_HOURS) || 48, 1);
+const MINUTE_ROLLUP_RETENTION_DAYS = Number(process.env.MINUTE_ROLLUP_RETENTION_DAYS) || 30;
+const HOUR_ROLLUP_RETENTION_DAYS = Number(process.env.HOUR_ROLLUP_RETENTION_DAYS) || 365;
+// 0 keeps daily rollups forever
+const DAY_ROLLUP_RETENTION_DAYS = Number(process.env.DAY_ROLLUP_RETENTION_DAYS) || 0;
+const FLOW_RETENTION_DAYS = Number(process.env.FLOW_RETENTION_DAYS) || 90;
+const ANOMALY_RETENTION_DAYS = Number(process.env.ANOMALY_RETENTION_DAYS) || 90;
+const ROLLUP_INTERVAL = Number(process.env.ROLLUP_INTERVAL) || 60 * 1000;
+
+// Readings inserted at the end of an update cycle may land a moment after
+// their timestamp; minutes are only rolled up once this much has passed
+const SETTLE_MS = 10 * 1000;
+
+const TTL_INDEX = 'timestamp_1';
+
+// Rollup collection used to answer each history bucket size
+const ROLLUP_FOR_BUCKET = {
+  '1m': ZoneRollupMinute,
+  '5m': ZoneRollupMinute,
+  '1h': ZoneRollupHour,
+  '1d': ZoneRollupDay
+};
+
+const floorTo = (t, ms) => t - (t % ms);
+
+// Create or update the TTL index on `timestamp`. Existing deployments have
+// a plain timestamp index, which is replaced; a changed retention window is
+// applied in place with collMod.
+async function ensureTtlIndex(model, seconds) {
+  const indexes = await model.collection.indexes().catch(() => []);
+  const existing = indexes.find(index => index.name === TTL_INDEX);
+  if (existing && existing.expireAfterSeconds === seconds) return;
+
+  if (existing && seconds && existing.expireAfterSeconds !== undefined) {
+    await model.db.db.command({
+      collMod: model.collection.collectionName,
+      index: { name: TTL_INDEX, expireAfterSeconds: seconds }
+    });
+    return;
+  }
+
+  if (existing) await model.collection.dropIndex(TTL_INDEX);
+  await model.collection.createIndex({ timestamp: 1 }, seconds ? { name: TTL_INDEX, expireAfterSeconds: seconds } : { name: TTL_INDEX });
+}
+
+// $group accumulators for summarising raw readings...
+const RAW_ACCUMULATORS = {
+  minPopulation: { $min: '$population' },
+  maxPopulation: { $max: '$population' },
+  sumPopulation: { $sum: '$population' },
+  sumSqPopulation: { $sum: { $multiply: ['$population', '$population'] } },
+  samples: { $sum: 1 },
+  peakLevel: { $max: { $indexOfArray: [STATUS_LEVELS, '$status'] } }
+};
+
+// ...and for combining finer rollups into coarser ones
+const ROLLUP_ACCUMULATORS = {
+  minPopulation: { $min: '$minPopulation' },
+  maxPopulation: { $max: '$maxPopulation' },
+  sumPopulation: { $sum: '$sumPopulation' },
+  sumSqPopulation: { $sum: '$sumSqPopulation' },
+  samples: { $sum: '$samples' },
+  peakLevel: { $max: '$peakLevel' }
+};
+
+// Summarise `source` documents in [from, to) into `bucketMs` buckets and
+// upsert them into `target`
+async function rollupInto(source, target, accumulators, bucketMs, from, to) {
+  await source.aggregate([
+    { $match: { timestamp: { $gte: new Date(from), $lt: new Date(to) } } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          zoneId: '$zoneId',
+          bucket: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, bucketMs] }] }
+        },
+        zoneName: { $last: '$zoneName' },
+        capacity: { $last: '$capacity' },
+        ...accumulators
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        zoneId: '$_id.zoneId',
+        timestamp: { $toDate: '$_id.bucket' },
+        zoneName: 1,
+        capacity: 1,
+        ...Object.fromEntries(Object.keys(accumulators).map(key => [key, 1]))
+      }
+    },
+    {
+      $merge: {
+        into: target.collection.collectionName,
+        on: ['zoneId', 'timestamp'],
+        whenMatched: 'replace',
+        whenNotMatched: 'insert'
+      }
+    }
+  ]).allowDiskUse(true);
+}
+
+async function latestTimestamp(model) {
+  const latest = await model.findOne().sort({ timestamp: -1 }).select('timestamp').lean();
+  return latest ? latest.timestamp.getTime() : null;
+}
+
+async function earliestTimestamp(model) {
+  const earliest = await model.findOne().sort({ timestamp: 1 }).select('timestamp').lean();
+  return earliest ? earliest.timestamp.getTime() : null;
+}
+
+// Keeps raw Zone readings for RAW_RETENTION_HOURS (TTL index) and rolls
+// them up into minute, hourly and daily summary collections before they
+// expire. Bucketed long-range history is served from the rollups.
+function createRetentionService(options = {}) {
+  const now = options.now || Date.now;
+  // Readings still waiting in the write buffer would land in minutes
+  // already rolled up, so rollups wait for them
+  const hasPendingWrites = options.hasPendingWrites || (() => false);
+  let timer = null;
+  let running = false;
+
+  async function init() {
+    await Promise.all([ZoneRollupMinute, ZoneRollupHour, ZoneRollupDay].map(model => model.init()));
+
+    const rawSeconds = RAW_RETENTION_HOURS * 60 * 60;
+    await ensureTtlIndex(Zone, rawSeconds);
+    await ensureTtlIndex(Cluster, rawSeconds);
+    await ensureTtlIndex(ZoneRollupMinute, MINUTE_ROLLUP_RETENTION_DAYS * 24 * 60 * 60);
+    await ensureTtlIndex(ZoneRollupHour, HOUR_ROLLUP_RETENTION_DAYS * 24 * 60 * 60);
+    await ensureTtlIndex(ZoneRollupDay, DAY_ROLLUP_RETENTION_DAYS * 24 * 60 * 60 || undefined);
+    await ensureTtlIndex(ZoneFlow, FLOW_RETENTION_DAYS * 24 * 60 * 60);
+    await ensureTtlIndex(ZoneTransition, FLOW_RETENTION_DAYS * 24 * 60 * 60);
+    await ensureTtlIndex(Anomaly, ANOMALY_RETENTION_DAYS * 24 * 60 * 60);
+
+    logger.info(`🗄️  Retention: raw ${RAW_RETENTION_HOURS}h, minute rollups ${MINUTE_ROLLUP_RETENTION_DAYS}d, ` +
+      `hourly ${HOUR_ROLLUP_RETENTION_DAYS}d, daily ${DAY_ROLLUP_RETENTION_DAYS ? `${DAY_ROLLUP_RETENTION_DAYS}d` : 'forever'}, ` +
+      `flows ${FLOW_RETENTION_DAYS}d, anomalies ${ANOMALY_RETENTION_DAYS}d`);
+  }
+
+  // Roll up completed minutes from the raw readings, then recompute the
+  // current (possibly partial) hour and day from the finer rollups
+  async function rollup() {
+    const minuteEnd = floorTo(now() - SETTLE_MS, ROLLUP_RESOLUTIONS.minute);
+
+    let minuteStart;
+    const lastMinute = await latestTimestamp(ZoneRollupMinute);
+    if (lastMinute !== null) {
+      minuteStart = lastMinute + ROLLUP_RESOLUTIONS.minute;
+    } else {
+      const firstRaw = await earliestTimestamp(Zone);
+      if (firstRaw === null) return;
+      minuteStart = floorTo(firstRaw, ROLLUP_RESOLUTIONS.minute);
+    }
+
+    if (minuteStart < minuteEnd) {
+      await rollupInto(Zone, ZoneRollupMinute, RAW_ACCUMULATORS, ROLLUP_RESOLUTIONS.minute, minuteStart, minuteEnd);
+    }
+
+    const stages = [
+      [ZoneRollupMinute, ZoneRollupHour, ROLLUP_RESOLUTIONS.hour],
+      [ZoneRollupHour, ZoneRollupDay, ROLLUP_RESOLUTIONS.day]
+    ];
+    for (const [source, target, bucketMs] of stages) {
+      const last = await latestTimestamp(target);
+      const start = last !== null ? last : await earliestTimestamp(source);
+      if (start === null) continue;
+      await rollupInto(source, target, ROLLUP_ACCUMULATORS, bucketMs, floorTo(start, bucketMs), minuteEnd);
+    }
+  }
+
+  async function runRollup() {
+    if (running || hasPendingWrites()) return;
+    running = true;
+    try {
+      await rollup();
+    } catch (error) {
+      logger.error('❌ Error rolling up zone data', { error: error.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  // Why raw readings can't be served from `from` - they have expired - or
+  // null when they can
+  function rawRangeError(from) {
+    if (from.getTime() >= now() - RAW_RETENTION_HOURS * HOUR) return null;
+    return `raw readings are only kept for ${RAW_RETENTION_HOURS} hours; pass a bucket for older ranges`;
+  }
+
+  // History for Zone.getZoneHistory-style options. Bucketed queries reaching
+  // past the raw retention window, or asking for hourly/daily buckets, are
+  // answered from the rollups.
+  async function getHistory(zoneIds, query) {
+    const to = query.to || new Date(now());
+    const from = query.from || new Date(to.getTime() - 15 * 60 * 1000);
+    const options = { ...query, from, to };
+
+    const bucketMs = query.bucket && Zone.HISTORY_BUCKETS[query.bucket];
+    const rawCutoff = now() - RAW_RETENTION_HOURS * HOUR;
+    if (bucketMs && (from.getTime() < rawCutoff || bucketMs >= HOUR)) {
+      const model = ROLLUP_FOR_BUCKET[query.bucket];
+      const result = await model.getRollupHistory(zoneIds, { ...options, bucketMs });
+      return { ...result, source: model.collection.collectionName };
+    }
+
+    const result = await Zone.getZoneHistory(zoneIds, options);
+    return { ...result, source: Zone.collection.collectionName };
+  }
+
+  return {
+    init,
+    rollup,
+    getHistory,
+    rawRangeError,
+
+    start() {
+      runRollup();
+      timer = setInterval(runRollup, ROLLUP_INTERVAL);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createRetentionService, RAW_RETENTION_HOURS, MINUTE_ROLLUP_RETENTION_DAYS };
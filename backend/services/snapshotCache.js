@@ -0,0 +1,45 @@
+// Latest reading of every zone and the latest hotspots, kept in memory so
+// /api/zones, /api/clusters and /api/summary keep answering while MongoDB is
+// unreachable. Readings are in the shape those endpoints return.
+function createSnapshotCache() {
+  const zones = new Map();
+  let clusters = [];
+  let updatedAt = null;
+
+  return {
+    // Record one update cycle's readings and hotspots
+    update(readings, latestClusters) {
+      readings.forEach(r => {
+        zones.set(r.zoneId, {
+          _id: r.zoneId,
+          zoneName: r.zoneName,
+          population: r.population,
+          deviceCount: r.deviceCount,
+          density: r.density,
+          cluster: r.cluster,
+          capacity: r.capacity,
+          status: r.status,
+          timestamp: r.timestamp
+        });
+      });
+      clusters = latestClusters;
+      updatedAt = readings.length > 0 ? readings[0].timestamp : updatedAt;
+    },
+
+    // Latest reading of each of `zoneIds` seen so far
+    getZones(zoneIds) {
+      return zoneIds.filter(id => zones.has(id)).map(id => zones.get(id));
+    },
+
+    getClusters() {
+      return clusters;
+    },
+
+    // Time of the newest cached reading, null before the first cycle
+    updatedAt() {
+      return updatedAt;
+    }
+  };
+}
+
+module.exports = { createSnapshotCache };
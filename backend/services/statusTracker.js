@@ -0,0 +1,78 @@
+const THRESHOLD_PROFILES = require('../config/thresholdProfiles');
+
+const STATUS_LEVELS = ['normal', 'moderate', 'overcrowded', 'critical'];
+
+// Profile values, then environment-wide defaults, then per-zone overrides
+function resolveThresholds(zone) {
+  const profile = THRESHOLD_PROFILES[zone && zone.thresholdProfile] || THRESHOLD_PROFILES.default;
+  const envDefaults = {};
+  if (process.env.STATUS_HYSTERESIS) envDefaults.hysteresis = Number(process.env.STATUS_HYSTERESIS);
+  if (process.env.STATUS_MIN_DWELL) envDefaults.minDwell = Number(process.env.STATUS_MIN_DWELL);
+
+  return { ...profile, ...envDefaults, ...((zone && zone.thresholds) || {}) };
+}
+
+// Status level implied by a reading. Climbing uses the thresholds as-is;
+// dropping out of the current level requires falling `hysteresis` points
+// below its threshold, so a zone hovering at a threshold doesn't flap.
+function targetLevel(percentage, currentLevel, thresholds) {
+  const cutoffs = [thresholds.moderate, thresholds.overcrowded, thresholds.critical];
+  let level = 0;
+
+  cutoffs.forEach((cutoff, idx) => {
+    const enterAt = idx + 1 <= currentLevel ? cutoff - thresholds.hysteresis : cutoff;
+    if (percentage > enterAt) level = idx + 1;
+  });
+
+  return level;
+}
+
+// Keeps per-zone status state between update cycles and only applies a
+// status change once it has been sustained for the zone's minDwell
+function createStatusTracker(options = {}) {
+  const now = options.now || Date.now;
+
+  // zoneId -> { level, pendingLevel, pendingSince }
+  const states = new Map();
+
+  return {
+    classify(zone, percentage) {
+      const thresholds = resolveThresholds(zone);
+      const state = states.get(zone.id);
+      const timestamp = now();
+
+      // First reading for a zone is applied immediately
+      if (!state) {
+        const level = targetLevel(percentage, 0, thresholds);
+        states.set(zone.id, { level, pendingLevel: null, pendingSince: null });
+        return STATUS_LEVELS[level];
+      }
+
+      const target = targetLevel(percentage, state.level, thresholds);
+      if (target === state.level) {
+        state.pendingLevel = null;
+        state.pendingSince = null;
+      } else if (target !== state.pendingLevel) {
+        state.pendingLevel = target;
+        state.pendingSince = timestamp;
+      }
+
+      if (state.pendingLevel !== null && timestamp - state.pendingSince >= thresholds.minDwell) {
+        state.level = state.pendingLevel;
+        state.pendingLevel = null;
+        state.pendingSince = null;
+      }
+
+      return STATUS_LEVELS[state.level];
+    },
+
+    // Forget zones that no longer exist
+    prune(zoneIds) {
+      Array.from(states.keys()).forEach(zoneId => {
+        if (!zoneIds.includes(zoneId)) states.delete(zoneId);
+      });
+    }
+  };
+}
+
+module.exports = { createStatusTracker };
@@ -0,0 +1,167 @@
+const Zone = require('../models/Zone');
+const { ZoneRollupMinute } = require('../models/ZoneRollup');
+
+// Past readings are averaged over this window ending at the compared time
+const COMPARE_WINDOW_MS = 5 * 60 * 1000;
+
+// Net flow is the change in campus population over this many minutes
+const FLOW_WINDOW_MINUTES = Number(process.env.SUMMARY_FLOW_WINDOW_MINUTES) || 15;
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+// Same scale as the density stored with each reading (see clustering.js)
+function densityOf(population, capacity) {
+  return Math.floor((population / capacity) * 120);
+}
+
+function totalsOf(readings) {
+  if (readings.length === 0) return null;
+  return {
+    totalPopulation: readings.reduce((sum, z) => sum + z.population, 0),
+    activeZones: readings.filter(z => z.population > 0).length,
+    avgDensity: Math.floor(readings.reduce((sum, z) => sum + z.density, 0) / readings.length)
+  };
+}
+
+// Average population of each zone over the window ending at `at`, from the
+// minute rollups (they outlive the raw readings, so last week is covered)
+async function readingsAt(zoneIds, at) {
+  const rows = await ZoneRollupMinute.aggregate([
+    {
+      $match: {
+        zoneId: { $in: zoneIds },
+        timestamp: { $gte: new Date(at - COMPARE_WINDOW_MS), $lt: new Date(at) }
+      }
+    },
+    {
+      $group: {
+        _id: '$zoneId',
+        capacity: { $last: '$capacity' },
+        sumPopulation: { $sum: '$sumPopulation' },
+        samples: { $sum: '$samples' }
+      }
+    }
+  ]);
+
+  return rows.map(row => {
+    const population = Math.round(row.sumPopulation / row.samples);
+    return { zoneId: row._id, population, density: densityOf(population, row.capacity) };
+  });
+}
+
+// People per minute entering (positive) or leaving (negative) the campus
+function flowRate(current, earlier) {
+  if (!current || !earlier) return null;
+  return Number(((current.totalPopulation - earlier.totalPopulation) / FLOW_WINDOW_MINUTES).toFixed(1));
+}
+
+// Percentage change per metric; null when there is nothing to compare with
+function changesFrom(current, previous) {
+  const changes = {};
+  Object.keys(previous).forEach(key => {
+    if (key === 'timestamp') return;
+    const before = previous[key];
+    changes[key] = before === null || current[key] === null || before === 0
+      ? null
+      : Number((((current[key] - before) / Math.abs(before)) * 100).toFixed(1));
+  });
+  return changes;
+}
+
+// Campus-wide figures for the latest reading of each zone; `history`
+// (readings averaged at the flow and comparison points) is left out when
+// only the latest readings are at hand
+function summarize(zoneIds, latestZones, history, t) {
+  const current = totalsOf(latestZones) || { totalPopulation: 0, activeZones: 0, avgDensity: 0 };
+  // Both ends of the flow window are averaged the same way
+  current.netFlowRate = history ? flowRate(totalsOf(history.recent), totalsOf(history.flowStart)) : null;
+
+  // Zone closest to (or furthest over) its capacity
+  const peak = latestZones.reduce((best, z) =>
+    (!best || z.population / z.capacity > best.population / best.capacity ? z : best), null);
+
+  const comparisons = {};
+  const hourTotals = history && totalsOf(history.hourAgo);
+  if (hourTotals) {
+    comparisons.lastHour = {
+      timestamp: new Date(t - HOUR_MS),
+      ...hourTotals,
+      netFlowRate: flowRate(hourTotals, totalsOf(history.hourAgoFlowStart))
+    };
+  }
+  const weekTotals = history && totalsOf(history.weekAgo);
+  if (weekTotals) {
+    comparisons.lastWeek = { timestamp: new Date(t - WEEK_MS), ...weekTotals };
+  }
+
+  const changes = {};
+  Object.keys(comparisons).forEach(key => {
+    changes[key] = changesFrom(current, comparisons[key]);
+  });
+
+  return {
+    ...current,
+    overcrowdedZones: latestZones.filter(z => z.status === 'overcrowded' || z.status === 'critical').length,
+    criticalZones: latestZones.filter(z => z.status === 'critical').length,
+    totalZones: zoneIds.length,
+    flowWindowMinutes: FLOW_WINDOW_MINUTES,
+    peakZone: peak
+      ? {
+        zoneId: peak._id,
+        zoneName: peak.zoneName,
+        population: peak.population,
+        capacity: peak.capacity,
+        occupancy: Number(((peak.population / peak.capacity) * 100).toFixed(1)),
+        status: peak.status
+      }
+      : null,
+    comparisons,
+    changes
+  };
+}
+
+// Campus-wide summary of the latest readings, compared with one hour ago and
+// the same time last week
+function createSummaryService(options = {}) {
+  const now = options.now || Date.now;
+
+  async function getSummary(zoneIds) {
+    const t = now();
+    const flowMs = FLOW_WINDOW_MINUTES * 60 * 1000;
+
+    const [latestZones, recent, flowStart, hourAgo, hourAgoFlowStart, weekAgo] = await Promise.all([
+      Zone.aggregate([
+        { $match: { zoneId: { $in: zoneIds } } },
+        { $sort: { timestamp: -1 } },
+        {
+          $group: {
+            _id: '$zoneId',
+            zoneName: { $first: '$zoneName' },
+            population: { $first: '$population' },
+            capacity: { $first: '$capacity' },
+            density: { $first: '$density' },
+            status: { $first: '$status' }
+          }
+        }
+      ]),
+      readingsAt(zoneIds, t),
+      readingsAt(zoneIds, t - flowMs),
+      readingsAt(zoneIds, t - HOUR_MS),
+      readingsAt(zoneIds, t - HOUR_MS - flowMs),
+      readingsAt(zoneIds, t - WEEK_MS)
+    ]);
+
+    return summarize(zoneIds, latestZones, { recent, flowStart, hourAgo, hourAgoFlowStart, weekAgo }, t);
+  }
+
+  // Summary of readings kept in memory (see snapshotCache.js) for when
+  // MongoDB is unreachable: no net flow rate and no comparisons
+  function getCachedSummary(zoneIds, latestZones) {
+    return summarize(zoneIds, latestZones, null, now());
+  }
+
+  return { getSummary, getCachedSummary };
+}
+
+module.exports = { createSummaryService };
@@ -0,0 +1,295 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Batches held in memory while MongoDB is unreachable (each update cycle
+// writes two or three)
+const WRITE_BUFFER_MAX_BATCHES = Number(process.env.WRITE_BUFFER_MAX_BATCHES) || 1000;
+// Directory for batches beyond that; without it the oldest are dropped
+const WRITE_BUFFER_SPILL_DIR = process.env.WRITE_BUFFER_SPILL_DIR || null;
+const WRITE_RETRY_INTERVAL = Number(process.env.WRITE_RETRY_INTERVAL) || 5000;
+
+const SPILL_FILE = 'write-buffer.ndjson';
+// Spilled batches are read back this many bytes at a time
+const SPILL_READ_BYTES = 1024 * 1024;
+
+// Errors that mean "try again later" rather than "this batch can't be stored"
+const RETRYABLE_ERRORS = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongooseServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+];
+
+const isDatabaseConnected = () => mongoose.connection.readyState === mongoose.STATES.connected;
+
+// Number of batches left in a spill file from an earlier run, cutting off a
+// last line that was only partly written
+function recoverSpillFile(file) {
+  if (!fs.existsSync(file)) return 0;
+  const content = fs.readFileSync(file);
+  const complete = content.lastIndexOf('\n') + 1;
+  if (complete < content.length) fs.truncateSync(file, complete);
+
+  let count = 0;
+  for (let i = content.indexOf('\n'); i !== -1 && i < complete; i = content.indexOf('\n', i + 1)) count++;
+  return count;
+}
+
+// Writes batches of documents (`models` maps names to Mongoose models) and
+// keeps them when MongoDB is unreachable: in memory up to `maxBatches`,
+// then spilled to an NDJSON file in `spillDir`, which also survives a
+// restart. Pending batches are retried every `retryInterval` and written in
+// the order they arrived - spilled ones first, as they are the oldest.
+// Emits 'write' with (model, seconds, error) after every insert attempt.
+function createWriteBuffer(models, options = {}) {
+  const now = options.now || Date.now;
+  const maxBatches = options.maxBatches || WRITE_BUFFER_MAX_BATCHES;
+  const spillDir = options.spillDir !== undefined ? options.spillDir : WRITE_BUFFER_SPILL_DIR;
+  const retryInterval = options.retryInterval || WRITE_RETRY_INTERVAL;
+  const isConnected = options.isConnected || isDatabaseConnected;
+  const spillFile = spillDir ? path.join(spillDir, SPILL_FILE) : null;
+  const events = new EventEmitter();
+
+  // Newest pending batches, oldest first
+  const queue = [];
+  // Spilled batches not written yet start at this byte offset of the file
+  let spillOffset = 0;
+  let spilled = spillFile ? recoverSpillFile(spillFile) : 0;
+  let inFlight = 0;
+  let dropped = 0;
+  let lastWriteAt = null;
+  let lastError = null;
+  let draining = null;
+  let timer = null;
+
+  if (spilled > 0) {
+    logger.info(`💾 ${spilled} buffered write(s) found`, { file: spillFile });
+  }
+
+  const isRetryable = (error) =>
+    !isConnected() || RETRYABLE_ERRORS.includes(error.name) || /buffering timed out/.test(error.message);
+
+  async function insert(batch) {
+    const started = performance.now();
+    try {
+      await models[batch.model].insertMany(batch.docs);
+    } catch (error) {
+      events.emit('write', batch.model, (performance.now() - started) / 1000, error);
+      throw error;
+    }
+    events.emit('write', batch.model, (performance.now() - started) / 1000, null);
+    lastWriteAt = new Date(now());
+  }
+
+  function spill(batches) {
+    fs.mkdirSync(spillDir, { recursive: true });
+    fs.appendFileSync(spillFile, batches.map(batch => `${JSON.stringify(batch)}\n`).join(''));
+    spilled += batches.length;
+  }
+
+  // Put a batch that failed back in front of everything spilled meanwhile
+  function unspill(batch) {
+    const rest = fs.readFileSync(spillFile).subarray(spillOffset);
+    fs.writeFileSync(spillFile, Buffer.concat([Buffer.from(`${JSON.stringify(batch)}\n`), rest]));
+    spillOffset = 0;
+    spilled += 1;
+  }
+
+  // Next spilled batches with their size in bytes
+  function readSpilled() {
+    const fd = fs.openSync(spillFile, 'r');
+    try {
+      const buffer = Buffer.alloc(SPILL_READ_BYTES);
+      let length = fs.readSync(fd, buffer, 0, buffer.length, spillOffset);
+      let chunk = buffer.subarray(0, length);
+      // A single batch larger than the read size
+      while (chunk.indexOf('\n') === -1 && length > 0) {
+        const more = Buffer.alloc(SPILL_READ_BYTES);
+        length = fs.readSync(fd, more, 0, more.length, spillOffset + chunk.length);
+        chunk = Buffer.concat([chunk, more.subarray(0, length)]);
+      }
+
+      const batches = [];
+      let start = 0;
+      let end;
+      while ((end = chunk.indexOf('\n', start)) !== -1) {
+        batches.push({ line: chunk.subarray(start, end).toString('utf8'), bytes: end + 1 - start });
+        start = end + 1;
+      }
+      return batches;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function consumeSpilled(bytes) {
+    spillOffset += bytes;
+    spilled -= 1;
+    if (spilled === 0) {
+      fs.truncateSync(spillFile, 0);
+      spillOffset = 0;
+    }
+  }
+
+  function enqueue(batch) {
+    queue.push(batch);
+    if (queue.length <= maxBatches) return;
+
+    const overflow = queue.splice(0, queue.length - maxBatches);
+    if (spillFile) {
+      spill(overflow);
+    } else {
+      dropped += overflow.length;
+      logger.warn(`⚠️  Write buffer full - dropped ${overflow.length} unsaved batch(es)`, { dropped });
+    }
+  }
+
+  // A batch MongoDB refused while connected would block the queue forever
+  function discard(batch, error) {
+    dropped += 1;
+    logger.error(`❌ Dropping ${batch.docs.length} ${batch.model} document(s) MongoDB refused`, { error: error.message });
+  }
+
+  async function drainSpilled() {
+    const lines = readSpilled();
+    // The file was changed behind our back
+    if (lines.length === 0) {
+      spilled = 0;
+      spillOffset = 0;
+      return;
+    }
+
+    for (const { line, bytes } of lines) {
+      let batch;
+      try {
+        batch = JSON.parse(line);
+      } catch (error) {
+        dropped += 1;
+        logger.error('❌ Dropping unreadable spilled batch', { file: spillFile, error: error.message });
+        consumeSpilled(bytes);
+        continue;
+      }
+      try {
+        await insert(batch);
+      } catch (error) {
+        if (isRetryable(error)) throw error;
+        discard(batch, error);
+      }
+      consumeSpilled(bytes);
+    }
+  }
+
+  async function drainQueue() {
+    const batch = queue.shift();
+    inFlight = 1;
+    try {
+      await insert(batch);
+    } catch (error) {
+      if (!isRetryable(error)) {
+        discard(batch, error);
+        return;
+      }
+      if (spilled > 0) {
+        unspill(batch);
+      } else {
+        queue.unshift(batch);
+      }
+      throw error;
+    } finally {
+      inFlight = 0;
+    }
+  }
+
+  // Write pending batches, oldest first, until they are all stored or
+  // MongoDB fails again
+  async function drain() {
+    const pending = spilled + queue.length;
+    try {
+      while (isConnected() && (spilled > 0 || queue.length > 0)) {
+        if (spilled > 0) {
+          await drainSpilled();
+        } else {
+          await drainQueue();
+        }
+      }
+      if (pending > 0 && spilled + queue.length === 0) {
+        logger.info(`💾 Flushed ${pending} buffered write(s) to MongoDB`);
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  function flush() {
+    if (!draining) {
+      draining = drain().finally(() => {
+        draining = null;
+      });
+    }
+    return draining;
+  }
+
+  // Write `docs` to `model` now when nothing older is waiting, otherwise
+  // queue them behind the older batches. Resolves true once stored, false
+  // when buffered.
+  async function write(model, docs) {
+    if (docs.length === 0) return true;
+    const batch = { model, docs };
+
+    if (!draining && queue.length === 0 && spilled === 0 && isConnected()) {
+      try {
+        await insert(batch);
+        return true;
+      } catch (error) {
+        if (!isRetryable(error)) throw error;
+        lastError = error.message;
+      }
+    }
+
+    enqueue(batch);
+    if (isConnected()) flush();
+    return false;
+  }
+
+  return {
+    write,
+    flush,
+
+    on(event, listener) {
+      events.on(event, listener);
+    },
+
+    stats() {
+      return {
+        depth: spilled + queue.length + inFlight,
+        inMemory: queue.length + inFlight,
+        spilled,
+        dropped,
+        lastWriteAt,
+        lastError
+      };
+    },
+
+    start() {
+      timer = setInterval(flush, retryInterval);
+    },
+
+    // Stop retrying; batches still in memory are spilled so a restart
+    // picks them up
+    stop() {
+      clearInterval(timer);
+      timer = null;
+      if (spillFile && queue.length > 0) {
+        spill(queue.splice(0));
+      }
+    }
+  };
+}
+
+module.exports = { createWriteBuffer, isDatabaseConnected };
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+// Number of recent update cycles kept for clients that reconnect
+const REPLAY_BUFFER_SIZE = Number(process.env.REPLAY_BUFFER_SIZE) || 120;
+
+// Fields sent to clients for each zone; deltas carry only the ones that changed
+const ZONE_FIELDS = ['zoneName', 'building', 'population', 'deviceCount', 'density', 'cluster', 'capacity', 'status'];
+
+const ALL_ZONES_ROOM = 'zones:all';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deduplicate and sort so equivalent filters share a room
+function normalizeFilter(filter) {
+  const source = isPlainObject(filter) ? filter : {};
+  const list = value => Array.from(new Set((Array.isArray(value) ? value : []).map(String))).sort();
+  return { zoneIds: list(source.zoneIds), buildings: list(source.buildings) };
+}
+
+// What is wrong with a subscribe request from a client, or null
+function subscriptionError(request) {
+  if (!isPlainObject(request)) return 'subscribe expects an object';
+  for (const field of ['zoneIds', 'buildings']) {
+    const value = request[field];
+    if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      return `${field} must be an array of strings`;
+    }
+  }
+  return null;
+}
+
+function isAllZones(filter) {
+  return filter.zoneIds.length === 0 && filter.buildings.length === 0;
+}
+
+// Each distinct filter gets one room, so every subscriber receives exactly
+// one message per update cycle however many zones it follows
+function roomFor(filter) {
+  if (isAllZones(filter)) return ALL_ZONES_ROOM;
+  return `zones:${filter.zoneIds.join(',')}|buildings:${filter.buildings.join(',')}`;
+}
+
+function matches(filter, zone) {
+  return isAllZones(filter) ||
+    filter.zoneIds.includes(zone.zoneId) ||
+    (zone.building !== undefined && filter.buildings.includes(zone.building));
+}
+
+// Changed fields of a zone since the previous cycle (all fields for a new
+// zone), or null when nothing changed
+function diff(prev, next) {
+  const changed = ZONE_FIELDS.filter(field => !prev || prev[field] !== next[field]);
+  if (changed.length === 0) return null;
+
+  const delta = { zoneId: next.zoneId };
+  changed.forEach(field => { delta[field] = next[field]; });
+  return delta;
+}
+
+// Publishes zone updates to Socket.IO rooms as sequence-numbered deltas.
+// Clients subscribe with { zoneIds, buildings } (empty = every zone) and get
+// a snapshot in the acknowledgement. A reconnecting client also sends the
+// { epoch, lastSeq } it last saw and is sent the deltas it missed from the
+// replay buffer instead, when they are still available.
+function createZoneBroadcaster(io, zoneRegistry, options = {}) {
+  const now = options.now || Date.now;
+  // Identifies this server process, whose sequence numbers start from 0
+  const epoch = crypto.randomBytes(4).toString('hex');
+  let seq = 0;
+  let timestamp = null;
+  // zoneId -> latest zone state
+  const state = new Map();
+  // room -> filter
+  const filters = new Map();
+  // Recent cycles, oldest first: { seq, timestamp, changes, removed }
+  const history = [];
+
+  function snapshot(filter) {
+    return {
+      epoch,
+      seq,
+      timestamp,
+      zones: Array.from(state.values()).filter(zone => matches(filter, zone))
+    };
+  }
+
+  // The part of one cycle a subscriber with `filter` receives
+  function deltaFor(filter, cycle) {
+    return {
+      seq: cycle.seq,
+      timestamp: cycle.timestamp,
+      changes: cycle.changes.filter(c => matches(filter, c.zone)).map(c => c.delta),
+      removed: cycle.removed.filter(zone => matches(filter, zone)).map(zone => zone.zoneId)
+    };
+  }
+
+  // Deltas after `lastSeq`, or null when the client is from another server
+  // process or further behind than the buffer reaches
+  function replay(filter, request) {
+    const lastSeq = Number(request.lastSeq);
+    if (request.epoch !== epoch || !Number.isInteger(lastSeq) || lastSeq > seq) return null;
+
+    const oldest = history.length > 0 ? history[0].seq : seq + 1;
+    if (lastSeq < oldest - 1) return null;
+
+    return {
+      epoch,
+      seq,
+      timestamp,
+      deltas: history.filter(cycle => cycle.seq > lastSeq).map(cycle => deltaFor(filter, cycle))
+    };
+  }
+
+  function leave(socket) {
+    if (socket.data.zoneRoom) socket.leave(socket.data.zoneRoom);
+    socket.data.zoneRoom = null;
+    socket.data.zoneFilter = null;
+  }
+
+  function subscribe(socket, request = {}) {
+    const filter = normalizeFilter(request);
+    const room = roomFor(filter);
+
+    if (socket.data.zoneRoom !== room) {
+      leave(socket);
+      socket.join(room);
+    }
+    filters.set(room, filter);
+    socket.data.zoneRoom = room;
+    socket.data.zoneFilter = filter;
+    return replay(filter, request) || snapshot(filter);
+  }
+
+  // Publish one update cycle's zone readings
+  function publish(readings) {
+    seq += 1;
+    timestamp = new Date(now());
+
+    const buildings = new Map(zoneRegistry.getZones().map(z => [z.id, z.building]));
+    const changes = [];
+    const seen = new Set();
+
+    readings.forEach(reading => {
+      const zone = { zoneId: reading.zoneId };
+      ZONE_FIELDS.forEach(field => { zone[field] = reading[field]; });
+      zone.building = buildings.get(reading.zoneId);
+
+      const delta = diff(state.get(zone.zoneId), zone);
+      if (delta) changes.push({ zone, delta });
+      state.set(zone.zoneId, zone);
+      seen.add(zone.zoneId);
+    });
+
+    // Zones that disappeared from the registry
+    const removed = Array.from(state.values()).filter(zone => !seen.has(zone.zoneId));
+    removed.forEach(zone => state.delete(zone.zoneId));
+
+    const cycle = { seq, timestamp, changes, removed };
+    history.push(cycle);
+    if (history.length > REPLAY_BUFFER_SIZE) history.shift();
+
+    // Every occupied room gets a message each cycle, even without changes,
+    // so subscribers see a contiguous sequence
+    const rooms = io.of('/').adapter.rooms;
+    filters.forEach((filter, room) => {
+      if (!rooms.has(room)) {
+        filters.delete(room);
+        return;
+      }
+      io.to(room).emit('zoneDelta', deltaFor(filter, cycle));
+    });
+  }
+
+  // Register the subscription handlers on a newly connected socket.
+  // Malformed requests are answered with { success: false, error }.
+  function attach(socket) {
+    socket.on('subscribe', (...args) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const request = args.length > 0 ? args[0] : {};
+      const error = subscriptionError(request);
+      const result = error ? { success: false, error } : subscribe(socket, request);
+      if (ack) ack(result);
+    });
+
+    socket.on('unsubscribe', () => leave(socket));
+
+    socket.on('requestSnapshot', (ack) => {
+      if (typeof ack !== 'function') return;
+      ack(snapshot(socket.data.zoneFilter || normalizeFilter()));
+    });
+  }
+
+  return {
+    attach,
+    publish,
+    snapshot: (filter) => snapshot(normalizeFilter(filter))
+  };
+}
+
+module.exports = { createZoneBroadcaster, ZONE_FIELDS };
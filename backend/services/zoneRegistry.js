@@ -0,0 +1,84 @@
+const EventEmitter = require('events');
+const ZoneDefinition = require('../models/ZoneDefinition');
+const DEFAULT_ZONES = require('../config/defaultZones');
+const logger = require('./logger');
+
+function polygonCentroid(ring) {
+  const sum = ring.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
+}
+
+// Drop unset keys from an optional settings object; undefined when empty
+function compact(obj) {
+  const entries = Object.entries(obj || {}).filter(([, v]) => v !== undefined && v !== null);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+// Convert a stored zone definition into the runtime shape used by the data
+// sources and the update loop ({ id, name, capacity, position, ... })
+function toZone(def) {
+  const ring = def.geometry && def.geometry.coordinates && def.geometry.coordinates[0];
+  const hasPosition = Array.isArray(def.position) && def.position.length === 2;
+
+  return {
+    id: def.zoneId,
+    name: def.name,
+    capacity: def.capacity,
+    building: def.building,
+    floor: def.floor,
+    geometry: ring ? { type: 'Polygon', coordinates: def.geometry.coordinates } : undefined,
+    position: hasPosition ? def.position : (ring ? polygonCentroid(ring) : undefined),
+    spread: def.spread,
+    accessPoints: (def.accessPoints || []).map(ap =>
+      (ap.position && ap.position.length === 2 ? { id: ap.id, position: ap.position } : ap.id)
+    ),
+    thresholdProfile: def.thresholdProfile,
+    thresholds: compact(def.thresholds),
+    dbscan: compact(def.dbscan)
+  };
+}
+
+// In-memory view of the zone registry. Serves the built-in defaults until
+// MongoDB is reachable, then the stored definitions; emits 'change' whenever
+// the set of zones is reloaded.
+function createZoneRegistry(options = {}) {
+  const model = options.model || ZoneDefinition;
+  const defaults = options.defaults || DEFAULT_ZONES;
+  const events = new EventEmitter();
+  let zones = defaults.map(toZone);
+
+  async function load() {
+    const definitions = await model.find().sort({ createdAt: 1 }).lean();
+    zones = definitions.map(toZone);
+    events.emit('change', zones);
+    return zones;
+  }
+
+  // Seed the collection the first time the server starts, then load it
+  async function init() {
+    if (await model.countDocuments() === 0) {
+      await model.insertMany(defaults);
+      logger.info(`🗺️  Seeded ${defaults.length} zone definitions`);
+    }
+    return load();
+  }
+
+  return {
+    init,
+    load,
+
+    getZones() {
+      return zones;
+    },
+
+    getZone(zoneId) {
+      return zones.find(z => z.id === zoneId);
+    },
+
+    on(event, listener) {
+      events.on(event, listener);
+    }
+  };
+}
+
+module.exports = { createZoneRegistry };
@@ -0,0 +1,120 @@
+const express = require('express');
+const { hashDeviceId, resolveZoneId, devicePosition, buildReadings } = require('./utils');
+
+// Accepts individual device sightings from access points, e.g.
+// POST /api/ingest/sightings
+// { "sightings": [{ "clientId": "aa:bb:cc:dd:ee:ff", "apId": "AB1-AP03", "rssi": -61, "timestamp": "..." }] }
+//
+// Population is the number of unique devices seen in each zone within a
+// sliding window. A device that roams between APs is only counted once, in
+// the zone of its most recent (or, for near-simultaneous sightings, strongest)
+// sighting.
+function createDeviceSightingSource(options = {}) {
+  const windowMs = options.windowMs || 5 * 60 * 1000;
+  const roamGraceMs = options.roamGraceMs || 10 * 1000;
+  const minRssi = options.minRssi !== undefined ? options.minRssi : -90;
+
+  // hashed device ID -> { zoneId, apId, rssi, lastSeen }
+  const devices = new Map();
+  // hashed device ID -> zone ID of every device counted by the last read
+  let counted = new Map();
+  let zones = [];
+
+  function recordSighting(sighting) {
+    const rawId = sighting.clientId || sighting.mac;
+    if (!rawId || !sighting.apId) return false;
+
+    const rssi = Number(sighting.rssi);
+    if (Number.isFinite(rssi) && rssi < minRssi) return false;
+
+    const zoneId = resolveZoneId({ apId: sighting.apId }, zones);
+    if (!zoneId) return false;
+
+    // Never trust sighting clocks ahead of ours
+    const parsed = sighting.timestamp ? new Date(sighting.timestamp).getTime() : Date.now();
+    const seenAt = Number.isNaN(parsed) ? Date.now() : Math.min(parsed, Date.now());
+    if (seenAt < Date.now() - windowMs) return false;
+
+    const deviceId = hashDeviceId(rawId);
+    const previous = devices.get(deviceId);
+
+    if (previous) {
+      // Older than what we already know about - ignore
+      if (seenAt < previous.lastSeen - roamGraceMs) return true;
+
+      // Heard by several APs at about the same time: keep the strongest signal
+      const simultaneous = Math.abs(seenAt - previous.lastSeen) <= roamGraceMs;
+      if (simultaneous && previous.apId !== sighting.apId &&
+          Number.isFinite(previous.rssi) && Number.isFinite(rssi) && rssi < previous.rssi) {
+        previous.lastSeen = Math.max(previous.lastSeen, seenAt);
+        return true;
+      }
+    }
+
+    devices.set(deviceId, {
+      zoneId,
+      apId: sighting.apId,
+      rssi: Number.isFinite(rssi) ? rssi : null,
+      lastSeen: previous ? Math.max(previous.lastSeen, seenAt) : seenAt
+    });
+    return true;
+  }
+
+  const router = express.Router();
+
+  router.post('/sightings', (req, res) => {
+    const sightings = Array.isArray(req.body.sightings) ? req.body.sightings : [req.body];
+    let accepted = 0;
+
+    sightings.forEach(sighting => {
+      if (sighting && recordSighting(sighting)) accepted++;
+    });
+
+    res.status(accepted > 0 ? 202 : 400).json({
+      success: accepted > 0,
+      accepted,
+      rejected: sightings.length - accepted
+    });
+  });
+
+  return {
+    name: 'devices',
+    router,
+
+    start(currentZones) {
+      zones = currentZones;
+    },
+
+    stop() {
+      devices.clear();
+    },
+
+    read(currentZones) {
+      zones = currentZones;
+
+      // Slide the window: forget devices not seen recently
+      const cutoff = Date.now() - windowMs;
+      const counts = {};
+      const points = {};
+      counted = new Map();
+      devices.forEach((device, deviceId) => {
+        const zone = zones.find(z => z.id === device.zoneId);
+        if (device.lastSeen < cutoff || !zone) {
+          devices.delete(deviceId);
+          return;
+        }
+        counts[zone.id] = (counts[zone.id] || 0) + 1;
+        counted.set(deviceId, zone.id);
+        (points[zone.id] = points[zone.id] || []).push(devicePosition(zone, device.apId, deviceId));
+      });
+
+      return buildReadings(zones, counts, counts, points);
+    },
+
+    deviceZones() {
+      return counted;
+    }
+  };
+}
+
+module.exports = createDeviceSightingSource;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { resolveZoneId, buildReadings } = require('./utils');
+
+// Accepts zone counts pushed by external collectors, e.g.
+// POST /api/ingest/counts  { "counts": [{ "zoneId": "AB1", "population": 412 }] }
+function createHttpPushSource(options = {}) {
+  const staleAfter = options.staleAfter || 60 * 1000;
+
+  // zoneId -> { population, receivedAt }
+  const latest = new Map();
+  let zones = [];
+
+  const router = express.Router();
+
+  router.post('/counts', (req, res) => {
+    const entries = Array.isArray(req.body.counts) ? req.body.counts : [req.body];
+    const rejected = [];
+    let accepted = 0;
+
+    entries.forEach(entry => {
+      const zoneId = resolveZoneId(entry || {}, zones);
+      const population = Number(entry && entry.population);
+
+      if (!zoneId || !Number.isFinite(population) || population < 0) {
+        rejected.push(entry);
+        return;
+      }
+
+      latest.set(zoneId, { population: Math.floor(population), receivedAt: Date.now() });
+      accepted++;
+    });
+
+    res.status(accepted > 0 ? 202 : 400).json({
+      success: accepted > 0,
+      accepted,
+      rejected: rejected.length
+    });
+  });
+
+  return {
+    name: 'http',
+    router,
+
+    start(currentZones) {
+      zones = currentZones;
+    },
+
+    stop() {
+      latest.clear();
+    },
+
+    read(currentZones) {
+      zones = currentZones;
+
+      // Ignore counts from collectors that have gone quiet
+      const cutoff = Date.now() - staleAfter;
+      const counts = {};
+      latest.forEach((entry, zoneId) => {
+        if (entry.receivedAt >= cutoff) counts[zoneId] = entry.population;
+      });
+
+      return buildReadings(zones, counts);
+    }
+  };
+}
+
+module.exports = createHttpPushSource;
@@ -0,0 +1,51 @@
+const path = require('path');
+const createSimulatorSource = require('./simulatorSource');
+const createScenarioSource = require('./scenarioSource');
+const createLogTailSource = require('./logTailSource');
+const createHttpPushSource = require('./httpPushSource');
+const createDeviceSightingSource = require('./deviceSightingSource');
+
+// Every source exposes the same interface:
+//   name            - identifier used in logs
+//   start(zones)    - begin collecting
+//   stop()          - release files, timers, ...
+//   read(zones)     - current readings, one per zone:
+//                     { zoneId, zoneName, population, deviceCount, capacity, points }
+//                     where points are [x, y] campus positions of devices
+//   router          - optional Express router mounted under /api/ingest
+//   deviceZones()   - optional; Map of hashed device ID -> zone ID for the
+//                     devices counted by the last read, used for flow tracking
+//   zones           - optional zone definitions seeded into an empty registry
+const SOURCES = {
+  simulator: () => createSimulatorSource(),
+  scenario: () => createScenarioSource({
+    file: process.env.SCENARIO_FILE || path.join(__dirname, '../scenarios/campus-day.yaml'),
+    seed: process.env.SCENARIO_SEED,
+    speed: process.env.SCENARIO_SPEED ? Number(process.env.SCENARIO_SPEED) : undefined
+  }),
+  logfile: () => createLogTailSource({
+    path: process.env.LOGFILE_PATH,
+    format: process.env.LOGFILE_FORMAT,
+    sessionTtl: Number(process.env.LOGFILE_SESSION_TTL) || undefined,
+    fromStart: process.env.LOGFILE_FROM_START === 'true'
+  }),
+  http: () => createHttpPushSource({
+    staleAfter: Number(process.env.HTTP_PUSH_STALE_AFTER) || undefined
+  }),
+  devices: () => createDeviceSightingSource({
+    windowMs: Number(process.env.DEVICE_WINDOW) || undefined,
+    roamGraceMs: Number(process.env.DEVICE_ROAM_GRACE) || undefined,
+    minRssi: process.env.DEVICE_MIN_RSSI !== undefined ? Number(process.env.DEVICE_MIN_RSSI) : undefined
+  })
+};
+
+// Pick the data source from configuration (DATA_SOURCE), defaulting to the simulator
+function createDataSource(type = process.env.DATA_SOURCE || 'simulator') {
+  const factory = SOURCES[type];
+  if (!factory) {
+    throw new Error(`Unknown DATA_SOURCE "${type}". Expected one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = { createDataSource };
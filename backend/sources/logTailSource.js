@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { hashDeviceId, resolveZoneId, devicePosition, buildReadings } = require('./utils');
+const logger = require('../services/logger');
+
+// Map log field names (including RADIUS accounting attribute names)
+// onto the fields this adapter understands
+const FIELD_ALIASES = {
+  zone: 'zoneId',
+  zoneid: 'zoneId',
+  ap: 'apId',
+  apid: 'apId',
+  'called-station-id': 'apId',
+  client: 'clientId',
+  clientid: 'clientId',
+  mac: 'clientId',
+  'calling-station-id': 'clientId',
+  event: 'event',
+  'acct-status-type': 'event',
+  time: 'timestamp',
+  timestamp: 'timestamp'
+};
+
+const JOIN_EVENTS = ['start', 'interim-update', 'interim', 'assoc', 'dhcpack', 'renew'];
+const LEAVE_EVENTS = ['stop', 'disassoc', 'dhcprelease', 'release', 'expire'];
+
+// Parse `key=value` pairs, e.g.
+// 2025-10-21T11:36:04Z ap=AB1-AP03 client=aa:bb:cc:dd:ee:ff event=start
+function parseKeyValueLine(line) {
+  const record = {};
+  const pattern = /([\w-]+)=("([^"]*)"|\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(line)) !== null) {
+    const field = FIELD_ALIASES[match[1].toLowerCase()];
+    if (field) {
+      record[field] = match[3] !== undefined ? match[3] : match[2];
+    }
+  }
+
+  return record;
+}
+
+function parseJsonLine(line) {
+  const raw = JSON.parse(line);
+  const record = {};
+
+  Object.keys(raw).forEach(key => {
+    const field = FIELD_ALIASES[key.toLowerCase()];
+    if (field) record[field] = raw[key];
+  });
+
+  return record;
+}
+
+const PARSERS = {
+  kv: parseKeyValueLine,
+  json: parseJsonLine
+};
+
+// Tails a Wi-Fi controller association log (RADIUS accounting, DHCP lease
+// events, ...) and counts active client sessions per zone
+function createLogTailSource(options = {}) {
+  const filePath = options.path;
+  const parseLine = PARSERS[options.format || 'kv'];
+  const sessionTtl = options.sessionTtl || 15 * 60 * 1000;
+  const pollInterval = options.pollInterval || 1000;
+
+  if (!filePath) {
+    throw new Error('Log tail source requires a file path (LOGFILE_PATH)');
+  }
+  if (!parseLine) {
+    throw new Error(`Unknown log format: ${options.format}`);
+  }
+
+  // hashed clientId -> { zoneId, apId, lastSeen }
+  const sessions = new Map();
+  // hashed device ID -> zone ID of every device counted by the last read
+  let counted = new Map();
+  let position = 0;
+  let partial = '';
+  let zones = [];
+  // A read stream is open; polls are skipped until it ends
+  let reading = false;
+  let tailing = false;
+
+  function applyRecord(record) {
+    if (!record.clientId || !record.event) return;
+
+    const deviceId = hashDeviceId(record.clientId);
+    const event = String(record.event).toLowerCase();
+    if (LEAVE_EVENTS.includes(event)) {
+      sessions.delete(deviceId);
+      return;
+    }
+    if (!JOIN_EVENTS.includes(event)) return;
+
+    const zoneId = resolveZoneId(record, zones);
+    if (!zoneId) return;
+
+    const seen = record.timestamp ? new Date(record.timestamp).getTime() : Date.now();
+    sessions.set(deviceId, {
+      zoneId,
+      apId: record.apId,
+      lastSeen: Number.isNaN(seen) ? Date.now() : seen
+    });
+  }
+
+  function handleChunk(chunk) {
+    const lines = (partial + chunk).split('\n');
+    partial = lines.pop();
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        applyRecord(parseLine(line));
+      } catch (error) {
+        logger.warn('⚠️  Skipping unparseable log line', { line });
+      }
+    });
+  }
+
+  // Only one read runs at a time, as the chunks of two would interleave in
+  // `partial`; whatever was appended meanwhile is read once it ends
+  function readNewData(current) {
+    if (reading) return;
+
+    // File was truncated or rotated - start over from the beginning
+    if (current.size < position) {
+      position = 0;
+      partial = '';
+    }
+    if (current.size === position) return;
+
+    const stream = fs.createReadStream(filePath, {
+      encoding: 'utf8',
+      start: position,
+      end: current.size - 1
+    });
+    position = current.size;
+    reading = true;
+
+    stream.on('data', handleChunk);
+    stream.on('error', err => {
+      logger.error('❌ Error reading log file', { file: filePath, error: err.message });
+    });
+    stream.on('close', () => {
+      reading = false;
+      if (!tailing) return;
+      fs.stat(filePath, (err, latest) => {
+        if (!err && tailing) readNewData(latest);
+      });
+    });
+  }
+
+  return {
+    name: 'logfile',
+
+    start(currentZones) {
+      zones = currentZones;
+      tailing = true;
+
+      // Only pick up new entries unless asked to replay the whole file
+      position = 0;
+      if (fs.existsSync(filePath)) {
+        const current = fs.statSync(filePath);
+        if (options.fromStart) {
+          readNewData(current);
+        } else {
+          position = current.size;
+        }
+      }
+
+      fs.watchFile(filePath, { interval: pollInterval }, readNewData);
+      logger.info(`📄 Tailing ${filePath} (${options.format || 'kv'} format)`);
+    },
+
+    stop() {
+      tailing = false;
+      fs.unwatchFile(filePath, readNewData);
+    },
+
+    read(currentZones) {
+      zones = currentZones;
+
+      // Drop sessions that have not been refreshed within the TTL
+      const cutoff = Date.now() - sessionTtl;
+      const counts = {};
+      const points = {};
+      counted = new Map();
+      sessions.forEach((session, deviceId) => {
+        const zone = zones.find(z => z.id === session.zoneId);
+        if (session.lastSeen < cutoff || !zone) {
+          sessions.delete(deviceId);
+          return;
+        }
+        counts[zone.id] = (counts[zone.id] || 0) + 1;
+        counted.set(deviceId, zone.id);
+        (points[zone.id] = points[zone.id] || []).push(devicePosition(zone, session.apId, deviceId));
+      });
+
+      return buildReadings(zones, counts, counts, points);
+    },
+
+    deviceZones() {
+      return counted;
+    }
+  };
+}
+
+module.exports = createLogTailSource;
@@ -0,0 +1,251 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Local day of the week, date and minute of the day in `timezone`
+function createCalendar(timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  return (t) => {
+    const parts = {};
+    formatter.formatToParts(new Date(t)).forEach(p => { parts[p.type] = p.value; });
+    return {
+      dow: WEEKDAYS.indexOf(parts.weekday),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minute: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60
+    };
+  };
+}
+
+function isActive(event, local) {
+  return (!event.dates || event.dates.includes(local.date)) &&
+    (!event.days || event.days.includes(local.dow)) &&
+    local.minute >= event.from && local.minute < event.to;
+}
+
+// Attendance share at `minute`, interpolated between the curve's times
+function shareAt(curve, minute) {
+  if (minute <= curve[0][0]) return curve[0][1];
+  for (let i = 1; i < curve.length; i++) {
+    const [m1, s1] = curve[i];
+    if (minute <= m1) {
+      const [m0, s0] = curve[i - 1];
+      return s0 + (s1 - s0) * (minute - m0) / (m1 - m0);
+    }
+  }
+  return curve[curve.length - 1][1];
+}
+
+// Cumulative weights for picking a zone index in proportion to `weights`
+function distribution(weights) {
+  const cumulative = new Float64Array(weights.length);
+  let total = 0;
+  for (let i = 0; i < weights.length; i++) {
+    total += weights[i];
+    cumulative[i] = total;
+  }
+  return { cumulative, total };
+}
+
+// Agent-based crowd model behind the scenario source (see loadScenario.js
+// for the scenario format). Every person is either off campus or in one
+// zone. Each step a person moves on with a probability set by `mobility`
+// (the typical minutes spent in one place), picking the next zone in
+// proportion to capacity x attraction, where active events and classes add
+// attraction; people beyond the current attendance share leave campus.
+// Evacuated zones empty quickly into the assembly zones, and event visitors
+// only come while their event runs. Time advances in fixed steps, so the
+// same seed always gives the same crowd at the same scenario time.
+function createScenarioEngine(scenario, random) {
+  const calendar = createCalendar(scenario.timezone);
+  const stepMs = scenario.step * 1000;
+  const regulars = scenario.population;
+
+  // Visitors get their own block of agents per event
+  const visitorBlocks = [];
+  let agentCount = regulars;
+  scenario.events.forEach(event => {
+    if (event.visitors > 0) {
+      visitorBlocks.push({ event, from: agentCount, to: agentCount + event.visitors });
+      agentCount += event.visitors;
+    }
+  });
+
+  // Zone index per agent, -1 when off campus
+  const zoneOf = new Int32Array(agentCount).fill(-1);
+  // Each regular comes to campus while the attendance share is above their
+  // rank, so rising attendance brings people in and falling sends them home
+  const rank = Float64Array.from({ length: regulars }, () => random());
+
+  let zones = [];
+  let zoneKey = '';
+  let zoneIndex = new Map();
+  let counts = new Int32Array(0);
+  let time = null;
+
+  function pick(dist) {
+    if (dist.total <= 0) return -1;
+    const r = random() * dist.total;
+    let low = 0;
+    let high = dist.cumulative.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (dist.cumulative[mid] > r) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  }
+
+  function move(agent, next) {
+    const current = zoneOf[agent];
+    if (current === next) return;
+    if (current !== -1) counts[current]--;
+    if (next !== -1) counts[next]++;
+    zoneOf[agent] = next;
+  }
+
+  // Where people want to be at scenario time `t`
+  function demandAt(t) {
+    const local = calendar(t);
+    const active = scenario.events.filter(event => isActive(event, local));
+    const attraction = zones.map(zone =>
+      (scenario.attraction[zone.id] !== undefined ? scenario.attraction[zone.id] : 1));
+    const evacuated = new Uint8Array(zones.length);
+    const assembly = new Float64Array(zones.length);
+    let mobility = scenario.mobility;
+    let evacuationMobility = Infinity;
+
+    active.forEach(event => {
+      Object.keys(event.zones).forEach(zoneId => {
+        if (zoneIndex.has(zoneId)) attraction[zoneIndex.get(zoneId)] += event.zones[zoneId];
+      });
+
+      if (!event.evacuate) {
+        if (event.mobility) mobility = Math.min(mobility, event.mobility);
+        return;
+      }
+      evacuationMobility = Math.min(evacuationMobility, event.mobility);
+      const gatherAt = new Set(event.assembly.filter(id => zoneIndex.has(id)).map(id => zoneIndex.get(id)));
+      gatherAt.forEach(i => {
+        assembly[i] = zones[i].capacity;
+      });
+      zones.forEach((zone, i) => {
+        const cleared = event.evacuate === 'all' ? !gatherAt.has(i) : event.evacuate.includes(zone.id);
+        if (cleared) evacuated[i] = 1;
+      });
+    });
+
+    const weights = zones.map((zone, i) => (evacuated[i] ? 0 : zone.capacity * attraction[i]));
+    const visitors = new Map();
+    visitorBlocks.forEach(block => {
+      if (!active.includes(block.event)) return;
+      visitors.set(block, distribution(zones.map((zone, i) =>
+        (evacuated[i] ? 0 : zone.capacity * (block.event.zones[zone.id] || 0)))));
+    });
+
+    return {
+      share: shareAt(scenario.attendance[local.dow], local.minute),
+      normal: distribution(weights),
+      assembly: distribution(assembly),
+      evacuated,
+      visitors,
+      mobility,
+      evacuationMobility
+    };
+  }
+
+  // Place everyone where they would be at `t`, without a walk there
+  function settle(t) {
+    const demand = demandAt(t);
+    for (let i = 0; i < regulars; i++) {
+      move(i, rank[i] < demand.share ? pick(demand.normal) : -1);
+    }
+    visitorBlocks.forEach(block => {
+      const dist = demand.visitors.get(block);
+      for (let i = block.from; i < block.to; i++) move(i, dist ? pick(dist) : -1);
+    });
+  }
+
+  function step(t) {
+    const demand = demandAt(t);
+    const pMove = 1 - Math.exp(-scenario.step / (demand.mobility * 60));
+    const pEvacuate = 1 - Math.exp(-scenario.step / (demand.evacuationMobility * 60));
+
+    for (let i = 0; i < regulars; i++) {
+      const current = zoneOf[i];
+      const evacuating = current !== -1 && demand.evacuated[current] === 1;
+      if (random() >= (evacuating ? pEvacuate : pMove)) continue;
+
+      if (evacuating) {
+        move(i, pick(demand.assembly));
+      } else {
+        move(i, rank[i] < demand.share ? pick(demand.normal) : -1);
+      }
+    }
+
+    visitorBlocks.forEach(block => {
+      const dist = demand.visitors.get(block);
+      for (let i = block.from; i < block.to; i++) {
+        if (random() < pMove) move(i, dist ? pick(dist) : -1);
+      }
+    });
+  }
+
+  return {
+    // Follow the zone list; people in zones that disappeared go home
+    setZones(next) {
+      const key = next.map(z => `${z.id}:${z.capacity}`).join(',');
+      if (key === zoneKey) return;
+
+      const nextIndex = new Map(next.map((zone, i) => [zone.id, i]));
+      const remap = zones.map(zone => (nextIndex.has(zone.id) ? nextIndex.get(zone.id) : -1));
+      counts = new Int32Array(next.length);
+      for (let i = 0; i < agentCount; i++) {
+        if (zoneOf[i] === -1) continue;
+        zoneOf[i] = remap[zoneOf[i]];
+        if (zoneOf[i] !== -1) counts[zoneOf[i]]++;
+      }
+
+      zones = next;
+      zoneKey = key;
+      zoneIndex = nextIndex;
+    },
+
+    // Run the model up to scenario time `t` (ms)
+    advanceTo(t) {
+      if (time === null) {
+        time = t;
+        settle(t);
+        return;
+      }
+      while (time + stepMs <= t) {
+        time += stepMs;
+        step(time);
+      }
+    },
+
+    // People per zone, in setZones() order
+    counts() {
+      return counts;
+    },
+
+    // Zone ID of every agent on campus, keyed by a stable agent ID
+    agentZones() {
+      const result = new Map();
+      for (let i = 0; i < agentCount; i++) {
+        if (zoneOf[i] !== -1) result.set(`agent-${i}`, zones[zoneOf[i]].id);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createScenarioEngine };
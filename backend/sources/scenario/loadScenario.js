@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createRandom } = require('./random');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const THRESHOLD_PROFILES = Object.keys(require('../../config/thresholdProfiles'));
+
+// Synthetic zones are laid out on a grid this far apart (campus-map metres)
+const SYNTHETIC_SPACING = 80;
+
+function fail(name, message) {
+  throw new Error(`Invalid scenario "${name}": ${message}`);
+}
+
+// "HH:MM" -> minutes after midnight
+function parseTime(name, value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    fail(name, `${field} must be a time like "09:30", got "${value}"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// YAML turns unquoted dates into Date objects
+function parseDate(name, value, field) {
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) fail(name, `${field} must be a date like "2025-03-05", got "${text}"`);
+  return text;
+}
+
+// Day names, a named set (daily / weekdays / weekends) or nothing (every day)
+function parseDays(name, value, field) {
+  if (value === undefined) return null;
+  if (typeof value === 'string' && DAY_SETS[value]) return DAY_SETS[value];
+
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(day => {
+    const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (index === -1) fail(name, `${field} has unknown day "${day}"`);
+    return index;
+  });
+}
+
+function parsePositive(name, value, field, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) fail(name, `${field} must be a positive number`);
+  return number;
+}
+
+// { zoneId: attraction } with non-negative numbers
+function parseZoneWeights(name, value, field) {
+  if (value === undefined) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) fail(name, `${field} must map zone IDs to numbers`);
+  Object.keys(value).forEach(zoneId => {
+    if (!(Number(value[zoneId]) >= 0)) fail(name, `${field}.${zoneId} must be a number >= 0`);
+  });
+  return Object.fromEntries(Object.entries(value).map(([zoneId, weight]) => [zoneId, Number(weight)]));
+}
+
+// { "HH:MM": share } -> [[minute, share], ...] in time order
+function parseCurve(name, value, field) {
+  const points = Object.entries(value).map(([time, share]) => {
+    if (!(Number(share) >= 0 && Number(share) <= 1)) fail(name, `${field}["${time}"] must be between 0 and 1`);
+    return [parseTime(name, time, field), Number(share)];
+  });
+  if (points.length === 0) fail(name, `${field} needs at least one time`);
+  return points.sort((a, b) => a[0] - b[0]);
+}
+
+// Share of the population on campus by time of day, for each day of the week
+function parseAttendance(name, value) {
+  if (value === undefined) return Array(7).fill([[0, 1]]);
+  if (typeof value !== 'object' || Array.isArray(value)) fail(name, 'attendance must map times to shares');
+
+  const perDay = Array(7).fill(null);
+  const keys = Object.keys(value);
+  if (keys.every(key => /^\d{1,2}:\d{2}$/.test(key))) {
+    return perDay.fill(parseCurve(name, value, 'attendance'));
+  }
+
+  keys.forEach(key => {
+    const curve = parseCurve(name, value[key], `attendance.${key}`);
+    parseDays(name, key, 'attendance').forEach(day => {
+      perDay[day] = curve;
+    });
+  });
+  // Days left out of the attendance keep the campus empty
+  return perDay.map(curve => curve || [[0, 0]]);
+}
+
+function parseWindow(name, entry, field) {
+  const from = parseTime(name, entry.from, `${field}.from`);
+  const to = parseTime(name, entry.to, `${field}.to`);
+  if (to <= from) fail(name, `${field} must end after it starts`);
+  return {
+    days: parseDays(name, entry.days, `${field}.days`),
+    dates: entry.date === undefined
+      ? null
+      : (Array.isArray(entry.date) ? entry.date : [entry.date]).map(d => parseDate(name, d, `${field}.date`)),
+    from,
+    to
+  };
+}
+
+function parseEvent(name, entry, index) {
+  const field = `events[${index}]`;
+  const event = {
+    name: entry.name || field,
+    ...parseWindow(name, entry, field),
+    zones: parseZoneWeights(name, entry.zones, `${field}.zones`),
+    mobility: parsePositive(name, entry.mobility, `${field}.mobility`, null),
+    visitors: Math.floor(parsePositive(name, entry.visitors, `${field}.visitors`, 0)),
+    evacuate: null,
+    assembly: []
+  };
+
+  if (entry.evacuate !== undefined) {
+    if (entry.evacuate !== 'all' && !Array.isArray(entry.evacuate)) {
+      fail(name, `${field}.evacuate must be "all" or a list of zone IDs`);
+    }
+    if (!Array.isArray(entry.assembly) || entry.assembly.length === 0) {
+      fail(name, `${field}.assembly must list the zones people gather in`);
+    }
+    event.evacuate = entry.evacuate;
+    event.assembly = entry.assembly.map(String);
+    // Evacuations are fast unless told otherwise
+    event.mobility = event.mobility || 3;
+  }
+  if (event.visitors > 0 && Object.keys(event.zones).length === 0) {
+    fail(name, `${field}.zones must say where the visitors go`);
+  }
+  return event;
+}
+
+// A timetable row becomes one event per class: a short rush in which
+// people arrive, then the class itself, during which few move
+function expandTimetable(name, entry, index) {
+  const field = `timetable[${index}]`;
+  if (!Array.isArray(entry.starts) || entry.starts.length === 0) fail(name, `${field}.starts must list class start times`);
+  const duration = parsePositive(name, entry.duration, `${field}.duration`, 50);
+  const rush = Math.min(parsePositive(name, entry.rush, `${field}.rush`, 10), duration);
+  const zones = parseZoneWeights(name, entry.zones, `${field}.zones`);
+  const days = parseDays(name, entry.days, `${field}.days`);
+  const classMobility = parsePositive(name, entry.mobility, `${field}.mobility`, 60);
+
+  return entry.starts.flatMap(start => {
+    const from = parseTime(name, start, `${field}.starts`);
+    const base = { name: entry.name || field, days, dates: null, zones, visitors: 0, evacuate: null, assembly: [] };
+    const windows = [{ ...base, from, to: from + rush, mobility: rush / 3 }];
+    if (duration > rush) windows.push({ ...base, from: from + rush, to: from + duration, mobility: classMobility });
+    return windows;
+  });
+}
+
+// Zones generated for load tests, laid out on a square grid
+function syntheticZones(name, spec, seed) {
+  const count = Math.floor(parsePositive(name, spec.count, 'syntheticZones.count'));
+  const [minCapacity, maxCapacity] = Array.isArray(spec.capacity) ? spec.capacity : [spec.capacity || 200, spec.capacity || 200];
+  const profiles = spec.profiles || ['default'];
+  profiles.forEach(profile => {
+    if (!THRESHOLD_PROFILES.includes(profile)) fail(name, `syntheticZones.profiles has unknown profile "${profile}"`);
+  });
+
+  const random = createRandom(seed, 'zones');
+  const columns = Math.ceil(Math.sqrt(count));
+  const width = String(count).length;
+  return Array.from({ length: count }, (_, i) => ({
+    zoneId: `S${String(i + 1).padStart(width, '0')}`,
+    name: `Synthetic ${i + 1}`,
+    capacity: Math.round(minCapacity + random() * (maxCapacity - minCapacity)),
+    position: [SYNTHETIC_SPACING * (i % columns + 0.5), SYNTHETIC_SPACING * (Math.floor(i / columns) + 0.5)],
+    spread: SYNTHETIC_SPACING / 4,
+    thresholdProfile: profiles[i % profiles.length]
+  }));
+}
+
+// Check a parsed scenario document and bring it into the engine's shape
+// (times in minutes after midnight, days as 0 = Sunday ... 6 = Saturday).
+// `overrides` (seed, speed) win over the document.
+function normalizeScenario(doc, overrides = {}) {
+  if (!doc || typeof doc !== 'object') throw new Error('Invalid scenario: expected an object');
+  const name = doc.name || 'scenario';
+
+  const seed = overrides.seed !== undefined ? overrides.seed
+    : (doc.seed !== undefined ? doc.seed : Math.floor(Math.random() * 1e9));
+  const speed = parsePositive(name, overrides.speed !== undefined ? overrides.speed : doc.speed, 'speed', 1);
+
+  let start = null;
+  if (doc.start !== undefined) {
+    start = new Date(doc.start).getTime();
+    if (Number.isNaN(start)) fail(name, `start must be a date and time, got "${doc.start}"`);
+  }
+
+  const timezone = doc.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    fail(name, `unknown timezone "${timezone}"`);
+  }
+
+  let zones = null;
+  if (doc.zones !== undefined) {
+    if (!Array.isArray(doc.zones)) fail(name, 'zones must be a list of zone definitions');
+    zones = doc.zones;
+  }
+  if (doc.syntheticZones !== undefined) {
+    zones = (zones || []).concat(syntheticZones(name, doc.syntheticZones, seed));
+  }
+  if (zones) {
+    zones.forEach((zone, i) => {
+      if (!zone.zoneId || !zone.name || !(zone.capacity > 0)) fail(name, `zones[${i}] needs zoneId, name and capacity`);
+    });
+  }
+
+  const events = (doc.timetable || []).flatMap((entry, i) => expandTimetable(name, entry, i))
+    .concat((doc.events || []).map((entry, i) => parseEvent(name, entry, i)));
+
+  return {
+    name,
+    seed,
+    speed,
+    start,
+    // Simulation step in scenario seconds: about one update cycle, at most a minute
+    step: parsePositive(name, doc.step, 'step', Math.min(60, Math.max(5, 5 * speed))),
+    timezone,
+    population: Math.floor(parsePositive(name, doc.population, 'population', 5000)),
+    mobility: parsePositive(name, doc.mobility, 'mobility', 20),
+    attendance: parseAttendance(name, doc.attendance),
+    attraction: parseZoneWeights(name, doc.attraction, 'attraction'),
+    zones,
+    events
+  };
+}
+
+// Read a scenario from a .yaml / .yml / .json file
+function loadScenario(file, overrides) {
+  const text = fs.readFileSync(file, 'utf8');
+  const doc = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+  return normalizeScenario(doc, overrides);
+}
+
+module.exports = { loadScenario, normalizeScenario };
@@ -0,0 +1,27 @@
+// Seedable pseudo-random numbers, so a scenario run can be reproduced
+
+// 32-bit hash of a string seed (FNV-1a)
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// [0, 1) generator (mulberry32) for a number or string seed; different
+// `stream` names give independent sequences from the same seed
+function createRandom(seed, stream = '') {
+  let state = hashSeed(`${seed}:${stream}`);
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createRandom };
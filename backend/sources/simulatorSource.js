@@ -0,0 +1,32 @@
+// Simulated Wi-Fi activity source (demo / staging)
+const { simulateDevicePositions } = require('./utils');
+
+function createSimulatorSource() {
+  return {
+    name: 'simulator',
+
+    start() {},
+
+    stop() {},
+
+    read(zones) {
+      return zones.map(zone => {
+        // Simulate Wi-Fi connected devices with realistic variance
+        const basePopulation = zone.capacity * 0.3; // 30% base occupancy
+        const variance = Math.random() * zone.capacity * 0.5; // Up to 50% variance
+        const population = Math.floor(basePopulation + variance);
+
+        return {
+          zoneId: zone.id,
+          zoneName: zone.name,
+          population: population,
+          deviceCount: population,
+          capacity: zone.capacity,
+          points: simulateDevicePositions(zone, population)
+        };
+      });
+    }
+  };
+}
+
+module.exports = createSimulatorSource;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+// Shared helpers for data-source adapters
+
+const DEVICE_HASH_SALT = process.env.DEVICE_HASH_SALT || crypto.randomBytes(32).toString('hex');
+let warnedAboutSalt = false;
+
+// Salted hash of a MAC address / client ID. Raw identifiers are hashed as soon
+// as they arrive so they are never kept in memory or written to MongoDB.
+function hashDeviceId(rawId) {
+  if (!process.env.DEVICE_HASH_SALT && !warnedAboutSalt) {
+    logger.warn('⚠️  DEVICE_HASH_SALT not set - device hashes will change on every restart');
+    warnedAboutSalt = true;
+  }
+
+  const normalized = String(rawId).trim().toLowerCase().replace(/[-.]/g, ':');
+  return crypto.createHmac('sha256', DEVICE_HASH_SALT).update(normalized).digest('hex');
+}
+
+// Access points are listed either as plain IDs or as { id, position: [x, y] }
+function accessPointId(ap) {
+  return typeof ap === 'string' ? ap : ap.id;
+}
+
+// Resolve the zone an ingested record belongs to.
+// Records may name the zone directly, or carry an access point ID that is
+// either listed in a zone's `accessPoints` or follows the "<zoneId>-<suffix>"
+// naming convention (e.g. "AB1-AP03").
+function resolveZoneId(record, zones) {
+  if (record.zoneId && zones.some(z => z.id === record.zoneId)) {
+    return record.zoneId;
+  }
+
+  if (record.apId) {
+    const owner = zones.find(z => (z.accessPoints || []).some(ap => accessPointId(ap) === record.apId));
+    if (owner) return owner.id;
+
+    const prefix = String(record.apId).split('-')[0];
+    const zone = zones.find(z => z.id.toLowerCase() === prefix.toLowerCase());
+    if (zone) return zone.id;
+  }
+
+  return null;
+}
+
+// Campus position of a device: its access point's position when known,
+// otherwise the zone centre. A small offset derived from the device hash keeps
+// devices on the same AP from collapsing onto a single point.
+function devicePosition(zone, apId, deviceId) {
+  const ap = (zone.accessPoints || []).find(a => accessPointId(a) === apId);
+  const origin = (ap && ap.position) || zone.position || [0, 0];
+  const dx = (parseInt(deviceId.slice(0, 4), 16) / 0xffff - 0.5) * 6;
+  const dy = (parseInt(deviceId.slice(4, 8), 16) / 0xffff - 0.5) * 6;
+  return [origin[0] + dx, origin[1] + dy];
+}
+
+// Turn a { zoneId: population } map into the reading format the
+// update pipeline expects. Zones without data report 0.
+// `deviceCounts` records how many distinct devices produced each count and
+// `points` holds their [x, y] positions for clustering, when known.
+function buildReadings(zones, counts, deviceCounts = {}, points = {}) {
+  return zones.map(zone => ({
+    zoneId: zone.id,
+    zoneName: zone.name,
+    population: counts[zone.id] || 0,
+    deviceCount: deviceCounts[zone.id] || 0,
+    capacity: zone.capacity,
+    points: points[zone.id] || []
+  }));
+}
+
+// Standard normal sample (Box-Muller) from a [0, 1) generator
+function gaussian(random = Math.random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Scatter devices around the zone: most gather at a few hotspots
+// (entrances, lecture halls, seating areas), the rest wander the zone.
+// `random` is a [0, 1) generator, seedable for reproducible runs.
+function simulateDevicePositions(zone, population, random = Math.random) {
+  const [cx, cy] = zone.position || [50, 50];
+  const spread = zone.spread || 30;
+
+  const hotspotCount = 1 + Math.floor(random() * 3);
+  const hotspots = [];
+  for (let i = 0; i < hotspotCount; i++) {
+    hotspots.push([cx + (random() - 0.5) * spread, cy + (random() - 0.5) * spread]);
+  }
+
+  const points = [];
+  for (let i = 0; i < population; i++) {
+    if (random() < 0.7) {
+      const [hx, hy] = hotspots[i % hotspotCount];
+      points.push([hx + gaussian(random) * spread / 10, hy + gaussian(random) * spread / 10]);
+    } else {
+      const angle = random() * 2 * Math.PI;
+      const distance = Math.sqrt(random()) * spread;
+      points.push([cx + Math.cos(angle) * distance, cy + Math.sin(angle) * distance]);
+    }
+  }
+
+  return points;
+}
+
+module.exports = { hashDeviceId, resolveZoneId, devicePosition, buildReadings, simulateDevicePositions };
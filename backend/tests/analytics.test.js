@@ -0,0 +1,94 @@
+const { summarizeZone } = require('../services/analytics');
+
+const ZONE = { id: 'Library', name: 'Library', capacity: 300 };
+
+// One hour-of-week cell as aggregated from minute rollups: `occupancy` is
+// the average share of capacity, `statuses` the minutes per worst status
+const cell = (dow, hour, occupancy, statuses = { normal: 60 }) => {
+  const buckets = Object.values(statuses).reduce((sum, n) => sum + n, 0);
+  return {
+    dow,
+    hour,
+    buckets,
+    sumOccupancy: occupancy * buckets,
+    maxOccupancy: Math.min(occupancy * 1.2, 1.5),
+    maxPopulation: Math.round(occupancy * 1.2 * 300),
+    normal: 0,
+    moderate: 0,
+    overcrowded: 0,
+    critical: 0,
+    ...statuses
+  };
+};
+
+// A week of weekday hours 08:00-17:00 at `busy`, nights at `quiet`
+const week = (busy, quiet, busyStatuses) => {
+  const cells = [];
+  for (let dow = 0; dow < 7; dow++) {
+    for (let hour = 0; hour < 24; hour++) {
+      const working = dow >= 1 && dow <= 5 && hour >= 8 && hour < 18;
+      cells.push(cell(dow, hour, working ? busy : quiet, working ? busyStatuses : undefined));
+    }
+  }
+  return cells;
+};
+
+describe('summarizeZone', () => {
+  test('builds the heatmap, status shares and peak hours', () => {
+    const result = summarizeZone(ZONE, [
+      cell(1, 9, 0.5, { normal: 30, moderate: 30 }),
+      cell(1, 10, 0.9, { overcrowded: 45, critical: 15 }),
+      cell(3, 14, 0.7, { moderate: 60 }),
+      cell(0, 3, 0)
+    ], 1);
+
+    expect(result.coveredHours).toBe(4);
+    expect(result.heatmap.map(c => [c.dow, c.hour, c.avgOccupancy])).toEqual([
+      [0, 3, 0], [1, 9, 50], [1, 10, 90], [3, 14, 70]
+    ]);
+    expect(result.statusShare).toEqual({ normal: 37.5, moderate: 37.5, overcrowded: 18.8, critical: 6.3 });
+    expect(result.peakHours).toEqual([
+      { dow: 1, hour: 10, avgOccupancy: 90 },
+      { dow: 3, hour: 14, avgOccupancy: 70 },
+      { dow: 1, hour: 9, avgOccupancy: 50 }
+    ]);
+    expect(result.avgOccupancy).toBe(52.5);
+    expect(result.recommendation.rating).toBe('insufficient-data');
+  });
+
+  test('recommends more capacity for a zone that is often overcrowded', () => {
+    const result = summarizeZone(ZONE, week(0.95, 0.1, { overcrowded: 40, critical: 20 }), 1);
+
+    expect(result.busyOccupancy).toBe(95);
+    expect(result.recommendation).toMatchObject({ rating: 'over-used', recommendedCapacity: 380, change: 80 });
+    expect(result.recommendation.reason).toMatch(/overcrowded or critical 29\.8% of the time/);
+  });
+
+  test('recommends less capacity for a zone that is rarely busy', () => {
+    const result = summarizeZone(ZONE, week(0.2, 0), 1);
+
+    expect(result.busyOccupancy).toBe(20);
+    expect(result.recommendation).toMatchObject({ rating: 'under-used', recommendedCapacity: 80, change: -220 });
+  });
+
+  test('keeps the capacity of a zone used as planned', () => {
+    const result = summarizeZone(ZONE, week(0.7, 0.05), 60);
+
+    expect(result.coveredHours).toBe(168 * 60);
+    expect(result.recommendation).toMatchObject({ rating: 'ok', recommendedCapacity: 300, change: 0 });
+  });
+
+  test('has nothing to report without data', () => {
+    const result = summarizeZone(ZONE, [], 1);
+
+    expect(result).toMatchObject({
+      coveredHours: 0,
+      avgOccupancy: null,
+      peakOccupancy: null,
+      heatmap: [],
+      peakHours: [],
+      statusShare: { normal: 0, moderate: 0, overcrowded: 0, critical: 0 }
+    });
+    expect(result.recommendation.rating).toBe('insufficient-data');
+  });
+});
@@ -0,0 +1,344 @@
+const net = require('net');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createServer } = require('../app');
+const User = require('../models/User');
+const Zone = require('../models/Zone');
+const { ZoneRollupMinute } = require('../models/ZoneRollup');
+const { startTestServer, createTestSource, tokenFor } = require('./helpers/testServer');
+
+// The first run downloads a MongoDB binary
+const STARTUP_TIMEOUT = 120000;
+
+describe('REST API', () => {
+  let ctx;
+  let firstCycleAt;
+
+  const get = (path) => request(ctx.app).get(path).set('Authorization', `Bearer ${ctx.token}`);
+
+  // Two update cycles five seconds apart. Library (library profile,
+  // capacity 300) starts critical at 280 and drops to 200, but keeps its
+  // status because the change hasn't been sustained for its 30s dwell.
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ctx = await startTestServer();
+
+    firstCycleAt = ctx.clock.now();
+    ctx.source.populations = { Library: 280, AB2: 100, MBA: 150 };
+    await ctx.runUpdateCycle();
+
+    ctx.clock.advance(5000);
+    ctx.source.populations = { Library: 200, AB2: 120, MBA: 150 };
+    await ctx.runUpdateCycle();
+  }, STARTUP_TIMEOUT);
+
+  afterAll(async () => {
+    if (ctx) await ctx.close();
+    console.log.mockRestore();
+  });
+
+  test('rejects requests without a token', async () => {
+    const res = await request(ctx.app).get('/api/zones');
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ success: false, error: 'Authentication required' });
+  });
+
+  test('checks the stored account rather than the token on every request', async () => {
+    const token = await tokenFor('operator');
+    const { id } = await User.findOne({ username: 'test-operator' });
+    const asOperator = (path) => request(ctx.app).get(path).set('Authorization', `Bearer ${token}`);
+    const update = (fields) => request(ctx.app).put(`/api/auth/users/${id}`).set('Authorization', `Bearer ${ctx.token}`).send(fields);
+
+    expect((await asOperator('/api/auth/users')).status).toBe(403);
+    expect((await update({ role: 'admin' })).status).toBe(200);
+    expect((await asOperator('/api/auth/users')).status).toBe(200);
+
+    expect((await update({ enabled: false })).status).toBe(200);
+    expect((await asOperator('/api/zones')).status).toBe(401);
+  });
+
+  describe('GET /api/zones', () => {
+    test('returns the latest reading of every registered zone', async () => {
+      const res = await get('/api/zones');
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toHaveLength(9);
+      expect(res.body.source).toBe('database');
+      expect(new Date(res.body.timestamp).getTime()).toBe(ctx.clock.now());
+
+      const library = res.body.data.find(z => z._id === 'Library');
+      expect(library).toMatchObject({
+        zoneName: 'Library',
+        population: 200,
+        capacity: 300,
+        density: 80,
+        status: 'critical',
+        cluster: 0
+      });
+      expect(new Date(library.timestamp).getTime()).toBe(ctx.clock.now());
+    });
+  });
+
+  describe('GET /api/history/:zoneId', () => {
+    test('returns raw readings of the last 15 minutes, oldest first', async () => {
+      const res = await get('/api/history/Library');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, zoneId: 'Library', bucket: null, source: 'zones', count: 2, total: 2 });
+      expect(res.body.data.map(r => r.population)).toEqual([280, 200]);
+      expect(new Date(res.body.data[0].timestamp).getTime()).toBe(firstCycleAt);
+    });
+
+    test('downsamples into buckets', async () => {
+      const res = await get('/api/history/Library?bucket=1m');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([
+        expect.objectContaining({
+          zoneId: 'Library',
+          minPopulation: 200,
+          maxPopulation: 280,
+          avgPopulation: 240,
+          peakStatus: 'critical',
+          samples: 2
+        })
+      ]);
+    });
+
+    test('limits results to the requested range', async () => {
+      const res = await get(`/api/history/Library?from=${firstCycleAt + 1000}`);
+      expect(res.body.data.map(r => r.population)).toEqual([200]);
+    });
+
+    test('treats an empty from as missing and rejects repeated ones', async () => {
+      const empty = await get('/api/history/Library?from=&to=');
+      expect(empty.status).toBe(200);
+      expect(new Date(empty.body.data[0].timestamp).getTime()).toBe(firstCycleAt);
+
+      const repeated = await get(`/api/history/Library?from=${firstCycleAt}&from=${firstCycleAt}`);
+      expect(repeated.status).toBe(400);
+      expect(repeated.body.error).toBe('from and to must be ISO dates or epoch milliseconds');
+    });
+
+    test('asks for a bucket once raw readings have expired', async () => {
+      const threeDaysAgo = firstCycleAt - 3 * 24 * 3600000;
+      const res = await get(`/api/history/Library?from=${threeDaysAgo}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('raw readings are only kept for 48 hours; pass a bucket for older ranges');
+
+      expect((await get(`/api/export/history?zoneIds=Library&from=${threeDaysAgo}`)).status).toBe(400);
+      expect((await get(`/api/history/Library?from=${threeDaysAgo}&bucket=1h`)).status).toBe(200);
+    });
+
+    test('rejects an unknown bucket', async () => {
+      const res = await get('/api/history/Library?bucket=7m');
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.error).toMatch(/bucket must be one of/);
+    });
+
+    test('rejects a range that ends before it starts', async () => {
+      const res = await get(`/api/history/Library?from=${firstCycleAt}&to=${firstCycleAt - 1000}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('from must be before to');
+    });
+  });
+
+  describe('GET /api/summary', () => {
+    test('totals the latest readings', async () => {
+      const res = await get('/api/summary');
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.summary).toMatchObject({
+        totalPopulation: 470,
+        activeZones: 3,
+        overcrowdedZones: 2,
+        criticalZones: 1,
+        totalZones: 9,
+        peakZone: { zoneId: 'MBA', population: 150, capacity: 150, occupancy: 100, status: 'overcrowded' }
+      });
+    });
+
+    test('has nothing to compare with before any rollups exist', async () => {
+      const res = await get('/api/summary');
+      expect(res.body.summary.comparisons).toEqual({});
+      expect(res.body.summary.changes).toEqual({});
+      expect(res.body.summary.netFlowRate).toBeNull();
+    });
+  });
+
+  describe('GET /api/analytics', () => {
+    // Two hours of Library minute rollups two days back: the first at 60%
+    // occupancy, the second at 90% and overcrowded half the time
+    const hourStart = () => Math.floor(firstCycleAt / 3600000) * 3600000 - 2 * 24 * 3600000;
+
+    beforeAll(async () => {
+      const start = hourStart();
+      await ZoneRollupMinute.insertMany(Array.from({ length: 120 }, (_, i) => {
+        const population = i < 60 ? 180 : 270;
+        return {
+          zoneId: 'Library',
+          zoneName: 'Library',
+          capacity: 300,
+          timestamp: new Date(start + i * 60000),
+          minPopulation: population,
+          maxPopulation: population,
+          sumPopulation: population * 12,
+          sumSqPopulation: population * population * 12,
+          samples: 12,
+          peakLevel: i < 60 ? 1 : (i % 2 ? 2 : 1)
+        };
+      }));
+    });
+
+    test('returns the heatmap, status shares and peak hours of a zone', async () => {
+      const res = await get('/api/analytics/Library');
+      const first = new Date(hourStart());
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        zoneId: 'Library',
+        capacity: 300,
+        source: 'zone_rollups_minute',
+        timezone: 'UTC',
+        coveredHours: 2,
+        avgOccupancy: 75,
+        statusShare: { normal: 0, moderate: 75, overcrowded: 25, critical: 0 },
+        recommendation: { rating: 'insufficient-data' }
+      });
+      expect(res.body.data.heatmap).toEqual([
+        { dow: first.getUTCDay(), hour: first.getUTCHours(), avgOccupancy: 60, peakOccupancy: 60, hours: 1 },
+        { dow: new Date(hourStart() + 3600000).getUTCDay(), hour: (first.getUTCHours() + 1) % 24, avgOccupancy: 90, peakOccupancy: 90, hours: 1 }
+      ].sort((a, b) => a.dow - b.dow || a.hour - b.hour));
+      expect(res.body.data.peakHours[0].avgOccupancy).toBe(90);
+    });
+
+    test('covers every zone and honours the range', async () => {
+      const res = await get(`/api/analytics?from=${hourStart() + 3600000}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.zones).toHaveLength(9);
+      expect(res.body.data.zones.find(z => z.zoneId === 'Library')).toMatchObject({ coveredHours: 1, avgOccupancy: 90 });
+    });
+
+    test('rejects an unknown zone and an empty range', async () => {
+      expect((await get('/api/analytics/Nowhere')).status).toBe(404);
+
+      const res = await get(`/api/analytics?from=${firstCycleAt}&to=${firstCycleAt}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('from must be before to');
+    });
+  });
+
+  test('rejects inflow rules without a time window', async () => {
+    const res = await request(ctx.app).post('/api/alert-rules').set('Authorization', `Bearer ${ctx.token}`)
+      .send({ name: 'Instant inflow', type: 'inflow', threshold: 20, durationMinutes: 0 });
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual({ durationMinutes: 'inflow rules need a durationMinutes of at least 1' });
+  });
+
+  test('rejects query operators in the delivery status filter', async () => {
+    const res = await get('/api/notifications/deliveries?status[$ne]=delivered');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('status must be one of delivered, failed, suppressed');
+    expect((await get('/api/notifications/deliveries?status=failed')).status).toBe(200);
+  });
+
+  test('rejects query operators in the anomaly zone filter', async () => {
+    const res = await get('/api/anomalies?zoneId[$ne]=Library');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('zoneId must be a single zone ID');
+    expect((await get('/api/anomalies?zoneId=Library')).status).toBe(200);
+  });
+
+  describe('GET /health', () => {
+    test('reports the database and an empty write buffer', async () => {
+      const res = await request(ctx.app).get('/health');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        status: 'OK',
+        database: { state: 'connected' },
+        writeBuffer: { depth: 0, dropped: 0 }
+      });
+      expect(new Date(res.body.database.lastWriteAt).getTime()).toBe(ctx.clock.now());
+    });
+  });
+
+  describe('GET /metrics', () => {
+    test('exposes zone occupancy, status counts and write latency', async () => {
+      const res = await request(ctx.app).get('/metrics');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/plain/);
+      expect(res.text).toContain('crowd_zone_population{zone_id="Library",zone_name="Library"} 200');
+      expect(res.text).toContain('crowd_zone_occupancy_ratio{zone_id="MBA"} 1');
+      expect(res.text).toContain('crowd_zones{status="critical"} 1');
+      expect(res.text).toContain('crowd_update_cycle_duration_seconds_count 2');
+      expect(res.text).toMatch(/crowd_mongo_write_duration_seconds_count\{model="Zone"\} 2/);
+      expect(res.text).toContain('crowd_socket_clients 0');
+    });
+  });
+
+  test('returns the request ID, keeping one sent by a proxy', async () => {
+    const generated = await get('/api/zones');
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const forwarded = await request(ctx.app).get('/health').set('X-Request-Id', 'proxy-42');
+    expect(forwarded.headers['x-request-id']).toBe('proxy-42');
+  });
+});
+
+describe('starting before the database', () => {
+  let crowdServer;
+  let mongo;
+
+  // A port nothing listens on yet
+  const freePort = () => new Promise(resolve => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+  async function waitFor(condition) {
+    while (!(await condition())) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    if (crowdServer) await crowdServer.stop();
+    if (mongo) await mongo.stop();
+    console.log.mockRestore();
+  });
+
+  test('keeps connecting and loads the database once it is up', async () => {
+    const port = await freePort();
+    const source = createTestSource();
+    crowdServer = createServer({
+      dataSource: source,
+      mongoUri: `mongodb://127.0.0.1:${port}/crowd_management?serverSelectionTimeoutMS=500`,
+      updateInterval: 0
+    });
+    await crowdServer.start(0);
+
+    const health = await request(crowdServer.app).get('/health');
+    expect(health.body.status).toBe('DEGRADED');
+
+    mongo = await MongoMemoryServer.create({ instance: { port } });
+    await waitFor(async () => (await request(crowdServer.app).get('/health')).body.status === 'OK');
+    // The first admin account is created by the loaders
+    await waitFor(async () => (await User.countDocuments()) === 1);
+
+    source.populations = { Library: 50 };
+    await crowdServer.runUpdateCycle();
+    expect(await Zone.countDocuments({ zoneId: 'Library' })).toBe(1);
+  }, STARTUP_TIMEOUT);
+});
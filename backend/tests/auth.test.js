@@ -0,0 +1,44 @@
+const { authenticate, requireIngestKey } = require('../middleware/auth');
+const { issueToken } = require('../services/auth');
+
+// Runs `middleware` against a request with `headers`; resolves to the
+// response status, or 'next' when the request was let through
+async function statusOf(middleware, headers) {
+  let status;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  await middleware({ headers }, res, () => { status = 'next'; });
+  return status;
+}
+
+describe('authenticate', () => {
+  // No database is connected in these tests
+  test('does not trust the token alone while the database is unreachable', async () => {
+    const token = issueToken({ _id: '64b7f0c2a1b2c3d4e5f60718', username: 'ghost', role: 'admin' });
+    expect(await statusOf(authenticate, { authorization: `Bearer ${token}` })).toBe(503);
+    expect(await statusOf(authenticate, {})).toBe(401);
+  });
+});
+
+describe('ingest API key', () => {
+  const check = (apiKey) => statusOf(requireIngestKey, apiKey === undefined ? {} : { 'x-api-key': apiKey });
+  const original = process.env.INGEST_API_KEY;
+
+  afterEach(() => {
+    if (original === undefined) delete process.env.INGEST_API_KEY;
+    else process.env.INGEST_API_KEY = original;
+  });
+
+  test('refuses every push while no key is set', async () => {
+    delete process.env.INGEST_API_KEY;
+    expect(await check(undefined)).toBe(503);
+    expect(await check('anything')).toBe(503);
+  });
+
+  test('only lets the configured key through', async () => {
+    process.env.INGEST_API_KEY = 'collector-secret';
+    expect(await check('collector-secret')).toBe('next');
+    expect(await check('collector-secre')).toBe(401);
+    expect(await check('collector-secret-and-more')).toBe(401);
+    expect(await check(undefined)).toBe(401);
+  });
+});
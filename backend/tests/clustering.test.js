@@ -0,0 +1,121 @@
+const { applyDBSCAN } = require('../services/clustering');
+const { createStatusTracker } = require('../services/statusTracker');
+const { createClock } = require('./helpers/clock');
+
+// Default profile: moderate 60%, overcrowded 85%, critical 100%,
+// hysteresis 5 points, minDwell 15s. Library: 50 / 75 / 90.
+const ZONES = [
+  { id: 'Hall', name: 'Hall', capacity: 100 },
+  { id: 'Library', name: 'Library', capacity: 100, thresholdProfile: 'library' },
+  { id: 'Lab', name: 'Lab', capacity: 100, thresholds: { critical: 70 } },
+  { id: 'Quick', name: 'Quick', capacity: 100, thresholds: { minDwell: 0 } }
+];
+
+const reading = (zoneId, population, points = []) => ({
+  zoneId,
+  zoneName: zoneId,
+  population,
+  deviceCount: population,
+  capacity: 100,
+  points
+});
+
+// `count` device positions packed within a metre of (x, y)
+const crowdAt = (x, y, count) =>
+  Array.from({ length: count }, (_, i) => [x + (i % 5) * 0.2, y + Math.floor(i / 5) * 0.2]);
+
+const statusOf = (result, zoneId) => result.zones.find(z => z.zoneId === zoneId).status;
+
+describe('applyDBSCAN status', () => {
+  test.each([
+    [50, 'normal'],
+    [70, 'moderate'],
+    [90, 'overcrowded'],
+    [101, 'critical']
+  ])('%i%% occupancy is %s on the default profile', (population, status) => {
+    const result = applyDBSCAN([reading('Hall', population)], ZONES, createStatusTracker());
+    expect(statusOf(result, 'Hall')).toBe(status);
+  });
+
+  test('uses the zone\'s threshold profile and overrides', () => {
+    const result = applyDBSCAN(
+      [reading('Hall', 80), reading('Library', 80), reading('Lab', 80)],
+      ZONES,
+      createStatusTracker()
+    );
+
+    expect(statusOf(result, 'Hall')).toBe('moderate');
+    expect(statusOf(result, 'Library')).toBe('overcrowded');
+    expect(statusOf(result, 'Lab')).toBe('critical');
+  });
+
+  test('falls back to the default profile for zones missing from the registry', () => {
+    const result = applyDBSCAN([reading('Unknown', 90)], ZONES, createStatusTracker());
+    expect(statusOf(result, 'Unknown')).toBe('overcrowded');
+  });
+
+  test('applies a new status only after it was sustained for minDwell', () => {
+    const clock = createClock(0);
+    const tracker = createStatusTracker({ now: clock.now });
+    const cycle = (population) => statusOf(applyDBSCAN([reading('Hall', population)], ZONES, tracker), 'Hall');
+
+    expect(cycle(50)).toBe('normal');
+    clock.advance(5000);
+    expect(cycle(70)).toBe('normal');
+    clock.advance(10000);
+    expect(cycle(70)).toBe('normal');
+    clock.advance(5000);
+    expect(cycle(70)).toBe('moderate');
+  });
+
+  test('restarts the dwell when the reading falls back in between', () => {
+    const clock = createClock(0);
+    const tracker = createStatusTracker({ now: clock.now });
+    const cycle = (population) => statusOf(applyDBSCAN([reading('Hall', population)], ZONES, tracker), 'Hall');
+
+    cycle(50);
+    clock.advance(5000);
+    cycle(70);
+    clock.advance(5000);
+    expect(cycle(50)).toBe('normal');
+    clock.advance(5000);
+    cycle(70);
+    clock.advance(10000);
+    expect(cycle(70)).toBe('normal');
+  });
+
+  test('keeps a status until the reading drops hysteresis points below its threshold', () => {
+    const tracker = createStatusTracker();
+    const cycle = (population) => statusOf(applyDBSCAN([reading('Quick', population)], ZONES, tracker), 'Quick');
+
+    expect(cycle(70)).toBe('moderate');
+    expect(cycle(57)).toBe('moderate');
+    expect(cycle(54)).toBe('normal');
+  });
+});
+
+describe('applyDBSCAN readings', () => {
+  test('assigns hotspots to zones and scales member counts to the population', () => {
+    const result = applyDBSCAN(
+      [reading('Hall', 60, crowdAt(10, 10, 20)), reading('Library', 30)],
+      ZONES,
+      createStatusTracker()
+    );
+
+    expect(result.clusters).toHaveLength(1);
+    expect(result.clusters[0]).toMatchObject({ clusterId: 1, zoneIds: ['Hall'], memberCount: 60 });
+
+    const hall = result.zones.find(z => z.zoneId === 'Hall');
+    const library = result.zones.find(z => z.zoneId === 'Library');
+    expect(hall).toMatchObject({ cluster: 1, density: 72, population: 60, deviceCount: 60 });
+    expect(library.cluster).toBe(0);
+  });
+
+  test('stamps readings and hotspots with the given timestamp', () => {
+    const timestamp = new Date('2024-03-06T12:00:00Z');
+    const result = applyDBSCAN([reading('Hall', 60, crowdAt(10, 10, 20))], ZONES, createStatusTracker(), timestamp);
+
+    expect(result.zones[0].timestamp).toEqual(timestamp);
+    expect(result.clusters[0].timestamp).toEqual(timestamp);
+  });
+});
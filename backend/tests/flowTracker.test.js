@@ -0,0 +1,24 @@
+const { createFlowTracker } = require('../services/flowTracker');
+const { createClock } = require('./helpers/clock');
+
+const reading = (zoneId, population) => ({ zoneId, population });
+
+describe('flow tracker', () => {
+  test('writes the interval in progress when stopped', async () => {
+    const clock = createClock(Date.parse('2025-09-10T08:00:00Z'));
+    const written = [];
+    const writeBuffer = { write: async (model, docs) => written.push({ model, docs }) };
+    const tracker = createFlowTracker({ now: clock.now, writeBuffer, intervalMinutes: 5 });
+
+    await tracker.record([reading('Library', 10)]);
+    clock.advance(60000);
+    await tracker.record([reading('Library', 25)]);
+    expect(written).toEqual([]);
+
+    await tracker.stop();
+    expect(written).toEqual([{
+      model: 'ZoneFlow',
+      docs: [{ zoneId: 'Library', timestamp: new Date('2025-09-10T08:00:00Z'), method: 'net', inflow: 15, outflow: 0 }]
+    }]);
+  });
+});
@@ -0,0 +1,13 @@
+// Clock that only moves when a test advances it; defaults to the current
+// minute so stored readings aren't expired by the TTL indexes
+function createClock(start = Math.floor(Date.now() / 60000) * 60000) {
+  let time = start;
+  return {
+    now: () => time,
+    advance(ms) {
+      time += ms;
+    }
+  };
+}
+
+module.exports = { createClock };
@@ -0,0 +1,78 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createServer } = require('../../app');
+const User = require('../../models/User');
+const { issueToken } = require('../../services/auth');
+const { createClock } = require('./clock');
+
+// Data source serving whatever the test sets: `populations` and device
+// `points` by zone ID, zero people elsewhere
+function createTestSource() {
+  return {
+    name: 'test',
+    populations: {},
+    points: {},
+
+    start() {},
+
+    stop() {},
+
+    read(zones) {
+      return zones.map(zone => {
+        const population = this.populations[zone.id] || 0;
+        return {
+          zoneId: zone.id,
+          zoneName: zone.name,
+          population,
+          deviceCount: population,
+          capacity: zone.capacity,
+          points: this.points[zone.id] || []
+        };
+      });
+    }
+  };
+}
+
+// Token of a stored test user with the given role, created on first use.
+// Needs the test server's database connection.
+async function tokenFor(role = 'admin') {
+  const username = `test-${role}`;
+  let user = await User.findOne({ username });
+  if (!user) {
+    user = new User({ username, role });
+    await user.setPassword('test-password');
+    await user.save();
+  }
+  return issueToken(user);
+}
+
+// Server on a free port, backed by a fresh in-memory MongoDB, with the test
+// clock and source and no update timer - tests run cycles themselves.
+// Call close() when done.
+async function startTestServer() {
+  const mongo = await MongoMemoryServer.create();
+  const clock = createClock();
+  const source = createTestSource();
+
+  const crowdServer = createServer({
+    now: clock.now,
+    dataSource: source,
+    mongoUri: mongo.getUri(),
+    updateInterval: 0
+  });
+  const port = await crowdServer.start(0);
+
+  return {
+    ...crowdServer,
+    clock,
+    source,
+    url: `http://localhost:${port}`,
+    token: await tokenFor('admin'),
+
+    async close() {
+      await crowdServer.stop();
+      await mongo.stop();
+    }
+  };
+}
+
+module.exports = { startTestServer, createTestSource, tokenFor };
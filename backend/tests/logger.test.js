@@ -0,0 +1,73 @@
+// The logger reads LOG_FORMAT / LOG_LEVEL when loaded, so each test loads
+// its own copy
+function loadLogger(env) {
+  let logger;
+  const saved = { LOG_FORMAT: process.env.LOG_FORMAT, LOG_LEVEL: process.env.LOG_LEVEL };
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    logger = require('../services/logger');
+  });
+  Object.keys(saved).forEach(key => {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  });
+  return logger;
+}
+
+describe('logger', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('prints text lines with fields as key=value', () => {
+    const logger = loadLogger({ LOG_FORMAT: 'text' });
+    logger.info('📊 Zone data saved', { zones: 9, zone: { id: 'AB1' } });
+    logger.warn('⚠️  MongoDB disconnected', { error: new Error('closed') });
+
+    expect(console.log).toHaveBeenCalledWith('📊 Zone data saved zones=9 zone={"id":"AB1"}');
+    expect(console.warn).toHaveBeenCalledWith('⚠️  MongoDB disconnected error=closed');
+  });
+
+  test('prints JSON lines without the emoji and with the request context', () => {
+    const logger = loadLogger({ LOG_FORMAT: 'json' });
+    logger.withLogContext({ requestId: 'req-1' }, () => {
+      logger.child({ zoneId: 'Library' }).error('❌ Error evaluating alerts', { error: 'timed out' });
+    });
+
+    const entry = JSON.parse(console.error.mock.calls[0][0]);
+    expect(entry).toEqual({
+      time: expect.any(String),
+      level: 'error',
+      msg: 'Error evaluating alerts',
+      requestId: 'req-1',
+      zoneId: 'Library',
+      error: 'timed out'
+    });
+  });
+
+  test('keeps the context across awaits', async () => {
+    const logger = loadLogger({ LOG_FORMAT: 'json' });
+    await logger.withLogContext({ requestId: 'req-2' }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.info('✅ Done');
+    });
+
+    expect(JSON.parse(console.log.mock.calls[0][0]).requestId).toBe('req-2');
+  });
+
+  test('drops lines below LOG_LEVEL', () => {
+    const logger = loadLogger({ LOG_FORMAT: 'text', LOG_LEVEL: 'warn' });
+    logger.debug('🔄 Generating new crowd data...');
+    logger.info('✅ Data broadcasted to clients');
+    logger.warn('⚠️  Write buffer full');
+
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,152 @@
+const path = require('path');
+const createScenarioSource = require('../sources/scenarioSource');
+const { normalizeScenario, loadScenario } = require('../sources/scenario/loadScenario');
+const { createClock } = require('./helpers/clock');
+
+const ZONES = [
+  { id: 'Hall', name: 'Hall', capacity: 500, position: [0, 0], spread: 20 },
+  { id: 'Canteen', name: 'Canteen', capacity: 300, position: [100, 0], spread: 20 },
+  { id: 'Library', name: 'Library', capacity: 200, position: [200, 0], spread: 20 },
+  { id: 'Lawn', name: 'Lawn', capacity: 400, position: [300, 0], spread: 20 }
+];
+
+// Wednesday 10 September 2025, 08:00 UTC
+const START = '2025-09-10T08:00:00Z';
+const MINUTE = 60 * 1000;
+
+// Scenario source on a test clock; `minutes` after START, in real time
+function createRun(doc, options = {}) {
+  const clock = createClock(0);
+  const source = createScenarioSource({ scenario: { start: START, seed: 'test', population: 1000, ...doc }, now: clock.now, ...options });
+  return {
+    source,
+    at(minutes) {
+      clock.advance(minutes * MINUTE / source.scenario.speed - clock.now());
+      return Object.fromEntries(source.read(ZONES).map(r => [r.zoneId, r.population]));
+    }
+  };
+}
+
+const total = (counts) => Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+describe('scenario source', () => {
+  test('the same seed gives the same crowd', () => {
+    const doc = { mobility: 10, timetable: [{ starts: ['09:00'], zones: { Hall: 5 } }] };
+    const first = createRun(doc);
+    const second = createRun(doc);
+    const other = createRun({ ...doc, seed: 'other' });
+
+    [0, 30, 65, 120].forEach(minutes => {
+      expect(second.at(minutes)).toEqual(first.at(minutes));
+    });
+    expect(other.at(120)).not.toEqual(first.at(120));
+  });
+
+  test('classes fill their zones and the lunch rush moves people on', () => {
+    const run = createRun({
+      timetable: [{ starts: ['09:00'], duration: 120, zones: { Hall: 10 } }],
+      events: [{ name: 'Lunch', from: '11:00', to: '12:00', mobility: 5, zones: { Canteen: 20 } }]
+    });
+
+    const before = run.at(0);
+    const inClass = run.at(100);
+    expect(inClass.Hall).toBeGreaterThan(before.Hall * 2);
+    expect(inClass.Hall).toBeGreaterThan(total(inClass) * 0.7);
+
+    const lunch = run.at(200);
+    expect(lunch.Canteen).toBeGreaterThan(total(lunch) * 0.7);
+    expect(lunch.Hall).toBeLessThan(inClass.Hall / 4);
+  });
+
+  test('an evacuation empties zones into the assembly points', () => {
+    const run = createRun({
+      events: [{ name: 'Drill', from: '09:00', to: '09:30', evacuate: ['Hall', 'Library'], assembly: ['Lawn'] }]
+    });
+
+    const before = run.at(0);
+    expect(before.Hall).toBeGreaterThan(0);
+    const during = run.at(89);
+    expect(during.Hall).toBe(0);
+    expect(during.Library).toBe(0);
+    expect(during.Lawn).toBeGreaterThan(before.Lawn + before.Hall / 2);
+    expect(total(during)).toBe(total(before));
+  });
+
+  test('visitors only come while their event runs', () => {
+    const run = createRun({
+      attendance: { '00:00': 0 },
+      events: [{ name: 'Guest lecture', days: 'wed', from: '10:00', to: '11:00', mobility: 2, zones: { Hall: 1 }, visitors: 200 }]
+    });
+
+    expect(total(run.at(0))).toBe(0);
+    expect(run.at(150)).toEqual({ Hall: 200, Canteen: 0, Library: 0, Lawn: 0 });
+    expect(total(run.at(360))).toBeLessThan(10);
+  });
+
+  test('attendance follows the day of the week', () => {
+    const attendance = { weekdays: { '07:00': 0, '09:00': 1 } };
+    const wednesday = createRun({ attendance });
+    expect(total(wednesday.at(0))).toBeLessThan(700);
+    expect(total(wednesday.at(120))).toBeGreaterThan(900);
+
+    // Saturday has no attendance curve
+    const saturday = createRun({ attendance, start: '2025-09-13T08:00:00Z' });
+    expect(total(saturday.at(120))).toBe(0);
+  });
+
+  test('runs on its own clock at the scenario speed', () => {
+    const clock = createClock(Date.parse('2030-01-01T00:00:00Z'));
+    const source = createScenarioSource({ scenario: { start: START, speed: 60 }, now: clock.now });
+
+    expect(source.scenarioNow()).toBe(Date.parse(START));
+    clock.advance(5000);
+    expect(source.scenarioNow()).toBe(Date.parse(START) + 5 * MINUTE);
+    // Readings are stamped by the server on real time
+    expect(source.now).toBeUndefined();
+  });
+
+  test('points follow the counts and device IDs match the zones', () => {
+    const run = createRun({});
+    const readings = run.source.read(ZONES);
+    readings.forEach(r => expect(r.points).toHaveLength(Math.min(r.population, 300)));
+
+    const perZone = {};
+    run.source.deviceZones().forEach(zoneId => {
+      perZone[zoneId] = (perZone[zoneId] || 0) + 1;
+    });
+    readings.forEach(r => expect(perZone[r.zoneId] || 0).toBe(r.population));
+  });
+});
+
+describe('scenario files', () => {
+  test('generates synthetic zones for load tests', () => {
+    const scenario = normalizeScenario({ seed: 1, syntheticZones: { count: 1500, capacity: [100, 300], profiles: ['academic', 'outdoor'] } });
+
+    expect(scenario.zones).toHaveLength(1500);
+    expect(scenario.zones[0]).toMatchObject({ zoneId: 'S0001', thresholdProfile: 'academic' });
+    expect(scenario.zones[1499]).toMatchObject({ zoneId: 'S1500', thresholdProfile: 'outdoor' });
+    scenario.zones.forEach(zone => {
+      expect(zone.capacity).toBeGreaterThanOrEqual(100);
+      expect(zone.capacity).toBeLessThanOrEqual(300);
+    });
+    expect(new Set(scenario.zones.map(z => z.position.join(','))).size).toBe(1500);
+  });
+
+  test.each([
+    [{ speed: 0 }, 'speed must be a positive number'],
+    [{ attendance: { weekdays: { '9am': 1 } } }, 'must be a time like "09:30"'],
+    [{ events: [{ from: '10:00', to: '09:00' }] }, 'events[0] must end after it starts'],
+    [{ events: [{ from: '10:00', to: '11:00', evacuate: 'all' }] }, 'events[0].assembly must list'],
+    [{ events: [{ from: '10:00', to: '11:00', visitors: 50 }] }, 'events[0].zones must say where the visitors go'],
+    [{ timetable: [{ days: 'someday', starts: ['09:00'] }] }, 'unknown day "someday"'],
+    [{ syntheticZones: { count: 2, profiles: ['stadium'] } }, 'unknown profile "stadium"']
+  ])('rejects %j', (doc, message) => {
+    expect(() => normalizeScenario({ name: 'bad', ...doc })).toThrow(`Invalid scenario "bad": `);
+    expect(() => normalizeScenario({ name: 'bad', ...doc })).toThrow(message);
+  });
+
+  test.each(['campus-day.yaml', 'exam-day.yaml', 'evacuation-drill.yaml', 'load-test.yaml'])('%s loads', (file) => {
+    const scenario = loadScenario(path.join(__dirname, '../scenarios', file));
+    expect(scenario.events.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,215 @@
+const supertest = require('supertest');
+const { io: connect } = require('socket.io-client');
+const User = require('../models/User');
+const { ZoneRollupMinute } = require('../models/ZoneRollup');
+const { startTestServer, tokenFor } = require('./helpers/testServer');
+
+// The first run downloads a MongoDB binary
+const STARTUP_TIMEOUT = 120000;
+
+// `count` device positions packed within a metre of (x, y)
+const crowdAt = (x, y, count) =>
+  Array.from({ length: count }, (_, i) => [x + (i % 5) * 0.2, y + Math.floor(i / 5) * 0.2]);
+
+describe('Socket.IO events', () => {
+  let ctx;
+  const clients = [];
+
+  // Connected client; resolves once the handshake is accepted
+  function connectClient(token = ctx.token) {
+    const client = connect(ctx.url, { auth: { token }, transports: ['websocket'], reconnection: false });
+    clients.push(client);
+    return new Promise((resolve, reject) => {
+      client.once('connect', () => resolve(client));
+      client.once('connect_error', reject);
+    });
+  }
+
+  const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+  const request = (client, event, ...args) => new Promise(resolve => client.emit(event, ...args, resolve));
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ctx = await startTestServer();
+  }, STARTUP_TIMEOUT);
+
+  afterEach(() => {
+    clients.splice(0).forEach(client => client.close());
+  });
+
+  afterAll(async () => {
+    if (ctx) await ctx.close();
+    console.log.mockRestore();
+  });
+
+  test('refuses connections without a valid token', async () => {
+    await expect(connectClient('not-a-token')).rejects.toThrow('Authentication required');
+  });
+
+  test('disconnects the sockets of a user once they are disabled', async () => {
+    const client = await connectClient(await tokenFor('viewer'));
+    const { id } = await User.findOne({ username: 'test-viewer' });
+    const disconnected = nextEvent(client, 'disconnect');
+
+    await supertest(ctx.app).put(`/api/auth/users/${id}`).set('Authorization', `Bearer ${ctx.token}`).send({ enabled: false });
+    expect(await disconnected).toBe('io server disconnect');
+  });
+
+  test('sends subscribers a snapshot, then sequence-numbered deltas', async () => {
+    const client = await connectClient();
+    const snapshot = await request(client, 'subscribe', {});
+    expect(snapshot).toMatchObject({ seq: expect.any(Number), zones: expect.any(Array) });
+
+    const delta = nextEvent(client, 'zoneDelta');
+    ctx.source.populations = { Library: 120 };
+    await ctx.runUpdateCycle();
+
+    const received = await delta;
+    expect(received.seq).toBe(snapshot.seq + 1);
+    expect(new Date(received.timestamp).getTime()).toBe(ctx.clock.now());
+    expect(received.changes.find(c => c.zoneId === 'Library')).toMatchObject({ population: 120, status: 'normal' });
+  });
+
+  test('answers malformed subscriptions with an error', async () => {
+    const client = await connectClient();
+
+    for (const payload of [null, 'Library', ['Library']]) {
+      expect(await request(client, 'subscribe', payload)).toEqual({ success: false, error: 'subscribe expects an object' });
+    }
+    expect(await request(client, 'subscribe', { zoneIds: [{ $ne: 1 }] }))
+      .toEqual({ success: false, error: 'zoneIds must be an array of strings' });
+
+    // The server is still there
+    expect(await request(client, 'subscribe', {})).toMatchObject({ zones: expect.any(Array) });
+  });
+
+  test('only sends the changes of subscribed zones', async () => {
+    const client = await connectClient();
+    await request(client, 'subscribe', { zoneIds: ['MBA'] });
+
+    const delta = nextEvent(client, 'zoneDelta');
+    ctx.clock.advance(5000);
+    ctx.source.populations = { Library: 150, MBA: 140 };
+    await ctx.runUpdateCycle();
+
+    const received = await delta;
+    // 93% is moderate for the amphitheater, but not yet sustained for its dwell
+    expect(received.changes).toEqual([{ zoneId: 'MBA', population: 140, deviceCount: 140, density: 112 }]);
+    expect(received.removed).toEqual([]);
+  });
+
+  test('replays the deltas a reconnecting client missed', async () => {
+    const first = await connectClient();
+    const snapshot = await request(first, 'subscribe', {});
+    first.close();
+
+    ctx.clock.advance(5000);
+    ctx.source.populations = { Library: 160 };
+    await ctx.runUpdateCycle();
+
+    const second = await connectClient();
+    const resumed = await request(second, 'subscribe', { epoch: snapshot.epoch, lastSeq: snapshot.seq });
+    expect(resumed.deltas).toHaveLength(1);
+    expect(resumed.deltas[0].seq).toBe(snapshot.seq + 1);
+    expect(resumed.deltas[0].changes.find(c => c.zoneId === 'Library')).toMatchObject({ population: 160 });
+  });
+
+  test('broadcasts hotspot clusters every cycle', async () => {
+    const client = await connectClient();
+    const update = nextEvent(client, 'clusterUpdate');
+
+    ctx.clock.advance(5000);
+    ctx.source.populations = { Library: 100 };
+    ctx.source.points = { Library: crowdAt(360, 170, 20) };
+    await ctx.runUpdateCycle();
+    ctx.source.points = {};
+
+    const clusters = await update;
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0]).toMatchObject({ clusterId: 1, zoneIds: ['Library'], memberCount: 100 });
+  });
+
+  test('emits an alert once a zone turns critical', async () => {
+    const client = await connectClient();
+    const critical = new Promise(resolve => {
+      client.on('alert', event => {
+        if (event.alert.severity === 'critical') resolve(event);
+      });
+    });
+
+    // Gazebo is outdoor: critical above 110%, applied after 30s
+    ctx.source.populations = { Gazebo: 250 };
+    ctx.clock.advance(5000);
+    await ctx.runUpdateCycle();
+    ctx.clock.advance(30000);
+    await ctx.runUpdateCycle();
+
+    const received = await critical;
+    expect(received.action).toBe('opened');
+    expect(received.alert).toMatchObject({
+      zoneId: 'Gazebo',
+      ruleName: 'Zone at critical capacity',
+      message: 'Gazebo is critical',
+      state: 'open'
+    });
+  });
+
+  test('answers replay controls through acknowledgements', async () => {
+    const client = await connectClient();
+
+    const notStarted = await request(client, 'replay:pause');
+    expect(notStarted).toEqual({ success: false, error: 'No replay in progress' });
+
+    const from = new Date(ctx.clock.now() - 60 * 1000).toISOString();
+    const started = await request(client, 'replay:start', { from, speed: 30, paused: true });
+    expect(started.success).toBe(true);
+    expect(started.state).toMatchObject({ active: true, playing: false, speed: 30 });
+
+    const stopped = await request(client, 'replay:stop');
+    expect(stopped).toEqual({ success: true, state: { active: false } });
+  });
+
+  test('replays times whose raw readings expired from the rollups', async () => {
+    const minute = Math.floor((ctx.clock.now() - 3 * 24 * 3600000) / 60000) * 60000;
+    await ZoneRollupMinute.create({
+      zoneId: 'Library',
+      zoneName: 'Library',
+      capacity: 300,
+      timestamp: new Date(minute),
+      minPopulation: 80,
+      maxPopulation: 100,
+      sumPopulation: 90 * 12,
+      sumSqPopulation: 0,
+      samples: 12,
+      peakLevel: 1
+    });
+
+    const client = await connectClient();
+    const frame = nextEvent(client, 'replayFrame');
+    await request(client, 'replay:start', { from: minute + 30000, zoneIds: ['Library'], paused: true });
+
+    const received = await frame;
+    expect(received.source).toBe('zone_rollups_minute');
+    expect(new Date(received.timestamp).getTime()).toBe(minute);
+    expect(received.zones).toEqual([expect.objectContaining({ zoneId: 'Library', population: 90, capacity: 300, status: 'moderate' })]);
+    await request(client, 'replay:stop');
+  });
+
+  test('answers malformed replay requests with an error', async () => {
+    const client = await connectClient();
+
+    for (const payload of [null, 'yesterday', [ctx.clock.now()]]) {
+      expect(await request(client, 'replay:start', payload)).toEqual({ success: false, error: 'replay:start expects an object' });
+    }
+    expect(await request(client, 'replay:start', { from: ctx.clock.now() - 60000, zoneIds: 'Library' }))
+      .toEqual({ success: false, error: 'zoneIds must be an array of strings' });
+    expect(await request(client, 'replay:seek', null)).toEqual({ success: false, error: 'No replay in progress' });
+
+    const started = await request(client, 'replay:start', { from: ctx.clock.now() - 60000, paused: true });
+    expect(started.success).toBe(true);
+    expect(await request(client, 'replay:seek', { $gt: 0 }))
+      .toEqual({ success: false, error: 'seek needs an ISO date or epoch milliseconds' });
+    expect((await request(client, 'replay:speed', null)).state.speed).toBe(1);
+    await request(client, 'replay:stop');
+  });
+});
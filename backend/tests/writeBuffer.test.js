@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWriteBuffer } = require('../services/writeBuffer');
+
+// Stand-in for a Mongoose model: records the batches inserted, or fails with
+// `failWith` while it is set
+function fakeModel(name, stored) {
+  const model = {
+    failWith: null,
+    async insertMany(docs) {
+      if (model.failWith) throw model.failWith;
+      stored.push([name, ...docs.map(d => d.n)]);
+    }
+  };
+  return model;
+}
+
+const networkError = () => Object.assign(new Error('connection refused'), { name: 'MongoNetworkError' });
+
+describe('write buffer', () => {
+  let stored;
+  let models;
+  let connected;
+  let spillDir;
+
+  const createBuffer = (options = {}) =>
+    createWriteBuffer(models, { isConnected: () => connected, spillDir: null, ...options });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stored = [];
+    models = { Zone: fakeModel('Zone', stored), Cluster: fakeModel('Cluster', stored) };
+    connected = true;
+    spillDir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-buffer-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(spillDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('writes straight through while connected', async () => {
+    const buffer = createBuffer({ now: () => 1000 });
+
+    await expect(buffer.write('Zone', [{ n: 1 }, { n: 2 }])).resolves.toBe(true);
+
+    expect(stored).toEqual([['Zone', 1, 2]]);
+    expect(buffer.stats()).toMatchObject({ depth: 0, lastWriteAt: new Date(1000) });
+  });
+
+  test('buffers while disconnected and flushes in order once connected', async () => {
+    const buffer = createBuffer();
+    connected = false;
+
+    await expect(buffer.write('Zone', [{ n: 1 }])).resolves.toBe(false);
+    await buffer.write('Cluster', [{ n: 2 }]);
+    await buffer.write('Zone', [{ n: 3 }]);
+    expect(stored).toEqual([]);
+    expect(buffer.stats()).toMatchObject({ depth: 3, inMemory: 3, spilled: 0, lastWriteAt: null });
+
+    connected = true;
+    await buffer.flush();
+
+    expect(stored).toEqual([['Zone', 1], ['Cluster', 2], ['Zone', 3]]);
+    expect(buffer.stats().depth).toBe(0);
+  });
+
+  test('keeps a batch that failed on a network error for the next retry', async () => {
+    const buffer = createBuffer();
+    models.Zone.failWith = networkError();
+
+    await expect(buffer.write('Zone', [{ n: 1 }])).resolves.toBe(false);
+    await buffer.flush();
+    expect(buffer.stats()).toMatchObject({ depth: 1, lastError: 'connection refused' });
+
+    models.Zone.failWith = null;
+    await buffer.write('Zone', [{ n: 2 }]);
+    await buffer.flush();
+
+    expect(stored).toEqual([['Zone', 1], ['Zone', 2]]);
+  });
+
+  test('drops a buffered batch MongoDB refuses while connected', async () => {
+    const buffer = createBuffer();
+    connected = false;
+    await buffer.write('Zone', [{ n: 1 }]);
+    await buffer.write('Zone', [{ n: 2 }]);
+
+    connected = true;
+    models.Zone.failWith = new Error('validation failed');
+    await buffer.flush();
+
+    expect(buffer.stats()).toMatchObject({ depth: 0, dropped: 2 });
+  });
+
+  test('drops the oldest batches beyond the memory limit without a spill directory', async () => {
+    const buffer = createBuffer({ maxBatches: 2 });
+    connected = false;
+    for (let n = 1; n <= 4; n++) await buffer.write('Zone', [{ n }]);
+
+    expect(buffer.stats()).toMatchObject({ depth: 2, dropped: 2 });
+
+    connected = true;
+    await buffer.flush();
+    expect(stored).toEqual([['Zone', 3], ['Zone', 4]]);
+  });
+
+  test('spills the oldest batches to disk and writes them first', async () => {
+    const buffer = createBuffer({ maxBatches: 2, spillDir });
+    connected = false;
+    for (let n = 1; n <= 5; n++) await buffer.write('Zone', [{ n }]);
+
+    expect(buffer.stats()).toMatchObject({ depth: 5, inMemory: 2, spilled: 3, dropped: 0 });
+
+    connected = true;
+    await buffer.flush();
+
+    expect(stored).toEqual([1, 2, 3, 4, 5].map(n => ['Zone', n]));
+    expect(buffer.stats().depth).toBe(0);
+    expect(fs.readFileSync(path.join(spillDir, 'write-buffer.ndjson'), 'utf8')).toBe('');
+  });
+
+  test('picks up spilled batches after a restart', async () => {
+    connected = false;
+    const before = createBuffer({ maxBatches: 1, spillDir });
+    await before.write('Zone', [{ n: 1 }]);
+    await before.write('Zone', [{ n: 2 }]);
+    before.stop();
+    // A crash in the middle of spilling leaves half a line behind
+    fs.appendFileSync(path.join(spillDir, 'write-buffer.ndjson'), '{"model":"Zo');
+
+    const after = createBuffer({ spillDir });
+    expect(after.stats()).toMatchObject({ depth: 2, spilled: 2 });
+
+    connected = true;
+    await after.flush();
+    expect(stored).toEqual([['Zone', 1], ['Zone', 2]]);
+  });
+});
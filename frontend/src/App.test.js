@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import axios from 'axios';
+import App from './App';
+import { logout } from './auth';
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+  defaults: { headers: { common: {} } },
+  interceptors: { response: { use: jest.fn() } }
+}));
+
+// The shell is tested here; the pages and the live data hook have their own concerns
+const mockLive = {
+  connection: { connected: true, lastUpdateAt: null, reconnectAttempt: 0 },
+  replay: { active: false },
+  refresh: () => {}
+};
+jest.mock('./useLiveData', () => () => mockLive);
+jest.mock('./pages/DashboardPage', () => () => <h2>Campus overview</h2>);
+jest.mock('./pages/AnalyticsPage', () => () => <h2>Capacity planning</h2>);
+jest.mock('./pages/ZonePage', () => {
+  const { useParams } = require('react-router-dom');
+  return () => <h2>Zone {useParams().zoneId}</h2>;
+});
+
+const USER = { id: '1', username: 'ops', name: 'Operations Desk', role: 'operator' };
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+  </MemoryRouter>
+);
+
+const signIn = async () => {
+  axios.post.mockResolvedValue({ data: { success: true, data: { token: 'token-1', user: USER } } });
+  fireEvent.change(screen.getByLabelText('Username'), { target: { value: 'ops' } });
+  fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret-password' } });
+  fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+  await screen.findByText('Operations Desk');
+};
+
+afterEach(() => {
+  logout();
+  mockLive.connection = { connected: true, lastUpdateAt: null, reconnectAttempt: 0 };
+});
+
+test('shows the login screen until the user signs in', () => {
+  renderAt('/');
+
+  expect(screen.getByText('Sign in to continue')).toBeInTheDocument();
+  expect(screen.queryByText('Campus overview')).not.toBeInTheDocument();
+});
+
+test('signs in and shows the dashboard with the user and live status', async () => {
+  renderAt('/');
+  await signIn();
+
+  expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/login$/), {
+    username: 'ops',
+    password: 'secret-password'
+  });
+  expect(screen.getByText('Campus overview')).toBeInTheDocument();
+  expect(screen.getByText('operator')).toBeInTheDocument();
+  expect(screen.getByText('Live')).toBeInTheDocument();
+});
+
+test('keeps the requested zone link through sign-in', async () => {
+  renderAt('/zones/Library');
+  await signIn();
+
+  expect(screen.getByText('Zone Library')).toBeInTheDocument();
+});
+
+test('opens the analytics page from the header', async () => {
+  renderAt('/');
+  await signIn();
+
+  fireEvent.click(screen.getByRole('link', { name: /analytics/i }));
+
+  expect(screen.getByText('Capacity planning')).toBeInTheDocument();
+});
+
+test('sends unknown paths to the dashboard', async () => {
+  renderAt('/no-such-page');
+  await signIn();
+
+  expect(screen.getByText('Campus overview')).toBeInTheDocument();
+});
+
+test('shows the stale-data banner while disconnected', async () => {
+  mockLive.connection = { connected: false, lastUpdateAt: null, reconnectAttempt: 3 };
+  renderAt('/');
+  await signIn();
+
+  expect(screen.getByText('Live updates interrupted.')).toBeInTheDocument();
+  expect(screen.getByText(/attempt 3/)).toBeInTheDocument();
+  expect(screen.getByText('Reconnecting')).toBeInTheDocument();
+});
+
+test('returns to the login screen on sign out', async () => {
+  renderAt('/');
+  await signIn();
+
+  fireEvent.click(screen.getByTitle('Sign out'));
+
+  expect(screen.getByText('Sign in to continue')).toBeInTheDocument();
+});
@@ -0,0 +1,70 @@
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const STORAGE_KEY = 'crowd-management-session';
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+let session = loadSession();
+const listeners = new Set();
+
+// Send the token with every API request
+const applySession = () => {
+  if (session) {
+    axios.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+  listeners.forEach(listener => listener(session ? session.user : null));
+};
+
+applySession();
+
+export const login = async (username, password) => {
+  const res = await axios.post(`${API_URL}/auth/login`, { username, password });
+  session = res.data.data;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  applySession();
+  return session.user;
+};
+
+export const logout = () => {
+  session = null;
+  localStorage.removeItem(STORAGE_KEY);
+  applySession();
+};
+
+export const getToken = () => (session ? session.token : null);
+
+export const getUser = () => (session ? session.user : null);
+
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// callback(user) on login / logout; returns an unsubscribe function
+export const onAuthChange = (callback) => {
+  listeners.add(callback);
+  return () => {
+    listeners.delete(callback);
+  };
+};
+
+// A 401 from any API call means the token expired or the account was removed
+axios.interceptors.response.use(
+  response => response,
+  error => {
+    const status = error.response && error.response.status;
+    if (status === 401 && session && !String(error.config.url).endsWith('/auth/login')) {
+      logout();
+    }
+    return Promise.reject(error);
+  }
+);
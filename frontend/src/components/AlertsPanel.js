@@ -0,0 +1,105 @@
+import React from 'react';
+import { Bell, BellOff, Check, CheckCheck } from 'lucide-react';
+
+const severityStyles = {
+  critical: 'bg-red-500/15 border-red-500/50',
+  warning: 'bg-yellow-500/10 border-yellow-500/40',
+  info: 'bg-blue-500/10 border-blue-500/30'
+};
+
+const severityDot = {
+  critical: 'bg-red-500 animate-pulse',
+  warning: 'bg-yellow-500',
+  info: 'bg-blue-500'
+};
+
+// Short two-tone beep via the Web Audio API; louder pattern for critical alerts
+export const playAlertTone = (severity) => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    const ctx = new AudioContext();
+    const tones = severity === 'critical' ? [880, 660, 880, 660] : [660, 880];
+    tones.forEach((frequency, idx) => {
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.15;
+      oscillator.connect(gain);
+      gain.connect(ctx.destination);
+      oscillator.start(ctx.currentTime + idx * 0.18);
+      oscillator.stop(ctx.currentTime + idx * 0.18 + 0.15);
+    });
+    setTimeout(() => ctx.close(), tones.length * 180 + 200);
+  } catch (error) {
+    console.warn('Unable to play alert tone:', error);
+  }
+};
+
+// Acknowledge / resolve buttons are only shown to operators (canManage)
+const AlertsPanel = ({ alerts, muted, canManage, onToggleMute, onAcknowledge, onResolve }) => {
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold flex items-center gap-2">
+          <Bell className="w-5 h-5 text-red-400" />
+          Active Alerts
+          <span className="text-sm text-slate-400 font-normal">({alerts.length})</span>
+        </h3>
+        <button
+          onClick={onToggleMute}
+          className="flex items-center gap-2 text-sm text-slate-400 hover:text-white transition-colors"
+        >
+          {muted ? <BellOff className="w-4 h-4" /> : <Bell className="w-4 h-4" />}
+          {muted ? 'Sound off' : 'Sound on'}
+        </button>
+      </div>
+
+      {alerts.length === 0 ? (
+        <p className="text-slate-400 text-sm">No active alerts</p>
+      ) : (
+        <div className="space-y-2">
+          {alerts.map(alert => (
+            <div
+              key={alert._id}
+              className={`border rounded-lg px-4 py-3 flex justify-between items-center ${severityStyles[alert.severity]}`}
+            >
+              <div className="flex items-center gap-3">
+                <div className={`w-2 h-2 rounded-full ${severityDot[alert.severity]}`}></div>
+                <div>
+                  <p className="text-sm font-semibold">{alert.message}</p>
+                  <p className="text-xs text-slate-400">
+                    {alert.ruleName} · {alert.severity}
+                    {alert.escalationLevel > 0 && ` · escalated ×${alert.escalationLevel}`}
+                    {' · '}{new Date(alert.openedAt).toLocaleTimeString()}
+                    {alert.state === 'acknowledged' && ` · acknowledged by ${alert.acknowledgedBy}`}
+                  </p>
+                </div>
+              </div>
+              {canManage && (alert.state === 'open' ? (
+                <button
+                  onClick={() => onAcknowledge(alert._id)}
+                  className="flex items-center gap-1 bg-blue-600 hover:bg-blue-700 px-3 py-1 rounded-lg text-sm transition-colors"
+                >
+                  <Check className="w-4 h-4" />
+                  Acknowledge
+                </button>
+              ) : (
+                <button
+                  onClick={() => onResolve(alert._id)}
+                  className="flex items-center gap-1 bg-slate-700 hover:bg-slate-600 px-3 py-1 rounded-lg text-sm transition-colors"
+                >
+                  <CheckCheck className="w-4 h-4" />
+                  Resolve
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Activity, TrendingUp, TrendingDown } from 'lucide-react';
+import axios from 'axios';
+import { subscribeToAnomalies } from '../socket';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const RECENT_MS = 24 * 60 * 60 * 1000;
+const RECENT_LIMIT = 20;
+
+const formatDuration = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// Anomalies of the last 24 hours, campus-wide or for one zone, kept current
+// from the anomaly events. Active ones are listed first.
+const AnomaliesPanel = ({ zoneId }) => {
+  const [anomalies, setAnomalies] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchAnomalies = async () => {
+      try {
+        const res = await axios.get(`${API_URL}/anomalies`, {
+          params: { zoneId, from: new Date(Date.now() - RECENT_MS).toISOString(), limit: RECENT_LIMIT }
+        });
+        if (!cancelled && res.data.success) setAnomalies(res.data.data);
+      } catch (error) {
+        console.error('Error fetching anomalies:', error);
+      }
+    };
+
+    fetchAnomalies();
+    const unsubscribe = subscribeToAnomalies(({ anomaly }) => {
+      if (zoneId && anomaly.zoneId !== zoneId) return;
+      setAnomalies(prev => {
+        const existing = prev.find(a => a._id === anomaly._id);
+        const next = existing
+          ? prev.map(a => (a._id === anomaly._id ? anomaly : a))
+          : [anomaly, ...prev];
+        return next.slice(0, RECENT_LIMIT);
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [zoneId]);
+
+  const sorted = [...anomalies].sort((a, b) =>
+    (a.state === 'active' ? 0 : 1) - (b.state === 'active' ? 0 : 1) || new Date(b.timestamp) - new Date(a.timestamp));
+  const activeCount = anomalies.filter(a => a.state === 'active').length;
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6 mb-8">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <Activity className="w-5 h-5 text-fuchsia-400" />
+        Unusual Activity
+        <span className="text-sm text-slate-400 font-normal">({activeCount} active, last 24h)</span>
+      </h3>
+
+      {sorted.length === 0 ? (
+        <p className="text-slate-400 text-sm">Occupancy is within the usual range for this time of day and week</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {sorted.map(anomaly => {
+            const Icon = anomaly.direction === 'high' ? TrendingUp : TrendingDown;
+            const started = new Date(anomaly.timestamp);
+            const active = anomaly.state === 'active';
+            return (
+              <div key={anomaly._id} className={`flex items-start gap-3 border rounded-lg p-3 ${active ? 'border-fuchsia-500/50 bg-fuchsia-500/10' : 'border-slate-700'}`}>
+                <Icon className={`w-5 h-5 flex-shrink-0 ${anomaly.direction === 'high' ? 'text-orange-400' : 'text-sky-400'}`} />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm">{anomaly.explanation}</p>
+                  <p className="text-xs text-slate-400">
+                    {!zoneId && (
+                      <>
+                        <Link to={`/zones/${encodeURIComponent(anomaly.zoneId)}`} className="text-slate-300 hover:underline">
+                          {anomaly.zoneName}
+                        </Link>{' · '}
+                      </>
+                    )}
+                    {started.toLocaleString()} ·{' '}
+                    {active ? `ongoing for ${formatDuration(Date.now() - started)}` : `lasted ${formatDuration(new Date(anomaly.endedAt) - started)}`}
+                  </p>
+                </div>
+                <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${active ? 'bg-fuchsia-500/30 text-fuchsia-200' : 'bg-slate-600/40 text-slate-300'}`}>
+                  {Math.abs(anomaly.score).toFixed(1)}σ {active ? 'active' : 'ended'}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnomaliesPanel;
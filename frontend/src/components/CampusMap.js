@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Pencil, Undo2, Trash2, Save, X, Upload } from 'lucide-react';
+import axios from 'axios';
+import { subscribeToZoneDefinitions } from '../socket';
+import { occupancyColor } from '../zoneStatus';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Map extent used when there is no floor plan and no zone geometry yet
+const DEFAULT_BOUNDS = [0, 0, 300, 200];
+const MARGIN = 20;
+
+// Stored definitions (zoneId) and registry updates (id) share this shape
+const toMapZone = (def) => ({
+  id: def.id || def.zoneId,
+  name: def.name,
+  building: def.building,
+  floor: def.floor,
+  ring: def.geometry && def.geometry.coordinates ? def.geometry.coordinates[0] : null,
+  position: def.position,
+  spread: def.spread
+});
+
+const centroidOf = (ring) => {
+  const sum = ring.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1]], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
+};
+
+const labelPosition = (zone) => (zone.ring ? centroidOf(zone.ring) : zone.position);
+
+// Extent of every zone outline, or of the circles for zones without one
+const boundsOf = (zones) => {
+  const points = zones.flatMap(zone => {
+    if (zone.ring) return zone.ring;
+    if (!zone.position) return [];
+    const r = zone.spread || 0;
+    return [[zone.position[0] - r, zone.position[1] - r], [zone.position[0] + r, zone.position[1] + r]];
+  });
+  if (points.length === 0) return DEFAULT_BOUNDS;
+
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs) - MARGIN, Math.min(...ys) - MARGIN, Math.max(...xs) + MARGIN, Math.max(...ys) + MARGIN];
+};
+
+const onPlan = (plan, zone) =>
+  !plan ||
+  ((!plan.building || zone.building === plan.building) &&
+    (plan.floor === undefined || plan.floor === null || zone.floor === plan.floor));
+
+const FloorPlanUpload = ({ onUploaded, onCancel }) => {
+  const [form, setForm] = useState({ name: '', building: '', floor: '', bounds: '0,0,600,400' });
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await axios.post(`${API_URL}/floor-plans`, {
+        name: form.name,
+        building: form.building || undefined,
+        floor: form.floor === '' ? undefined : Number(form.floor),
+        bounds: form.bounds.split(',').map(Number)
+      });
+      const plan = res.data.data;
+      if (file) {
+        await axios.put(`${API_URL}/floor-plans/${plan._id}/image`, file, {
+          headers: { 'Content-Type': file.type }
+        });
+      }
+      onUploaded(plan._id);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (key, placeholder, className = '') => (
+    <input
+      value={form[key]}
+      onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+      placeholder={placeholder}
+      className={`bg-slate-900 border border-slate-700 rounded-lg px-3 py-1.5 text-sm ${className}`}
+    />
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-slate-900/50 rounded-lg">
+      {field('name', 'Name')}
+      {field('building', 'Building (optional)')}
+      {field('floor', 'Floor', 'w-20')}
+      {field('bounds', 'minX,minY,maxX,maxY', 'w-44')}
+      <input
+        type="file"
+        accept="image/png,image/jpeg,image/webp,image/svg+xml"
+        onChange={(e) => setFile(e.target.files[0] || null)}
+        className="text-sm text-slate-400"
+      />
+      <button type="submit" disabled={saving || !form.name} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-3 py-1.5 rounded-lg text-sm">
+        {saving ? 'Uploading…' : 'Upload'}
+      </button>
+      <button type="button" onClick={onCancel} className="text-slate-400 hover:text-white text-sm px-2">Cancel</button>
+      {error && <p className="w-full text-red-400 text-xs">{error}</p>}
+    </form>
+  );
+};
+
+// SVG campus map: zone outlines shaded by occupancy over an optional floor
+// plan, with the latest DBSCAN hotspots on top. Clicking a zone selects it;
+// admins can redraw zone outlines and upload floor plans.
+const CampusMap = ({ zones, clusters, canEdit, onSelectZone }) => {
+  const [definitions, setDefinitions] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [planId, setPlanId] = useState('');
+  const [imageUrl, setImageUrl] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const svgRef = useRef(null);
+
+  const fetchPlans = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/floor-plans`);
+      if (res.data.success) setPlans(res.data.data);
+    } catch (err) {
+      console.error('Error fetching floor plans:', err);
+    }
+  };
+
+  useEffect(() => {
+    const fetchDefinitions = async () => {
+      try {
+        const res = await axios.get(`${API_URL}/zone-definitions`);
+        if (res.data.success) setDefinitions(res.data.data.map(toMapZone));
+      } catch (err) {
+        console.error('Error fetching zone definitions:', err);
+      }
+    };
+
+    fetchDefinitions();
+    fetchPlans();
+    return subscribeToZoneDefinitions(defs => setDefinitions(defs.map(toMapZone)));
+  }, []);
+
+  const plan = plans.find(p => p._id === planId);
+
+  // The image endpoint needs the auth header, so load it as a blob
+  useEffect(() => {
+    if (!plan || !plan.image || !plan.image.contentType) {
+      setImageUrl(null);
+      return undefined;
+    }
+
+    let url = null;
+    let cancelled = false;
+    axios.get(`${API_URL}/floor-plans/${plan._id}/image`, { responseType: 'blob' })
+      .then(res => {
+        if (cancelled) return;
+        url = URL.createObjectURL(res.data);
+        setImageUrl(url);
+      })
+      .catch(err => console.error('Error loading floor plan image:', err));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [plan]);
+
+  const visible = definitions.filter(zone => onPlan(plan, zone));
+  const visibleIds = visible.map(zone => zone.id);
+  const [minX, minY, maxX, maxY] = plan ? plan.bounds : boundsOf(visible);
+  const width = maxX - minX;
+  const height = maxY - minY;
+  const fontSize = Math.max(width, height) / 60;
+
+  const readingFor = (zoneId) => zones.find(z => z.id === zoneId);
+
+  // Convert a click to campus-map coordinates
+  const toMapPoint = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const { x, y } = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+  };
+
+  const handleMapClick = (e) => {
+    if (!editing) return;
+    const point = toMapPoint(e);
+    setEditing(prev => ({ ...prev, ring: [...prev.ring, point] }));
+  };
+
+  const handleZoneClick = (zone) => {
+    if (editing) return;
+    onSelectZone(zone);
+  };
+
+  const saveOutline = async () => {
+    setError(null);
+    try {
+      await axios.put(`${API_URL}/zone-definitions/${encodeURIComponent(editing.zoneId)}`, {
+        geometry: { type: 'Polygon', coordinates: [editing.ring] }
+      });
+      setEditing(null);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const startEditing = (zoneId) => {
+    setError(null);
+    setEditing(zoneId ? { zoneId, ring: [] } : null);
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <select
+          value={planId}
+          onChange={(e) => setPlanId(e.target.value)}
+          className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-1.5 text-sm"
+        >
+          <option value="">Whole campus</option>
+          {plans.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+        </select>
+
+        {canEdit && (
+          <div className="flex items-center gap-2">
+            {editing ? (
+              <>
+                <span className="text-sm text-slate-400">
+                  Click to outline {editing.zoneId} ({editing.ring.length} points)
+                </span>
+                <button onClick={() => setEditing(prev => ({ ...prev, ring: prev.ring.slice(0, -1) }))} title="Undo point" className="p-1.5 rounded-lg hover:bg-slate-700">
+                  <Undo2 className="w-4 h-4" />
+                </button>
+                <button onClick={() => setEditing(prev => ({ ...prev, ring: [] }))} title="Clear" className="p-1.5 rounded-lg hover:bg-slate-700">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+                <button onClick={saveOutline} disabled={editing.ring.length < 3} title="Save outline" className="p-1.5 rounded-lg hover:bg-slate-700 disabled:opacity-40">
+                  <Save className="w-4 h-4" />
+                </button>
+                <button onClick={() => startEditing(null)} title="Cancel" className="p-1.5 rounded-lg hover:bg-slate-700">
+                  <X className="w-4 h-4" />
+                </button>
+              </>
+            ) : (
+              <>
+                <Pencil className="w-4 h-4 text-slate-400" />
+                <select
+                  value=""
+                  onChange={(e) => startEditing(e.target.value)}
+                  className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-1.5 text-sm"
+                >
+                  <option value="">Edit zone outline…</option>
+                  {visible.map(zone => <option key={zone.id} value={zone.id}>{zone.name}</option>)}
+                </select>
+                <button
+                  onClick={() => setUploading(u => !u)}
+                  className="flex items-center gap-2 bg-slate-700 hover:bg-slate-600 px-3 py-1.5 rounded-lg text-sm"
+                >
+                  <Upload className="w-4 h-4" />
+                  Floor plan
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {uploading && (
+        <FloorPlanUpload
+          onCancel={() => setUploading(false)}
+          onUploaded={async (id) => {
+            setUploading(false);
+            await fetchPlans();
+            setPlanId(id);
+          }}
+        />
+      )}
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+      <svg
+        ref={svgRef}
+        viewBox={`${minX} ${minY} ${width} ${height}`}
+        className={`w-full h-[480px] bg-slate-900/60 rounded-lg ${editing ? 'cursor-crosshair' : ''}`}
+        onClick={handleMapClick}
+      >
+        {imageUrl && (
+          <image href={imageUrl} x={minX} y={minY} width={width} height={height} preserveAspectRatio="none" opacity={0.6} />
+        )}
+
+        {visible.map(zone => {
+          if (editing && editing.zoneId === zone.id) return null;
+
+          const reading = readingFor(zone.id);
+          const percentage = reading ? (reading.population / reading.capacity) * 100 : null;
+          const fill = percentage === null ? '#475569' : occupancyColor(percentage);
+          const shapeProps = {
+            fill,
+            fillOpacity: 0.45,
+            stroke: fill,
+            strokeWidth: fontSize / 6,
+            className: editing ? '' : 'cursor-pointer hover:fill-opacity-70',
+            onClick: () => handleZoneClick(zone)
+          };
+          const [lx, ly] = labelPosition(zone) || [0, 0];
+
+          return (
+            <g key={zone.id}>
+              <title>
+                {zone.name}{reading ? ` — ${reading.population} / ${reading.capacity} (${reading.status})` : ''}
+              </title>
+              {zone.ring ? (
+                <polygon points={zone.ring.map(p => p.join(',')).join(' ')} {...shapeProps} />
+              ) : zone.position && (
+                <circle cx={zone.position[0]} cy={zone.position[1]} r={zone.spread || fontSize * 2} strokeDasharray={fontSize / 2} {...shapeProps} />
+              )}
+              <text x={lx} y={ly} textAnchor="middle" fontSize={fontSize} fill="#f8fafc" pointerEvents="none">
+                {zone.name}
+              </text>
+              {percentage !== null && (
+                <text x={lx} y={ly + fontSize * 1.2} textAnchor="middle" fontSize={fontSize * 0.8} fill="#cbd5e1" pointerEvents="none">
+                  {Math.round(percentage)}%
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {/* DBSCAN hotspots touching the zones on this map */}
+        {clusters
+          .filter(cluster => cluster.zoneIds.some(id => visibleIds.includes(id)))
+          .map(cluster => (
+            <g key={cluster.clusterId} pointerEvents="none">
+              <circle
+                cx={cluster.centroid[0]}
+                cy={cluster.centroid[1]}
+                r={Math.max(cluster.radius, fontSize / 2)}
+                fill="#a855f7"
+                fillOpacity={0.15}
+                stroke="#a855f7"
+                strokeWidth={fontSize / 8}
+                strokeDasharray={fontSize / 3}
+              />
+              <text x={cluster.centroid[0]} y={cluster.centroid[1]} textAnchor="middle" fontSize={fontSize * 0.7} fill="#e9d5ff">
+                #{cluster.clusterId} · {cluster.memberCount}
+              </text>
+            </g>
+          ))}
+
+        {editing && editing.ring.length > 0 && (
+          <g pointerEvents="none">
+            <polygon
+              points={editing.ring.map(p => p.join(',')).join(' ')}
+              fill="#3b82f6"
+              fillOpacity={0.25}
+              stroke="#3b82f6"
+              strokeWidth={fontSize / 6}
+            />
+            {editing.ring.map((p, idx) => (
+              <circle key={idx} cx={p[0]} cy={p[1]} r={fontSize / 3} fill="#3b82f6" />
+            ))}
+          </g>
+        )}
+      </svg>
+
+      <div className="flex flex-wrap items-center gap-4 mt-3 text-xs text-slate-400">
+        {[0, 50, 80, 100, 120].map(p => (
+          <span key={p} className="flex items-center gap-1">
+            <span className="w-3 h-3 rounded-sm inline-block" style={{ backgroundColor: occupancyColor(p) }}></span>
+            {p > 100 ? '>100%' : `${p}%`}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-full inline-block border border-dashed border-purple-500"></span>
+          DBSCAN hotspot
+        </span>
+        <span>Dashed outline: zone without geometry</span>
+      </div>
+    </div>
+  );
+};
+
+export default CampusMap;
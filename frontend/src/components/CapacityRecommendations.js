@@ -0,0 +1,66 @@
+import React from 'react';
+
+const RATINGS = {
+  'over-used': { label: 'Over-used', className: 'bg-red-500/20 text-red-300' },
+  'under-used': { label: 'Under-used', className: 'bg-sky-500/20 text-sky-300' },
+  ok: { label: 'As planned', className: 'bg-emerald-500/20 text-emerald-300' },
+  'insufficient-data': { label: 'Not enough data', className: 'bg-slate-600/40 text-slate-300' }
+};
+const RATING_ORDER = Object.keys(RATINGS);
+
+const percent = (value) => (value === null ? '—' : `${value}%`);
+
+// One row per zone: how busy it gets and the capacity it should have,
+// over-used zones first
+const CapacityRecommendations = ({ zones, selectedId, onSelect }) => {
+  const rows = [...zones].sort((a, b) =>
+    RATING_ORDER.indexOf(a.recommendation.rating) - RATING_ORDER.indexOf(b.recommendation.rating) ||
+    (b.busyOccupancy || 0) - (a.busyOccupancy || 0));
+
+  return (
+    <div className="max-h-[420px] overflow-y-auto">
+      <table className="w-full text-sm">
+        <thead className="text-slate-400 text-left sticky top-0 bg-slate-800">
+          <tr>
+            <th className="py-2 pr-4 font-normal">Zone</th>
+            <th className="py-2 pr-4 font-normal text-right">Capacity</th>
+            <th className="py-2 pr-4 font-normal text-right">Average</th>
+            <th className="py-2 pr-4 font-normal text-right">Busy hours</th>
+            <th className="py-2 pr-4 font-normal text-right">Peak</th>
+            <th className="py-2 pr-4 font-normal">Use</th>
+            <th className="py-2 pr-4 font-normal text-right">Recommended</th>
+            <th className="py-2 font-normal">Why</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(zone => {
+            const { rating, recommendedCapacity, change, reason } = zone.recommendation;
+            return (
+              <tr
+                key={zone.zoneId}
+                onClick={() => onSelect(zone.zoneId)}
+                className={`border-t border-slate-700 cursor-pointer transition-colors ${zone.zoneId === selectedId ? 'bg-blue-600/20' : 'hover:bg-slate-700/50'}`}
+              >
+                <td className="py-2 pr-4 font-semibold">{zone.zoneName}</td>
+                <td className="py-2 pr-4 text-right">{zone.capacity.toLocaleString()}</td>
+                <td className="py-2 pr-4 text-right">{percent(zone.avgOccupancy)}</td>
+                <td className="py-2 pr-4 text-right">{percent(zone.busyOccupancy)}</td>
+                <td className="py-2 pr-4 text-right">{percent(zone.peakOccupancy)}</td>
+                <td className="py-2 pr-4">
+                  <span className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${RATINGS[rating].className}`}>{RATINGS[rating].label}</span>
+                </td>
+                <td className="py-2 pr-4 text-right whitespace-nowrap">
+                  {recommendedCapacity === null ? '—' : recommendedCapacity.toLocaleString()}
+                  {change ? <span className="text-slate-400 ml-1">({change > 0 ? '+' : ''}{change.toLocaleString()})</span> : null}
+                </td>
+                <td className="py-2 text-slate-400">{reason}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default CapacityRecommendations;
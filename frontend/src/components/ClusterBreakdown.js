@@ -0,0 +1,45 @@
+import React from 'react';
+
+// DBSCAN hotspots in the latest update that involve the given zone
+const ClusterBreakdown = ({ clusters, zoneId }) => {
+  const zoneClusters = clusters.filter(cluster => cluster.zoneIds.includes(zoneId));
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+      <h3 className="text-lg font-semibold mb-4">
+        Hotspots
+        <span className="text-sm text-slate-400 font-normal"> ({zoneClusters.length})</span>
+      </h3>
+      {zoneClusters.length === 0 ? (
+        <p className="text-slate-400 text-sm">No DBSCAN hotspots in this zone right now</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 text-left">
+              <th className="font-normal pb-2">Cluster</th>
+              <th className="font-normal pb-2 text-right">Devices</th>
+              <th className="font-normal pb-2 text-right">Peak density</th>
+              <th className="font-normal pb-2 text-right">Radius</th>
+              <th className="font-normal pb-2 pl-4">Shared with</th>
+            </tr>
+          </thead>
+          <tbody>
+            {zoneClusters.map(cluster => (
+              <tr key={cluster.clusterId} className="border-t border-slate-700">
+                <td className="py-2 font-semibold text-purple-400">#{cluster.clusterId}</td>
+                <td className="py-2 text-right">{Math.round(cluster.memberCount)}</td>
+                <td className="py-2 text-right">{cluster.peakDensity.toFixed(2)} /m²</td>
+                <td className="py-2 text-right">{cluster.radius.toFixed(1)} m</td>
+                <td className="py-2 pl-4 text-slate-400">
+                  {cluster.zoneIds.filter(id => id !== zoneId).join(', ') || '—'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ClusterBreakdown;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Download, FileText } from 'lucide-react';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const EXPORT_RANGES = [
+  { id: '24h', label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'custom', label: 'Custom range' }
+];
+
+const RESOLUTIONS = [
+  { id: '', label: 'Raw readings' },
+  { id: '5m', label: '5 minutes' },
+  { id: '1h', label: '1 hour' },
+  { id: '1d', label: '1 day' }
+];
+
+// Downloads go through axios so the auth header is sent; the file is then
+// saved from a blob URL
+const saveFile = async (url, params, fallbackName) => {
+  const res = await axios.get(url, { params, responseType: 'blob' });
+  const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(res.data);
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+// The error message the server sent with a failed download, if any; like
+// the file itself it arrives as a blob
+const serverError = async (err) => {
+  try {
+    return JSON.parse(await err.response.data.text()).error;
+  } catch (parseError) {
+    return null;
+  }
+};
+
+const selectClass = 'w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm';
+
+// Export button with a dropdown for downloading zone history as CSV or
+// NDJSON, plus the latest scheduled daily / weekly reports
+const ExportMenu = ({ zones }) => {
+  const [open, setOpen] = useState(false);
+  const [rangeId, setRangeId] = useState('24h');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [bucket, setBucket] = useState('5m');
+  const [format, setFormat] = useState('csv');
+  const [zoneIds, setZoneIds] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    axios.get(`${API_URL}/reports`)
+      .then(res => {
+        if (res.data.success) setReports(res.data.data);
+      })
+      .catch(err => console.error('Error fetching reports:', err));
+  }, [open]);
+
+  const toggleZone = (id) => {
+    setZoneIds(prev => (prev.includes(id) ? prev.filter(z => z !== id) : [...prev, id]));
+  };
+
+  const download = async () => {
+    const range = EXPORT_RANGES.find(r => r.id === rangeId);
+    const params = { format, bucket: bucket || undefined };
+    if (range.ms) {
+      params.from = new Date(Date.now() - range.ms).toISOString();
+    } else {
+      if (!from || !to) {
+        setError('Choose a start and end for the custom range');
+        return;
+      }
+      params.from = new Date(from).toISOString();
+      params.to = new Date(to).toISOString();
+    }
+    if (zoneIds.length > 0) params.zoneIds = zoneIds.join(',');
+
+    setDownloading(true);
+    setError(null);
+    try {
+      await saveFile(`${API_URL}/export/history`, params, `zone-history.${format}`);
+    } catch (err) {
+      console.error('Error exporting zone history:', err);
+      setError((await serverError(err)) || 'Export failed');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const downloadReport = (name) => {
+    saveFile(`${API_URL}/reports/${name}`, {}, name).catch(err => {
+      console.error('Error downloading report:', err);
+      setError('Report download failed');
+    });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm transition-colors ${open ? 'bg-blue-600' : 'bg-slate-800 border border-slate-700 hover:bg-slate-700'}`}
+      >
+        <Download className="w-4 h-4" />
+        Export
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 z-20 bg-slate-800 border border-slate-700 rounded-xl p-4 shadow-xl space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-xs text-slate-400 space-y-1">
+              <span>Range</span>
+              <select value={rangeId} onChange={e => setRangeId(e.target.value)} className={selectClass}>
+                {EXPORT_RANGES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400 space-y-1">
+              <span>Resolution</span>
+              <select value={bucket} onChange={e => setBucket(e.target.value)} className={selectClass}>
+                {RESOLUTIONS.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+            </label>
+          </div>
+
+          {rangeId === 'custom' && (
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-xs text-slate-400 space-y-1">
+                <span>From</span>
+                <input type="datetime-local" value={from} onChange={e => setFrom(e.target.value)} className={selectClass} />
+              </label>
+              <label className="text-xs text-slate-400 space-y-1">
+                <span>To</span>
+                <input type="datetime-local" value={to} onChange={e => setTo(e.target.value)} className={selectClass} />
+              </label>
+            </div>
+          )}
+
+          <div className="text-xs text-slate-400">
+            <p className="mb-1">Zones {zoneIds.length === 0 && '(all)'}</p>
+            <div className="max-h-32 overflow-y-auto grid grid-cols-2 gap-1">
+              {zones.map(zone => (
+                <label key={zone.id} className="flex items-center gap-2 text-slate-200">
+                  <input type="checkbox" checked={zoneIds.includes(zone.id)} onChange={() => toggleZone(zone.id)} />
+                  <span className="truncate">{zone.name}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <select value={format} onChange={e => setFormat(e.target.value)} className={`${selectClass} w-auto`}>
+              <option value="csv">CSV (Excel)</option>
+              <option value="ndjson">NDJSON</option>
+            </select>
+            <button
+              onClick={download}
+              disabled={downloading}
+              className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              {downloading ? 'Exporting…' : 'Download'}
+            </button>
+          </div>
+          {error && <p className="text-xs text-red-400">{error}</p>}
+
+          <div className="border-t border-slate-700 pt-3">
+            <p className="text-xs text-slate-400 mb-2">Scheduled reports</p>
+            {reports.length === 0 ? (
+              <p className="text-xs text-slate-500">No reports generated yet</p>
+            ) : (
+              <ul className="max-h-40 overflow-y-auto space-y-1">
+                {reports.map(report => (
+                  <li key={report.name}>
+                    <button
+                      onClick={() => downloadReport(report.name)}
+                      className="flex items-center gap-2 text-sm text-slate-200 hover:text-white"
+                    >
+                      <FileText className="w-4 h-4 text-slate-400" />
+                      <span className="capitalize">{report.period}</span> {report.date}
+                      <span className="text-xs text-slate-500 uppercase">{report.format}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart, Bar, Sankey, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Busiest movements shown in the Sankey chart
+const MAX_LINKS = 20;
+const OFF_CAMPUS = 'Off campus';
+
+// Flows are stored once per interval (5 minutes by default)
+const FLOW_REFRESH_MS = 60 * 1000;
+
+const FLOW_RANGES = [
+  { id: '1h', label: '1 hour', ms: 60 * 60 * 1000, bucket: '5m' },
+  { id: '6h', label: '6 hours', ms: 6 * 60 * 60 * 1000, bucket: '5m' },
+  { id: '24h', label: '24 hours', ms: 24 * 60 * 60 * 1000, bucket: '1h' },
+  { id: '7d', label: '7 days', ms: 7 * 24 * 60 * 60 * 1000, bucket: '1d' }
+];
+
+const formatBucket = (timestamp, range) => {
+  const date = new Date(timestamp);
+  return range.bucket === '1d'
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Inflow and outflow per bucket, summed over the zones in the response
+const toFlowSeries = (rows, range) => {
+  const buckets = new Map();
+  rows.forEach(row => {
+    const key = new Date(row.timestamp).getTime();
+    const bucket = buckets.get(key) || { time: formatBucket(key, range), inflow: 0, outflow: 0 };
+    bucket.inflow += row.inflow;
+    bucket.outflow -= row.outflow;
+    buckets.set(key, bucket);
+  });
+  return Array.from(buckets.entries()).sort((a, b) => a[0] - b[0]).map(([, bucket]) => bucket);
+};
+
+// Origins on the left and destinations on the right, so movements in both
+// directions between two zones don't form a cycle
+const toSankey = (links, names) => {
+  const nodes = [];
+  const index = {};
+  const nodeFor = (zoneId, side) => {
+    const key = `${side}:${zoneId}`;
+    if (index[key] === undefined) {
+      index[key] = nodes.length;
+      nodes.push({ name: zoneId === null ? OFF_CAMPUS : names[zoneId] || zoneId });
+    }
+    return index[key];
+  };
+
+  const top = links.filter(link => link.from !== link.to).slice(0, MAX_LINKS);
+  return {
+    nodes,
+    links: top.map(link => ({
+      source: nodeFor(link.from, 'from'),
+      target: nodeFor(link.to, 'to'),
+      value: link.count
+    }))
+  };
+};
+
+const SankeyNode = ({ x, y, width, height, payload }) => {
+  const isOrigin = payload.depth === 0;
+  return (
+    <g>
+      <rect x={x} y={y} width={width} height={height} fill={payload.name === OFF_CAMPUS ? '#64748b' : '#3b82f6'} />
+      <text
+        x={isOrigin ? x + width + 6 : x - 6}
+        y={y + height / 2}
+        textAnchor={isOrigin ? 'start' : 'end'}
+        dominantBaseline="middle"
+        fontSize={12}
+        fill="#e2e8f0"
+      >
+        {payload.name} ({payload.value})
+      </text>
+    </g>
+  );
+};
+
+// Entries and exits over time plus a Sankey chart of where people moved,
+// campus-wide or for one zone. Movements between zones need a data source
+// that tracks individual devices.
+const FlowPanel = ({ zoneId }) => {
+  const [rangeId, setRangeId] = useState('1h');
+  const [series, setSeries] = useState([]);
+  const [sankey, setSankey] = useState({ nodes: [], links: [] });
+  const [estimated, setEstimated] = useState(false);
+  const range = FLOW_RANGES.find(r => r.id === rangeId);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchFlows = async () => {
+      const params = { from: new Date(Date.now() - range.ms).toISOString(), bucket: range.bucket };
+      if (zoneId) params.zoneIds = zoneId;
+
+      try {
+        const [flowsRes, matrixRes] = await Promise.all([
+          axios.get(`${API_URL}/flows`, { params }),
+          axios.get(`${API_URL}/flows/matrix`, { params: { from: params.from, zoneIds: params.zoneIds } })
+        ]);
+        if (cancelled) return;
+
+        if (flowsRes.data.success) {
+          setSeries(toFlowSeries(flowsRes.data.data, range));
+          setEstimated(flowsRes.data.data.some(row => row.method === 'net'));
+        }
+        if (matrixRes.data.success) {
+          setSankey(toSankey(matrixRes.data.data, matrixRes.data.zones));
+        }
+      } catch (error) {
+        console.error('Error fetching zone flows:', error);
+      }
+    };
+
+    fetchFlows();
+    const timer = setInterval(fetchFlows, FLOW_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [zoneId, range]);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">
+          Movement
+          {estimated && <span className="text-xs text-slate-400 font-normal ml-2">(net change only)</span>}
+        </h3>
+        <div className="flex gap-2">
+          {FLOW_RANGES.map(r => (
+            <button
+              key={r.id}
+              onClick={() => setRangeId(r.id)}
+              className={`px-3 py-1 rounded-lg text-sm transition-colors ${r.id === rangeId ? 'bg-blue-600' : 'bg-slate-700 hover:bg-slate-600'}`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6">
+        <div>
+          <h4 className="text-sm text-slate-400 mb-2">Entries and exits</h4>
+          {series.length === 0 ? (
+            <div className="h-[280px] flex items-center justify-center text-slate-400 text-sm">No flow data for this range</div>
+          ) : (
+            <ResponsiveContainer width="100%" height={280}>
+              <BarChart data={series} stackOffset="sign">
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="time" stroke="#94a3b8" style={{ fontSize: '12px' }} minTickGap={24} />
+                <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                  labelStyle={{ color: '#94a3b8' }}
+                  formatter={(value, name) => [Math.abs(value), name]}
+                />
+                <Legend />
+                <ReferenceLine y={0} stroke="#64748b" />
+                <Bar dataKey="inflow" name="in" stackId="flow" fill="#10b981" />
+                <Bar dataKey="outflow" name="out" stackId="flow" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        <div>
+          <h4 className="text-sm text-slate-400 mb-2">Where people moved (from → to)</h4>
+          {sankey.links.length === 0 ? (
+            <div className="h-[280px] flex items-center justify-center text-slate-400 text-sm text-center px-6">
+              No movements between zones recorded. They are tracked when the data source reports individual devices.
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height={280}>
+              <Sankey
+                data={sankey}
+                nodePadding={16}
+                margin={{ left: 10, right: 10, top: 10, bottom: 10 }}
+                link={{ stroke: '#3b82f6', strokeOpacity: 0.3 }}
+                node={<SankeyNode />}
+              >
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                />
+              </Sankey>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FlowPanel;
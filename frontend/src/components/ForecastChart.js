@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Forecast line with its confidence band, campus-wide or for a single zone.
+// Pass `zone` to pin the chart to one zone and hide the selector.
+const ForecastChart = ({ forecast, zones, horizon, zone }) => {
+  const [selectedZoneId, setZoneId] = useState('all');
+  const zoneId = zone || selectedZoneId;
+
+  const points = zoneId === 'all'
+    ? forecast.total
+    : forecast.zones[zoneId] || [];
+
+  const chartData = points.map(point => ({
+    time: formatTime(point.timestamp),
+    population: point.population,
+    interval: [point.lower, point.upper]
+  }));
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-semibold">Forecast (Next {horizon} Hours)</h3>
+        {!zone && (
+          <select
+            value={zoneId}
+            onChange={(e) => setZoneId(e.target.value)}
+            className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-1 text-sm"
+          >
+            <option value="all">All zones</option>
+            {zones.filter(z => forecast.zones[z.id]).map(z => (
+              <option key={z.id} value={z.id}>{z.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {chartData.length === 0 ? (
+        <div className="h-[280px] flex items-center justify-center text-slate-400 text-sm">
+          Not enough history to forecast yet
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={280}>
+          <ComposedChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <XAxis dataKey="time" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+            <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+              labelStyle={{ color: '#94a3b8' }}
+              formatter={(value, name) => (Array.isArray(value) ? [`${value[0]} – ${value[1]}`, name] : [value, name])}
+            />
+            <Legend />
+            <Area
+              type="monotone"
+              dataKey="interval"
+              name="95% interval"
+              stroke="none"
+              fill="#10b981"
+              fillOpacity={0.2}
+            />
+            <Line
+              type="monotone"
+              dataKey="population"
+              name="forecast"
+              stroke="#10b981"
+              strokeWidth={2}
+              dot={{ fill: '#10b981', r: 3 }}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default ForecastChart;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Users, RefreshCw, Wifi, WifiOff, LogOut, History, BarChart3 } from 'lucide-react';
+import { logout } from '../auth';
+
+// App title, manual refresh, replay, analytics, connection status and the signed-in user
+const Header = ({ user, connection, replay, onRefresh, onReplay }) => {
+  return (
+    <div className="flex justify-between items-center mb-8">
+      <Link to="/" className="flex items-center gap-4">
+        <div className="bg-blue-600 p-3 rounded-lg">
+          <Users className="w-8 h-8" />
+        </div>
+        <div>
+          <h1 className="text-3xl font-bold">Crowd Management System</h1>
+          <p className="text-slate-400 text-sm">with DBSCAN Technology</p>
+        </div>
+      </Link>
+      <div className="flex items-center gap-4">
+        <button 
+          onClick={onRefresh}
+          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg transition-colors"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Refresh Now
+        </button>
+        <Link
+          to="/analytics"
+          className="flex items-center gap-2 bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded-lg transition-colors"
+        >
+          <BarChart3 className="w-4 h-4" />
+          Analytics
+        </Link>
+        {!replay.active && (
+          <button
+            onClick={onReplay}
+            className="flex items-center gap-2 bg-slate-700 hover:bg-slate-600 px-4 py-2 rounded-lg transition-colors"
+          >
+            <History className="w-4 h-4" />
+            Replay
+          </button>
+        )}
+        {replay.active ? (
+          <div className="flex items-center gap-2 text-fuchsia-300">
+            <History className="w-4 h-4" />
+            <div className="w-2 h-2 rounded-full bg-fuchsia-500 animate-pulse"></div>
+            <span className="text-sm font-bold tracking-widest">REPLAY</span>
+          </div>
+        ) : (
+          <div className="flex items-center gap-2">
+            {connection.connected ? <Wifi className="w-4 h-4 text-emerald-500" /> : <WifiOff className="w-4 h-4 text-red-500" />}
+            <div className={`w-2 h-2 rounded-full ${connection.connected ? 'bg-emerald-500 animate-pulse' : 'bg-red-500'}`}></div>
+            <span className="text-sm">{connection.connected ? 'Live' : 'Reconnecting'}</span>
+          </div>
+        )}
+        <div className="text-sm text-slate-400">
+          Last Update: {connection.lastUpdateAt ? connection.lastUpdateAt.toLocaleTimeString() : '—'}
+        </div>
+        <div className="flex items-center gap-2 border-l border-slate-700 pl-4">
+          <div className="text-sm text-right">
+            <p>{user.name || user.username}</p>
+            <p className="text-xs text-slate-400 capitalize">{user.role}</p>
+          </div>
+          <button
+            onClick={logout}
+            title="Sign out"
+            className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 transition-colors"
+          >
+            <LogOut className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Header;
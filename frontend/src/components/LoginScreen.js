@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Users, LogIn } from 'lucide-react';
+import { login } from '../auth';
+
+const LoginScreen = () => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login(username, password);
+    } catch (err) {
+      setError(err.response && err.response.status === 401
+        ? 'Invalid username or password'
+        : 'Unable to reach the server');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white flex items-center justify-center p-6">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-8 w-full max-w-sm"
+      >
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-blue-600 p-3 rounded-lg">
+            <Users className="w-6 h-6" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold">Crowd Management System</h1>
+            <p className="text-slate-400 text-sm">Sign in to continue</p>
+          </div>
+        </div>
+
+        <label className="block text-sm text-slate-400 mb-1" htmlFor="username">Username</label>
+        <input
+          id="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 mb-4 focus:outline-none focus:border-blue-500"
+        />
+
+        <label className="block text-sm text-slate-400 mb-1" htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          className="w-full bg-slate-700 border border-slate-600 rounded-lg px-3 py-2 mb-4 focus:outline-none focus:border-blue-500"
+        />
+
+        {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={submitting || !username || !password}
+          className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-4 py-2 rounded-lg transition-colors"
+        >
+          <LogIn className="w-4 h-4" />
+          {submitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { occupancyColor } from '../zoneStatus';
+
+const RADIUS = 80;
+const CENTER = [100, 100];
+
+// Point on the gauge arc for a 0-1 fill fraction (left to right over the top)
+const arcPoint = (fraction) => [
+  CENTER[0] - RADIUS * Math.cos(Math.PI * fraction),
+  CENTER[1] - RADIUS * Math.sin(Math.PI * fraction)
+];
+
+const arcPath = (fraction) => {
+  const [x, y] = arcPoint(fraction);
+  return `M ${CENTER[0] - RADIUS} ${CENTER[1]} A ${RADIUS} ${RADIUS} 0 0 1 ${x} ${y}`;
+};
+
+// Half-circle gauge of live occupancy as a percentage of capacity
+const OccupancyGauge = ({ population, capacity }) => {
+  const percentage = capacity ? (population / capacity) * 100 : 0;
+  const fraction = Math.min(1, percentage / 100);
+  const color = occupancyColor(percentage);
+
+  return (
+    <svg viewBox="0 0 200 120" className="w-full max-w-xs mx-auto">
+      <path d={arcPath(1)} fill="none" stroke="#334155" strokeWidth="16" strokeLinecap="round" />
+      {fraction > 0 && (
+        <path
+          d={arcPath(fraction)}
+          fill="none"
+          stroke={color}
+          strokeWidth="16"
+          strokeLinecap="round"
+          style={{ transition: 'd 0.5s' }}
+        />
+      )}
+      <text x={CENTER[0]} y={CENTER[1] - 12} textAnchor="middle" fontSize="28" fontWeight="bold" fill="#f8fafc">
+        {Math.round(percentage)}%
+      </text>
+      <text x={CENTER[0]} y={CENTER[1] + 12} textAnchor="middle" fontSize="11" fill="#94a3b8">
+        {population.toLocaleString()} / {capacity.toLocaleString()}
+      </text>
+    </svg>
+  );
+};
+
+export default OccupancyGauge;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+// Campus-wide population from the live updates received so far
+const PopulationTrendChart = ({ trendData }) => {
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+      <h3 className="text-lg font-semibold mb-4">Population Trend (Past 6 Hours)</h3>
+      <ResponsiveContainer width="100%" height={280}>
+        <LineChart data={trendData}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="time" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+          <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+          <Tooltip 
+            contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+            labelStyle={{ color: '#94a3b8' }}
+          />
+          <Legend />
+          <Line 
+            type="monotone" 
+            dataKey="population" 
+            stroke="#3b82f6" 
+            strokeWidth={2}
+            dot={{ fill: '#3b82f6', r: 4 }}
+            activeDot={{ r: 6 }}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default PopulationTrendChart;
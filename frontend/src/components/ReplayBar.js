@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { History, Play, Pause, Radio } from 'lucide-react';
+import { startReplay, playReplay, pauseReplay, setReplaySpeed, seekReplay, stopReplay } from '../socket';
+
+const SPEEDS = [1, 5, 10, 30, 60];
+const DEFAULT_LOOKBACK_MS = 60 * 60 * 1000;
+
+// Date <-> value of a datetime-local input (local time)
+const toInputValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+const fromInputValue = (value) => (value ? new Date(value) : null);
+
+const formatTime = (date) => (date
+  ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+  : '—');
+
+const inputClass = 'bg-slate-900 border border-slate-700 rounded-lg px-3 py-1.5 text-sm';
+
+// Form for choosing the range and speed of a new replay
+const ReplaySetup = ({ onClose }) => {
+  const [from, setFrom] = useState(() => toInputValue(new Date(Date.now() - DEFAULT_LOOKBACK_MS)));
+  const [to, setTo] = useState('');
+  const [speed, setSpeed] = useState(10);
+  const [error, setError] = useState(null);
+
+  const start = async () => {
+    setError(null);
+    try {
+      await startReplay({ from: fromInputValue(from), to: fromInputValue(to) || undefined, speed });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 border border-slate-700 rounded-xl px-5 py-3 mb-6 flex flex-wrap items-center gap-3 text-sm">
+      <History className="w-5 h-5 text-fuchsia-400" />
+      <span className="font-semibold">Replay history</span>
+      <label className="flex items-center gap-2 text-slate-400">
+        From
+        <input type="datetime-local" value={from} onChange={e => setFrom(e.target.value)} className={inputClass} />
+      </label>
+      <label className="flex items-center gap-2 text-slate-400">
+        To
+        <input type="datetime-local" value={to} onChange={e => setTo(e.target.value)} className={inputClass} />
+      </label>
+      <select value={speed} onChange={e => setSpeed(Number(e.target.value))} className={inputClass}>
+        {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+      </select>
+      <button onClick={start} className="bg-fuchsia-600 hover:bg-fuchsia-700 px-4 py-1.5 rounded-lg transition-colors">
+        Start replay
+      </button>
+      <button onClick={onClose} className="text-slate-400 hover:text-white px-2">
+        Cancel
+      </button>
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+};
+
+// Replay controls: play / pause, speed and a seek slider over the replayed
+// range, with a REPLAY badge so replayed data can't be taken for live data
+const ReplayBar = ({ replay, setupOpen, onCloseSetup }) => {
+  const [dragging, setDragging] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!replay.active) setDragging(null);
+  }, [replay.active]);
+
+  if (!replay.active) {
+    return setupOpen ? <ReplaySetup onClose={onCloseSetup} /> : null;
+  }
+
+  const run = (promise) => {
+    setError(null);
+    promise.catch(err => setError(err.message));
+  };
+
+  const seek = (timestamp) => {
+    setDragging(null);
+    run(seekReplay(timestamp));
+  };
+
+  const position = dragging !== null ? dragging : replay.position.getTime();
+
+  return (
+    <div className="bg-fuchsia-500/15 border border-fuchsia-500/50 rounded-xl px-5 py-3 mb-6 flex items-center gap-4 text-sm">
+      <span className="flex items-center gap-2 bg-fuchsia-600 text-white font-bold tracking-widest px-3 py-1 rounded-md">
+        <History className="w-4 h-4" />
+        REPLAY
+      </span>
+
+      <div className="min-w-[11rem]">
+        <p className="text-fuchsia-200 font-semibold">{formatTime(replay.frameAt)}</p>
+        <p className="text-xs text-fuchsia-300/70">
+          {replay.ended ? 'End of range' : replay.playing ? `Playing at ${replay.speed}x` : 'Paused'}
+        </p>
+      </div>
+
+      <button
+        onClick={() => run(replay.playing ? pauseReplay() : playReplay())}
+        title={replay.playing ? 'Pause' : 'Play'}
+        className="p-2 rounded-lg bg-fuchsia-600 hover:bg-fuchsia-700 transition-colors"
+      >
+        {replay.playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+      </button>
+
+      <div className="flex bg-slate-800 border border-slate-700 rounded-lg p-1">
+        {SPEEDS.map(speed => (
+          <button
+            key={speed}
+            onClick={() => run(setReplaySpeed(speed))}
+            className={`px-2 py-0.5 rounded-md text-xs transition-colors ${replay.speed === speed ? 'bg-fuchsia-600' : 'text-slate-400 hover:text-white'}`}
+          >
+            {speed}x
+          </button>
+        ))}
+      </div>
+
+      <div className="flex-1 flex items-center gap-3">
+        <span className="text-xs text-slate-400">{formatTime(replay.from)}</span>
+        <input
+          type="range"
+          min={replay.from.getTime()}
+          max={replay.to.getTime()}
+          step={1000}
+          value={position}
+          onChange={e => setDragging(Number(e.target.value))}
+          onMouseUp={e => seek(Number(e.target.value))}
+          onTouchEnd={e => seek(Number(e.target.value))}
+          onKeyUp={e => seek(Number(e.target.value))}
+          className="flex-1 accent-fuchsia-500"
+        />
+        <span className="text-xs text-slate-400">{formatTime(replay.to)}</span>
+      </div>
+
+      <input
+        type="datetime-local"
+        title="Jump to"
+        value={toInputValue(new Date(position))}
+        min={toInputValue(replay.from)}
+        max={toInputValue(replay.to)}
+        onChange={e => e.target.value && seek(fromInputValue(e.target.value).getTime())}
+        className={inputClass}
+      />
+
+      {error && <span className="text-red-400">{error}</span>}
+
+      <button
+        onClick={() => run(stopReplay())}
+        className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 px-3 py-1.5 rounded-lg transition-colors"
+      >
+        <Radio className="w-4 h-4" />
+        Back to live
+      </button>
+    </div>
+  );
+};
+
+export default ReplayBar;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { WifiOff } from 'lucide-react';
+
+// "1h 5m", "3m 12s", "42s"
+export const formatAge = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+};
+
+// Shown while the live connection is down, so nobody mistakes the frozen
+// numbers on screen for current ones
+const StaleDataBanner = ({ connection, now }) => {
+  if (connection.connected) return null;
+
+  return (
+    <div className="bg-amber-500/15 border border-amber-500/50 text-amber-200 rounded-xl px-5 py-3 mb-6 flex items-center gap-3">
+      <WifiOff className="w-5 h-5 flex-shrink-0" />
+      <div className="text-sm">
+        <span className="font-semibold">Live updates interrupted.</span>{' '}
+        {connection.lastUpdateAt
+          ? `Data shown is ${formatAge(now - connection.lastUpdateAt)} old.`
+          : 'No data received yet.'}{' '}
+        <span className="text-amber-300/80">
+          Reconnecting{connection.reconnectAttempt > 0 && ` (attempt ${connection.reconnectAttempt})`}…
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default StaleDataBanner;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Users, Activity, TrendingUp, TrendingDown, Minus, AlertCircle, MapPin } from 'lucide-react';
+
+const formatRate = (rate) => `${rate > 0 ? '+' : ''}${rate.toFixed(1)}`;
+
+// Up/down indicator against a stored value from the past. Rates are compared
+// as a difference, everything else as a percentage.
+const Comparison = ({ current, previous, label, rate }) => {
+  if (previous === undefined || previous === null || current === null) {
+    return <p className="text-slate-500 text-xs mt-1">No data from {label}</p>;
+  }
+
+  let change;
+  if (rate) {
+    change = current - previous;
+  } else if (previous !== 0) {
+    change = ((current - previous) / Math.abs(previous)) * 100;
+  } else {
+    change = current === 0 ? 0 : null;
+  }
+
+  if (change === null) {
+    return <p className="text-slate-500 text-xs mt-1">Up from 0 vs {label}</p>;
+  }
+
+  const rounded = Number(change.toFixed(1));
+  const Icon = rounded > 0 ? TrendingUp : rounded < 0 ? TrendingDown : Minus;
+  const color = rounded > 0 ? 'text-emerald-400' : rounded < 0 ? 'text-red-400' : 'text-slate-400';
+
+  return (
+    <p className={`${color} text-xs mt-1 flex items-center gap-1`}>
+      <Icon className="w-3 h-3" />
+      {rate ? `${formatRate(rounded)} ppl/min` : `${rounded > 0 ? '+' : ''}${rounded}%`} vs {label}
+    </p>
+  );
+};
+
+const Card = ({ title, icon: Icon, iconBg, children }) => (
+  <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6 hover:border-slate-600 transition-all">
+    <div className="flex justify-between items-start mb-4">
+      <div className="min-w-0">
+        <p className="text-slate-400 text-sm mb-1">{title}</p>
+        {children}
+      </div>
+      <div className={`${iconBg} p-3 rounded-lg`}>
+        <Icon className="w-6 h-6" />
+      </div>
+    </div>
+  </div>
+);
+
+// Campus-wide totals shown at the top of the dashboard, each compared with
+// one hour ago and the same time last week
+const StatCards = ({ summary }) => {
+  const { lastHour = {}, lastWeek = {} } = summary.comparisons;
+  const compare = (key, options = {}) => (
+    <>
+      <Comparison current={summary[key]} previous={lastHour[key]} label="last hour" rate={options.rate} />
+      {!options.hourOnly && (
+        <Comparison current={summary[key]} previous={lastWeek[key]} label="last week" rate={options.rate} />
+      )}
+    </>
+  );
+
+  return (
+    <div className="grid grid-cols-5 gap-6 mb-8">
+      <Card title="Total Population" icon={Users} iconBg="bg-emerald-500">
+        <h3 className="text-3xl font-bold">{summary.totalPopulation.toLocaleString()}</h3>
+        {compare('totalPopulation')}
+      </Card>
+
+      <Card title="Active Zones" icon={Activity} iconBg="bg-purple-500">
+        <h3 className="text-3xl font-bold">
+          {summary.activeZones}
+          <span className="text-lg text-slate-400 font-normal"> / {summary.totalZones}</span>
+        </h3>
+        {compare('activeZones')}
+      </Card>
+
+      <Card title="Avg Density" icon={AlertCircle} iconBg="bg-orange-500">
+        <h3 className="text-3xl font-bold">{summary.avgDensity} ppl/unit</h3>
+        {compare('avgDensity')}
+      </Card>
+
+      <Card title="Net Flow" icon={Activity} iconBg="bg-blue-500">
+        <h3 className="text-3xl font-bold">
+          {summary.netFlowRate === null ? '—' : formatRate(summary.netFlowRate)}
+          <span className="text-lg text-slate-400 font-normal"> ppl/min</span>
+        </h3>
+        {summary.flowWindowMinutes && (
+          <p className="text-slate-500 text-xs mt-1">over the last {summary.flowWindowMinutes} min</p>
+        )}
+        {compare('netFlowRate', { rate: true, hourOnly: true })}
+      </Card>
+
+      <Card title="Peak Zone" icon={MapPin} iconBg="bg-fuchsia-600">
+        {summary.peakZone ? (
+          <>
+            <Link to={`/zones/${encodeURIComponent(summary.peakZone.zoneId)}`} className="block text-2xl font-bold truncate hover:underline">
+              {summary.peakZone.zoneName}
+            </Link>
+            <p className="text-slate-400 text-xs mt-1">
+              {summary.peakZone.occupancy}% of capacity · <span className="capitalize">{summary.peakZone.status}</span>
+            </p>
+          </>
+        ) : (
+          <h3 className="text-3xl font-bold">—</h3>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default StatCards;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { STATUS_CHART_COLORS } from '../zoneStatus';
+
+// Zones shown, most time overcrowded or critical first
+const MAX_ZONES = 15;
+
+// Percentage of time each zone spent in each status
+const StatusShareChart = ({ zones }) => {
+  const data = zones
+    .filter(zone => zone.coveredHours > 0)
+    .map(zone => ({ name: zone.zoneName, ...zone.statusShare }))
+    .sort((a, b) => (b.overcrowded + b.critical) - (a.overcrowded + a.critical) || a.name.localeCompare(b.name))
+    .slice(0, MAX_ZONES);
+
+  if (data.length === 0) {
+    return <div className="h-[280px] flex items-center justify-center text-slate-400 text-sm">No history for this range</div>;
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={Math.max(200, data.length * 28 + 60)}>
+      <BarChart data={data} layout="vertical">
+        <CartesianGrid strokeDasharray="3 3" stroke="#334155" horizontal={false} />
+        <XAxis type="number" domain={[0, 100]} unit="%" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+        <YAxis type="category" dataKey="name" stroke="#94a3b8" style={{ fontSize: '12px' }} width={110} />
+        <Tooltip
+          contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+          labelStyle={{ color: '#94a3b8' }}
+          formatter={(value, name) => [`${value}%`, name]}
+        />
+        <Legend />
+        {Object.entries(STATUS_CHART_COLORS).map(([status, color]) => (
+          <Bar key={status} dataKey={status} name={status} stackId="status" fill={color} />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default StatusShareChart;
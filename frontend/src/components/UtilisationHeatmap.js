@@ -0,0 +1,61 @@
+import React from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { occupancyColor } from '../zoneStatus';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Stacked bottom to top, so Monday is the top row
+const ROWS = [0, 6, 5, 4, 3, 2, 1];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const NO_DATA = '#1e293b';
+
+const HeatmapTooltip = ({ active, label, cells }) => {
+  if (!active || label === undefined) return null;
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-3 text-xs">
+      <p className="text-slate-400 mb-1">{String(label).padStart(2, '0')}:00 – {String(label + 1).padStart(2, '0')}:00</p>
+      {[1, 2, 3, 4, 5, 6, 0].map(dow => {
+        const cell = cells[`${dow}:${label}`];
+        return (
+          <p key={dow}>
+            {WEEKDAYS[dow]}: {cell ? `${cell.avgOccupancy}% avg, ${cell.peakOccupancy}% peak` : 'no data'}
+          </p>
+        );
+      })}
+    </div>
+  );
+};
+
+// Average occupancy by hour of day x day of week, one coloured cell each
+// (a stack of seven equal bars per hour)
+const UtilisationHeatmap = ({ heatmap, height = 280 }) => {
+  const cells = Object.fromEntries(heatmap.map(cell => [`${cell.dow}:${cell.hour}`, cell]));
+  const data = HOURS.map(hour => ({ hour, ...Object.fromEntries(ROWS.map(dow => [`d${dow}`, 1])) }));
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data} barCategoryGap={1}>
+        <XAxis dataKey="hour" stroke="#94a3b8" style={{ fontSize: '12px' }} interval={2} />
+        <YAxis
+          type="number"
+          domain={[0, 7]}
+          ticks={ROWS.map((_, i) => i + 0.5)}
+          tickFormatter={(value) => WEEKDAYS[ROWS[Math.floor(value)]]}
+          stroke="#94a3b8"
+          style={{ fontSize: '12px' }}
+          width={40}
+        />
+        <Tooltip content={<HeatmapTooltip cells={cells} />} cursor={{ fill: 'transparent' }} />
+        {ROWS.map(dow => (
+          <Bar key={dow} dataKey={`d${dow}`} stackId="week" isAnimationActive={false}>
+            {HOURS.map(hour => {
+              const cell = cells[`${dow}:${hour}`];
+              return <Cell key={hour} fill={cell ? occupancyColor(cell.avgOccupancy) : NO_DATA} />;
+            })}
+          </Bar>
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default UtilisationHeatmap;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { subscribeToAlerts } from '../socket';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const RECENT_LIMIT = 20;
+
+const stateStyles = {
+  open: 'bg-red-500/20 text-red-300',
+  acknowledged: 'bg-yellow-500/20 text-yellow-300',
+  resolved: 'bg-slate-600/40 text-slate-300'
+};
+
+// Most recent alerts of one zone in any state, kept current from the
+// alert lifecycle events
+const ZoneAlertHistory = ({ zoneId }) => {
+  const [alerts, setAlerts] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchAlerts = async () => {
+      try {
+        const res = await axios.get(`${API_URL}/alerts`, { params: { zoneId, limit: RECENT_LIMIT } });
+        if (!cancelled && res.data.success) setAlerts(res.data.data);
+      } catch (error) {
+        console.error('Error fetching zone alerts:', error);
+      }
+    };
+
+    fetchAlerts();
+    const unsubscribe = subscribeToAlerts(({ alert }) => {
+      if (alert.zoneId !== zoneId) return;
+      setAlerts(prev => {
+        const existing = prev.find(a => a._id === alert._id);
+        const next = existing
+          ? prev.map(a => (a._id === alert._id ? alert : a))
+          : [alert, ...prev];
+        return next.slice(0, RECENT_LIMIT);
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [zoneId]);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+      <h3 className="text-lg font-semibold mb-4">Recent Alerts</h3>
+      {alerts.length === 0 ? (
+        <p className="text-slate-400 text-sm">No alerts for this zone</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {alerts.map(alert => (
+            <div key={alert._id} className="flex justify-between items-start gap-3 border-b border-slate-700 pb-2">
+              <div>
+                <p className="text-sm">{alert.message}</p>
+                <p className="text-xs text-slate-400">
+                  {alert.ruleName} · {alert.severity} · {new Date(alert.openedAt).toLocaleString()}
+                  {alert.resolvedAt && ` · resolved ${new Date(alert.resolvedAt).toLocaleTimeString()}`}
+                </p>
+              </div>
+              <span className={`text-xs px-2 py-0.5 rounded-full capitalize whitespace-nowrap ${stateStyles[alert.state]}`}>
+                {alert.state}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ZoneAlertHistory;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getStatusColor, getStatusBg } from '../zoneStatus';
+
+// Zone summary card linking to the zone's detail page; flags an active
+// occupancy anomaly
+const ZoneCard = ({ zone, anomaly }) => {
+  return (
+    <Link
+      to={`/zones/${encodeURIComponent(zone.id)}`}
+      className={`block border rounded-xl p-5 transition-all duration-500 hover:scale-105 ${getStatusBg(zone.status)}`}
+    >
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h4 className="font-semibold text-lg">{zone.name}</h4>
+          <div className="flex items-center gap-2 mt-1">
+            <div className={`w-2 h-2 rounded-full ${getStatusColor(zone.status)}`}></div>
+            <span className="text-xs text-slate-400 capitalize">{zone.status}</span>
+          </div>
+        </div>
+        {anomaly ? (
+          <span title={anomaly.explanation} className="text-xs px-2 py-0.5 rounded-full bg-fuchsia-500/30 text-fuchsia-200">
+            Unusually {anomaly.direction === 'high' ? 'busy' : 'quiet'}
+          </span>
+        ) : (
+          <div className={`w-3 h-3 rounded-full ${getStatusColor(zone.status)}`}></div>
+        )}
+      </div>
+      
+      <div className="space-y-2">
+        <div className="flex justify-between text-sm">
+          <span className="text-slate-400">Population:</span>
+          <span className="font-semibold text-blue-400">{zone.population}</span>
+        </div>
+        <div className="flex justify-between text-sm">
+          <span className="text-slate-400">Density:</span>
+          <span className="font-semibold text-cyan-400">{zone.density}</span>
+        </div>
+        <div className="flex justify-between text-sm">
+          <span className="text-slate-400">Cluster:</span>
+          <span className="font-semibold text-purple-400">#{zone.cluster}</span>
+        </div>
+      </div>
+    </Link>
+  );
+};
+
+export default ZoneCard;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Selectable ranges and the history bucket used for each
+export const HISTORY_RANGES = [
+  { id: '1h', label: '1 hour', ms: 60 * 60 * 1000, bucket: '1m' },
+  { id: '6h', label: '6 hours', ms: 6 * 60 * 60 * 1000, bucket: '5m' },
+  { id: '24h', label: '24 hours', ms: 24 * 60 * 60 * 1000, bucket: '5m' },
+  { id: '7d', label: '7 days', ms: 7 * 24 * 60 * 60 * 1000, bucket: '1h' },
+  { id: '30d', label: '30 days', ms: 30 * 24 * 60 * 60 * 1000, bucket: '1d' }
+];
+
+const formatBucket = (timestamp, range) => {
+  const date = new Date(timestamp);
+  return range.ms > 24 * 60 * 60 * 1000
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric', hour: range.bucket === '1h' ? '2-digit' : undefined })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Average population with its min-max band over a selectable range
+const ZoneHistoryChart = ({ zoneId, height = 280 }) => {
+  const [rangeId, setRangeId] = useState('1h');
+  const [data, setData] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const range = HISTORY_RANGES.find(r => r.id === rangeId);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistory = async () => {
+      setLoading(true);
+      try {
+        const res = await axios.get(`${API_URL}/history/${encodeURIComponent(zoneId)}`, {
+          params: { from: new Date(Date.now() - range.ms).toISOString(), bucket: range.bucket, limit: 5000 }
+        });
+        if (!cancelled && res.data.success) {
+          setData(res.data.data.map(point => ({
+            time: formatBucket(point.timestamp, range),
+            population: Math.round(point.avgPopulation),
+            range: [point.minPopulation, point.maxPopulation]
+          })));
+        }
+      } catch (error) {
+        console.error('Error fetching zone history:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [zoneId, range]);
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-4">
+        {HISTORY_RANGES.map(r => (
+          <button
+            key={r.id}
+            onClick={() => setRangeId(r.id)}
+            className={`px-3 py-1 rounded-lg text-sm transition-colors ${r.id === rangeId ? 'bg-blue-600' : 'bg-slate-700 hover:bg-slate-600'}`}
+          >
+            {r.label}
+          </button>
+        ))}
+      </div>
+      {data.length === 0 ? (
+        <div className="flex items-center justify-center text-slate-400 text-sm" style={{ height }}>
+          {loading ? 'Loading history…' : 'No history for this range'}
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <XAxis dataKey="time" stroke="#94a3b8" style={{ fontSize: '12px' }} minTickGap={24} />
+            <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+              labelStyle={{ color: '#94a3b8' }}
+              formatter={(value, name) => (Array.isArray(value) ? [`${value[0]} – ${value[1]}`, name] : [value, name])}
+            />
+            <Legend />
+            <Area type="monotone" dataKey="range" name="min – max" stroke="none" fill="#3b82f6" fillOpacity={0.2} />
+            <Line type="monotone" dataKey="population" name="average" stroke="#3b82f6" strokeWidth={2} dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
+export default ZoneHistoryChart;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import axios from 'axios';
+import CapacityRecommendations from '../components/CapacityRecommendations';
+import StatusShareChart from '../components/StatusShareChart';
+import UtilisationHeatmap, { WEEKDAYS } from '../components/UtilisationHeatmap';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const DAY = 24 * 60 * 60 * 1000;
+const ANALYTICS_RANGES = [
+  { id: '7d', label: '7 days', ms: 7 * DAY },
+  { id: '28d', label: '28 days', ms: 28 * DAY },
+  { id: '90d', label: '90 days', ms: 90 * DAY }
+];
+
+const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// Capacity planning at /analytics: which zones are chronically under- or
+// over-used, when they peak and the capacity they should have
+const AnalyticsPage = () => {
+  const [rangeId, setRangeId] = useState('28d');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const range = ANALYTICS_RANGES.find(r => r.id === rangeId);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      try {
+        const res = await axios.get(`${API_URL}/analytics`, {
+          params: { from: new Date(Date.now() - range.ms).toISOString() }
+        });
+        if (!cancelled && res.data.success) setAnalytics(res.data.data);
+      } catch (error) {
+        console.error('Error fetching analytics:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [range]);
+
+  const zones = analytics ? analytics.zones : [];
+  const selected = zones.find(z => z.zoneId === selectedId) || zones[0];
+
+  return (
+    <>
+      <div className="flex justify-between items-center mb-6">
+        <div className="flex items-center gap-4">
+          <Link to="/" title="Back to the dashboard" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 transition-colors">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h2 className="text-2xl font-bold">Capacity Planning</h2>
+            <p className="text-slate-400 text-sm">
+              {analytics
+                ? `${new Date(analytics.from).toLocaleDateString()} – ${new Date(analytics.to).toLocaleDateString()} · hours in ${analytics.timezone} · target ${analytics.targetOccupancy}% in busy hours`
+                : 'Utilisation from stored zone history'}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {ANALYTICS_RANGES.map(r => (
+            <button
+              key={r.id}
+              onClick={() => setRangeId(r.id)}
+              className={`px-3 py-1 rounded-lg text-sm transition-colors ${r.id === rangeId ? 'bg-blue-600' : 'bg-slate-700 hover:bg-slate-600'}`}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!analytics ? (
+        <div className="text-center text-slate-400 py-20">{loading ? 'Loading analytics…' : 'Analytics unavailable'}</div>
+      ) : (
+        <>
+          <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6 mb-6">
+            <h3 className="text-lg font-semibold mb-4">Capacity Recommendations</h3>
+            <CapacityRecommendations zones={zones} selectedId={selected && selected.zoneId} onSelect={setSelectedId} />
+          </div>
+
+          <div className="grid grid-cols-2 gap-6 mb-8">
+            <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">Utilisation by Hour</h3>
+                {selected && (
+                  <select
+                    aria-label="Zone"
+                    value={selected.zoneId}
+                    onChange={(e) => setSelectedId(e.target.value)}
+                    className="bg-slate-700 border border-slate-600 rounded-lg px-3 py-1 text-sm"
+                  >
+                    {zones.map(zone => <option key={zone.zoneId} value={zone.zoneId}>{zone.zoneName}</option>)}
+                  </select>
+                )}
+              </div>
+              {selected && selected.heatmap.length > 0 ? (
+                <>
+                  <UtilisationHeatmap heatmap={selected.heatmap} />
+                  <div className="mt-4 text-sm">
+                    <span className="text-slate-400">Peak hours: </span>
+                    {selected.peakHours.map(peak => `${WEEKDAYS[peak.dow]} ${formatHour(peak.hour)} (${peak.avgOccupancy}%)`).join(', ')}
+                  </div>
+                </>
+              ) : (
+                <div className="h-[280px] flex items-center justify-center text-slate-400 text-sm">No history for this zone</div>
+              )}
+            </div>
+
+            <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+              <h3 className="text-lg font-semibold mb-4">Time per Status</h3>
+              <StatusShareChart zones={zones} />
+            </div>
+          </div>
+        </>
+      )}
+    </>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { LayoutGrid, Map as MapIcon } from 'lucide-react';
+import { hasRole } from '../auth';
+import { FORECAST_HOURS } from '../useLiveData';
+import AlertsPanel from '../components/AlertsPanel';
+import AnomaliesPanel from '../components/AnomaliesPanel';
+import CampusMap from '../components/CampusMap';
+import ExportMenu from '../components/ExportMenu';
+import FlowPanel from '../components/FlowPanel';
+import ForecastChart from '../components/ForecastChart';
+import PopulationTrendChart from '../components/PopulationTrendChart';
+import StatCards from '../components/StatCards';
+import ZoneCard from '../components/ZoneCard';
+
+// Campus overview: totals, trend and forecast, active alerts and every zone
+const DashboardPage = ({ user, live }) => {
+  const [zoneView, setZoneView] = useState('cards');
+  const navigate = useNavigate();
+
+  return (
+    <>
+      <StatCards summary={live.summary} />
+
+      {/* Charts */}
+      <div className="grid grid-cols-2 gap-6 mb-8">
+        <PopulationTrendChart trendData={live.trendData} />
+        <ForecastChart forecast={live.forecast} zones={live.zones} horizon={FORECAST_HOURS} />
+      </div>
+
+      {/* Alerts */}
+      <AlertsPanel
+        alerts={live.alerts}
+        muted={live.muted}
+        canManage={hasRole(user, 'operator')}
+        onToggleMute={live.toggleMuted}
+        onAcknowledge={(id) => live.handleAlertAction(id, 'acknowledge')}
+        onResolve={(id) => live.handleAlertAction(id, 'resolve')}
+      />
+
+      {/* Occupancy far from the usual pattern */}
+      <AnomaliesPanel />
+
+      {/* Entries, exits and movements between zones */}
+      <FlowPanel />
+
+      {/* Zones: cards or campus map */}
+      <div>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold">Zone-wise Population</h3>
+          <div className="flex items-center gap-3">
+            <ExportMenu zones={live.zones} />
+            <div className="flex bg-slate-800 border border-slate-700 rounded-lg p-1">
+              {[['cards', 'Cards', LayoutGrid], ['map', 'Map', MapIcon]].map(([view, label, Icon]) => (
+                <button
+                  key={view}
+                  onClick={() => setZoneView(view)}
+                  className={`flex items-center gap-2 px-3 py-1 rounded-md text-sm transition-colors ${zoneView === view ? 'bg-blue-600' : 'text-slate-400 hover:text-white'}`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        {zoneView === 'map' ? (
+          <CampusMap
+            zones={live.zones}
+            clusters={live.clusters}
+            canEdit={hasRole(user, 'admin')}
+            onSelectZone={(zone) => navigate(`/zones/${encodeURIComponent(zone.id)}`)}
+          />
+        ) : (
+          <div className="grid grid-cols-3 gap-4">
+            {live.zones.map(zone => (
+              <ZoneCard key={zone.id} zone={zone} anomaly={live.anomalies.find(a => a.zoneId === zone.id)} />
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default DashboardPage;
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import axios from 'axios';
+import { getStatusColor } from '../zoneStatus';
+import { FORECAST_HOURS } from '../useLiveData';
+import AnomaliesPanel from '../components/AnomaliesPanel';
+import ClusterBreakdown from '../components/ClusterBreakdown';
+import FlowPanel from '../components/FlowPanel';
+import ForecastChart from '../components/ForecastChart';
+import OccupancyGauge from '../components/OccupancyGauge';
+import ZoneAlertHistory from '../components/ZoneAlertHistory';
+import ZoneHistoryChart from '../components/ZoneHistoryChart';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const Detail = ({ label, children }) => (
+  <div className="flex justify-between text-sm">
+    <span className="text-slate-400">{label}</span>
+    <span className="font-semibold text-right">{children}</span>
+  </div>
+);
+
+// Drill-down for a single zone at /zones/:zoneId
+const ZonePage = ({ live }) => {
+  const { zoneId } = useParams();
+  const [definition, setDefinition] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const zone = live.zones.find(z => z.id === zoneId);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchDefinition = async () => {
+      setNotFound(false);
+      try {
+        const res = await axios.get(`${API_URL}/zone-definitions/${encodeURIComponent(zoneId)}`);
+        if (!cancelled && res.data.success) setDefinition(res.data.data);
+      } catch (error) {
+        if (cancelled) return;
+        if (error.response && error.response.status === 404) {
+          setNotFound(true);
+        } else {
+          console.error('Error fetching zone definition:', error);
+        }
+      }
+    };
+
+    fetchDefinition();
+    return () => {
+      cancelled = true;
+    };
+  }, [zoneId]);
+
+  if (notFound) {
+    return (
+      <div className="text-center py-20">
+        <h2 className="text-2xl font-semibold mb-2">Zone "{zoneId}" not found</h2>
+        <Link to="/" className="text-blue-400 hover:underline">Back to the dashboard</Link>
+      </div>
+    );
+  }
+
+  const name = (zone && zone.name) || (definition && definition.name) || zoneId;
+  const capacity = (zone && zone.capacity) || (definition && definition.capacity) || 0;
+  const population = zone ? zone.population : 0;
+  // Status levels this zone overrides from its threshold profile
+  const overrides = ['moderate', 'overcrowded', 'critical']
+    .filter(level => definition && definition.thresholds && Number.isFinite(definition.thresholds[level]))
+    .map(level => [level, definition.thresholds[level]]);
+
+  return (
+    <>
+      <div className="flex items-center gap-4 mb-6">
+        <Link to="/" title="Back to the dashboard" className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-700 transition-colors">
+          <ArrowLeft className="w-5 h-5" />
+        </Link>
+        <div>
+          <h2 className="text-2xl font-bold">{name}</h2>
+          {definition && (definition.building || definition.floor !== undefined) && (
+            <p className="text-slate-400 text-sm">
+              {[definition.building, definition.floor !== undefined && `Floor ${definition.floor}`].filter(Boolean).join(' · ')}
+            </p>
+          )}
+        </div>
+        {zone && (
+          <div className="flex items-center gap-2 ml-2">
+            <div className={`w-3 h-3 rounded-full ${getStatusColor(zone.status)}`}></div>
+            <span className="text-sm capitalize">{zone.status}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-6 mb-6">
+        <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Live Occupancy</h3>
+          {zone ? (
+            <OccupancyGauge population={population} capacity={capacity} />
+          ) : (
+            <p className="text-slate-400 text-sm">Waiting for the first reading…</p>
+          )}
+        </div>
+
+        <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Capacity</h3>
+          <div className="space-y-2">
+            <Detail label="Capacity">{capacity.toLocaleString()}</Detail>
+            <Detail label="Current population">{population.toLocaleString()}</Detail>
+            <Detail label="Free places">{Math.max(0, capacity - population).toLocaleString()}</Detail>
+            {zone && <Detail label="Devices">{(zone.deviceCount || 0).toLocaleString()}</Detail>}
+            {zone && <Detail label="Density">{zone.density}</Detail>}
+            {definition && <Detail label="Threshold profile"><span className="capitalize">{definition.thresholdProfile}</span></Detail>}
+            {overrides.map(([level, value]) => (
+              <Detail key={level} label={<span className="capitalize">{level} at</span>}>{value}%</Detail>
+            ))}
+            {definition && <Detail label="Access points">{(definition.accessPoints || []).length}</Detail>}
+          </div>
+        </div>
+
+        <ZoneAlertHistory zoneId={zoneId} />
+      </div>
+
+      <div className="grid grid-cols-2 gap-6 mb-6">
+        <div className="bg-slate-800/50 backdrop-blur border border-slate-700 rounded-xl p-6">
+          <h3 className="text-lg font-semibold mb-4">History</h3>
+          <ZoneHistoryChart zoneId={zoneId} />
+        </div>
+        <ForecastChart forecast={live.forecast} zones={live.zones} horizon={FORECAST_HOURS} zone={zoneId} />
+      </div>
+
+      <AnomaliesPanel zoneId={zoneId} />
+
+      <FlowPanel zoneId={zoneId} />
+
+      <ClusterBreakdown clusters={live.clusters} zoneId={zoneId} />
+    </>
+  );
+};
+
+export default ZonePage;
@@ -1,57 +1,313 @@
 import { io } from 'socket.io-client';
+import { getToken, logout } from './auth';
 
 // Backend server URL
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
 
-// Create socket instance
+// Create socket instance; it connects once the user has signed in, sending
+// the current token with every (re)connection handshake. It keeps trying to
+// reconnect for as long as the dashboard is open.
 const socket = io(SOCKET_URL, {
+  autoConnect: false,
+  auth: (cb) => cb({ token: getToken() }),
   reconnection: true,
   reconnectionDelay: 1000,
   reconnectionDelayMax: 5000,
-  reconnectionAttempts: 5
+  reconnectionAttempts: Infinity
 });
 
+// Connection state for the stale-data banner
+let lastUpdateAt = null;
+let reconnectAttempt = 0;
+const connectionListeners = new Set();
+
+export const getConnectionState = () => ({
+  connected: socket.connected,
+  lastUpdateAt,
+  reconnectAttempt
+});
+
+const notifyConnectionListeners = () => {
+  const state = getConnectionState();
+  connectionListeners.forEach(listener => listener(state));
+};
+
 // Connection event handlers
 socket.on('connect', () => {
   console.log('✅ Connected to Socket.IO server');
+  reconnectAttempt = 0;
+  notifyConnectionListeners();
+  // Rooms don't survive a reconnect, so subscribe again
+  syncZoneSubscription();
 });
 
 socket.on('disconnect', (reason) => {
   console.log('❌ Disconnected from server:', reason);
+  notifyConnectionListeners();
+  // The server drops the replay session with the connection
+  if (replayState.active) setReplayState({ active: false });
 });
 
 socket.on('connect_error', (error) => {
   console.error('🔴 Connection error:', error);
+  if (error.message === 'Authentication required') {
+    logout();
+  }
 });
 
-socket.on('reconnect', (attemptNumber) => {
+// Reconnection events are emitted by the underlying manager
+socket.io.on('reconnect', (attemptNumber) => {
   console.log(`🔄 Reconnected after ${attemptNumber} attempts`);
 });
 
-socket.on('reconnect_attempt', (attemptNumber) => {
+socket.io.on('reconnect_attempt', (attemptNumber) => {
   console.log(`🔄 Reconnection attempt ${attemptNumber}`);
+  reconnectAttempt = attemptNumber;
+  notifyConnectionListeners();
 });
 
-socket.on('reconnect_error', (error) => {
+socket.io.on('reconnect_error', (error) => {
   console.error('🔴 Reconnection error:', error);
 });
 
-socket.on('reconnect_failed', () => {
-  console.error('🔴 Failed to reconnect to server');
+export const connectSocket = () => {
+  socket.connect();
+};
+
+export const disconnectSocket = () => {
+  socket.disconnect();
+};
+
+// Zone updates arrive as sequence-numbered deltas for the zones this client
+// subscribed to; the full zone state is rebuilt here from a snapshot plus
+// the deltas, and a new snapshot is requested when a sequence gap shows up.
+// After a reconnect the server replays the deltas missed in the meantime.
+const zoneSubscribers = new Map();
+const zoneState = new Map();
+let epoch = null;
+let lastSeq = null;
+let subscribedKey = null;
+let awaitingSnapshot = false;
+let replayState = { active: false };
+
+const isAllZones = (filter) =>
+  (!filter.zoneIds || filter.zoneIds.length === 0) && (!filter.buildings || filter.buildings.length === 0);
+
+const matchesFilter = (filter, zone) =>
+  isAllZones(filter) ||
+  (filter.zoneIds || []).includes(zone.zoneId) ||
+  (filter.buildings || []).includes(zone.building);
+
+// Union of every subscriber's filter; {} means all zones
+const combinedFilter = () => {
+  const filters = Array.from(zoneSubscribers.values());
+  if (filters.some(isAllZones)) return {};
+  return {
+    zoneIds: filters.flatMap(f => f.zoneIds || []),
+    buildings: filters.flatMap(f => f.buildings || [])
+  };
+};
+
+const deliverZones = (zones, meta) => {
+  zoneSubscribers.forEach((filter, callback) => {
+    callback(zones.filter(zone => matchesFilter(filter, zone)), meta);
+  });
+};
+
+// Live updates keep the zone state current during a replay, but only the
+// replayed frames reach subscribers until it stops
+const notifyZoneSubscribers = (meta) => {
+  lastUpdateAt = meta.timestamp;
+  notifyConnectionListeners();
+
+  if (replayState.active) return;
+  deliverZones(Array.from(zoneState.values()), meta);
+};
+
+const applySnapshot = (snapshot) => {
+  awaitingSnapshot = false;
+  epoch = snapshot.epoch;
+  zoneState.clear();
+  snapshot.zones.forEach(zone => zoneState.set(zone.zoneId, zone));
+  lastSeq = snapshot.seq;
+  notifyZoneSubscribers({
+    seq: snapshot.seq,
+    timestamp: snapshot.timestamp ? new Date(snapshot.timestamp) : new Date(),
+    snapshot: true
+  });
+};
+
+const applyDelta = (delta, replayed) => {
+  delta.changes.forEach(change => {
+    zoneState.set(change.zoneId, { ...zoneState.get(change.zoneId), ...change });
+  });
+  delta.removed.forEach(zoneId => zoneState.delete(zoneId));
+  lastSeq = delta.seq;
+  notifyZoneSubscribers({ seq: delta.seq, timestamp: new Date(delta.timestamp), replayed });
+};
+
+// The subscribe acknowledgement is either a snapshot or the missed deltas
+const applySubscription = (result) => {
+  if (!result.deltas) {
+    applySnapshot(result);
+    return;
+  }
+
+  awaitingSnapshot = false;
+  if (result.deltas.length > 0) {
+    console.log(`🔁 Replaying ${result.deltas.length} missed zone updates`);
+  }
+  result.deltas.forEach(delta => applyDelta(delta, true));
+};
+
+const requestSnapshot = () => {
+  awaitingSnapshot = true;
+  socket.emit('requestSnapshot', applySnapshot);
+};
+
+function syncZoneSubscription() {
+  if (!socket.connected) return;
+
+  if (zoneSubscribers.size === 0) {
+    subscribedKey = null;
+    socket.emit('unsubscribe');
+    return;
+  }
+
+  // Resubscribing to the same zones after a reconnect: only ask for what
+  // was missed. A changed filter needs a fresh snapshot.
+  const filter = combinedFilter();
+  const key = JSON.stringify(filter);
+  const resume = key === subscribedKey && lastSeq !== null ? { epoch, lastSeq } : {};
+  subscribedKey = key;
+
+  awaitingSnapshot = true;
+  socket.emit('subscribe', { ...filter, ...resume }, applySubscription);
+}
+
+socket.on('zoneDelta', (delta) => {
+  if (awaitingSnapshot || lastSeq === null || delta.seq <= lastSeq) return;
+
+  if (delta.seq !== lastSeq + 1) {
+    console.warn(`⚠️ Missed zone updates ${lastSeq + 1}-${delta.seq - 1}, requesting snapshot`);
+    requestSnapshot();
+    return;
+  }
+
+  applyDelta(delta, false);
 });
 
 // Custom event listeners
-export const subscribeToZoneUpdates = (callback) => {
-  socket.on('zoneUpdate', callback);
-  return () => socket.off('zoneUpdate', callback);
+
+// callback(zones, meta) with the current state of every matching zone after
+// each update. meta: { seq, timestamp, replayed, snapshot }. filter:
+// { zoneIds: [...], buildings: [...] }; omit for all zones.
+export const subscribeToZoneUpdates = (callback, filter = {}) => {
+  zoneSubscribers.set(callback, filter);
+  syncZoneSubscription();
+  return () => {
+    zoneSubscribers.delete(callback);
+    syncZoneSubscription();
+  };
 };
 
-export const requestManualUpdate = () => {
-  socket.emit('requestUpdate');
+// callback({ connected, lastUpdateAt, reconnectAttempt }) on every change
+export const subscribeToConnectionState = (callback) => {
+  connectionListeners.add(callback);
+  callback(getConnectionState());
+  return () => {
+    connectionListeners.delete(callback);
+  };
+};
+
+// DBSCAN hotspots detected in the latest update cycle
+export const subscribeToClusterUpdates = (callback) => {
+  socket.on('clusterUpdate', callback);
+  return () => socket.off('clusterUpdate', callback);
+};
+
+export const subscribeToZoneDefinitions = (callback) => {
+  socket.on('zoneDefinitionsUpdate', callback);
+  return () => socket.off('zoneDefinitionsUpdate', callback);
+};
+
+// Alert lifecycle events: callback({ action, alert }) where action is
+// opened | escalated | acknowledged | resolved
+export const subscribeToAlerts = (callback) => {
+  socket.on('alert', callback);
+  return () => socket.off('alert', callback);
+};
+
+// Occupancy anomalies: callback({ action, anomaly }) where action is
+// started | updated | ended
+export const subscribeToAnomalies = (callback) => {
+  socket.on('anomaly', callback);
+  return () => socket.off('anomaly', callback);
 };
 
-export const getConnectionStatus = () => {
-  return socket.connected;
+// Historical replay: the server streams stored zone readings as
+// `replayFrame`s, which are delivered to zone subscribers like live updates
+// (meta.replay is true) until the replay stops. Each control function
+// resolves with the new replay state or rejects with the server's error.
+const replayListeners = new Set();
+
+function setReplayState(state) {
+  const wasActive = replayState.active;
+  replayState = state;
+  replayListeners.forEach(listener => listener(replayState));
+
+  // Back to live: show the current state again
+  if (wasActive && !state.active && lastSeq !== null) {
+    deliverZones(Array.from(zoneState.values()), { seq: lastSeq, timestamp: lastUpdateAt || new Date(), snapshot: true });
+  }
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const parseReplayState = (state) => (state.active
+  ? { ...state, from: toDate(state.from), to: toDate(state.to), position: toDate(state.position), frameAt: toDate(state.frameAt) }
+  : state);
+
+socket.on('replayState', (state) => setReplayState(parseReplayState(state)));
+
+socket.on('replayFrame', (frame) => {
+  if (!replayState.active) return;
+  const timestamp = new Date(frame.timestamp);
+  replayState = { ...replayState, frameAt: timestamp, position: new Date(frame.position) };
+  replayListeners.forEach(listener => listener(replayState));
+  deliverZones(frame.zones, { seq: null, timestamp, replay: true });
+});
+
+const replayRequest = (event, ...args) => new Promise((resolve, reject) => {
+  socket.emit(event, ...args, (result) => {
+    if (result.success) {
+      resolve(parseReplayState(result.state));
+    } else {
+      reject(new Error(result.error));
+    }
+  });
+});
+
+// { from, to, speed } - to defaults to now, speed to 1 (max 60)
+export const startReplay = (options) => replayRequest('replay:start', options);
+export const playReplay = () => replayRequest('replay:play');
+export const pauseReplay = () => replayRequest('replay:pause');
+export const setReplaySpeed = (speed) => replayRequest('replay:speed', speed);
+export const seekReplay = (timestamp) => replayRequest('replay:seek', timestamp);
+export const stopReplay = () => replayRequest('replay:stop');
+
+// callback({ active, playing, ended, speed, from, to, position, frameAt })
+// on every replay change
+export const subscribeToReplayState = (callback) => {
+  replayListeners.add(callback);
+  callback(replayState);
+  return () => {
+    replayListeners.delete(callback);
+  };
+};
+
+export const requestManualUpdate = () => {
+  requestSnapshot();
 };
 
 export default socket;
\ No newline at end of file
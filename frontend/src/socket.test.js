@@ -0,0 +1,251 @@
+jest.mock('axios', () => ({
+  post: jest.fn(),
+  defaults: { headers: { common: {} } },
+  interceptors: { response: { use: jest.fn() } }
+}));
+
+// Fake client socket: records what is emitted (acks included) and lets a
+// test play the server's side with trigger()
+jest.mock('socket.io-client', () => {
+  const createEmitter = () => {
+    const handlers = {};
+    return {
+      on(event, handler) {
+        (handlers[event] = handlers[event] || []).push(handler);
+      },
+      off(event, handler) {
+        handlers[event] = (handlers[event] || []).filter(h => h !== handler);
+      },
+      trigger(event, ...args) {
+        (handlers[event] || []).slice().forEach(handler => handler(...args));
+      }
+    };
+  };
+
+  return {
+    io: () => {
+      const socket = {
+        ...createEmitter(),
+        io: createEmitter(),
+        connected: false,
+        sent: [],
+        emit(event, ...args) {
+          socket.sent.push([event, ...args]);
+        },
+        connect() {
+          socket.connected = true;
+          socket.trigger('connect');
+        },
+        disconnect() {
+          socket.connected = false;
+          socket.trigger('disconnect', 'io client disconnect');
+        }
+      };
+      return socket;
+    }
+  };
+});
+
+const SESSION_KEY = 'crowd-management-session';
+const T0 = '2024-03-06T12:00:00.000Z';
+
+let client;
+let socket;
+
+const zone = (zoneId, population, extra = {}) => ({ zoneId, zoneName: zoneId, population, status: 'normal', ...extra });
+
+// Last message the client emitted for `event`, as [event, ...args]
+const lastSent = (event) => socket.sent.filter(([name]) => name === event).pop();
+
+// Answer the pending subscribe request with `result`
+const ackSubscribe = (result) => {
+  const [, , ack] = lastSent('subscribe');
+  ack(result);
+};
+
+// The socket module keeps connection-wide state, so each test gets a fresh copy
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  localStorage.clear();
+  jest.resetModules();
+  client = require('./socket');
+  socket = client.default;
+});
+
+describe('zone subscriptions', () => {
+  test('subscribes once connected and delivers the snapshot', () => {
+    const callback = jest.fn();
+    client.subscribeToZoneUpdates(callback);
+    expect(lastSent('subscribe')).toBeUndefined();
+
+    client.connectSocket();
+    expect(lastSent('subscribe')[1]).toEqual({});
+
+    ackSubscribe({ epoch: 'e1', seq: 3, timestamp: T0, zones: [zone('A', 10), zone('B', 20)] });
+    expect(callback).toHaveBeenCalledWith(
+      [zone('A', 10), zone('B', 20)],
+      { seq: 3, timestamp: new Date(T0), snapshot: true }
+    );
+    expect(client.getConnectionState()).toEqual({ connected: true, lastUpdateAt: new Date(T0), reconnectAttempt: 0 });
+  });
+
+  test('applies deltas on top of the snapshot', () => {
+    const callback = jest.fn();
+    client.subscribeToZoneUpdates(callback);
+    client.connectSocket();
+    ackSubscribe({ epoch: 'e1', seq: 3, timestamp: T0, zones: [zone('A', 10), zone('B', 20)] });
+
+    socket.trigger('zoneDelta', { seq: 4, timestamp: T0, changes: [{ zoneId: 'A', population: 12 }], removed: ['B'] });
+
+    expect(callback).toHaveBeenLastCalledWith(
+      [zone('A', 12)],
+      { seq: 4, timestamp: new Date(T0), replayed: false }
+    );
+  });
+
+  test('asks the server only for the zones subscribed to and filters per subscriber', () => {
+    const library = jest.fn();
+    const building = jest.fn();
+    client.connectSocket();
+    client.subscribeToZoneUpdates(library, { zoneIds: ['Library'] });
+    client.subscribeToZoneUpdates(building, { buildings: ['North'] });
+
+    expect(lastSent('subscribe')[1]).toEqual({ zoneIds: ['Library'], buildings: ['North'] });
+
+    ackSubscribe({
+      epoch: 'e1',
+      seq: 1,
+      timestamp: T0,
+      zones: [zone('Library', 5), zone('Gazebo', 7, { building: 'North' })]
+    });
+    expect(library).toHaveBeenLastCalledWith([zone('Library', 5)], expect.anything());
+    expect(building).toHaveBeenLastCalledWith([zone('Gazebo', 7, { building: 'North' })], expect.anything());
+  });
+
+  test('requests a snapshot after a sequence gap and ignores deltas until it arrives', () => {
+    const callback = jest.fn();
+    client.subscribeToZoneUpdates(callback);
+    client.connectSocket();
+    ackSubscribe({ epoch: 'e1', seq: 3, timestamp: T0, zones: [zone('A', 10)] });
+    callback.mockClear();
+
+    socket.trigger('zoneDelta', { seq: 6, timestamp: T0, changes: [{ zoneId: 'A', population: 30 }], removed: [] });
+    socket.trigger('zoneDelta', { seq: 7, timestamp: T0, changes: [{ zoneId: 'A', population: 31 }], removed: [] });
+    expect(callback).not.toHaveBeenCalled();
+
+    const [, ack] = lastSent('requestSnapshot');
+    ack({ epoch: 'e1', seq: 7, timestamp: T0, zones: [zone('A', 31)] });
+    expect(callback).toHaveBeenCalledWith([zone('A', 31)], expect.objectContaining({ seq: 7, snapshot: true }));
+  });
+
+  test('resumes from the last sequence number after a reconnect', () => {
+    const callback = jest.fn();
+    client.subscribeToZoneUpdates(callback);
+    client.connectSocket();
+    ackSubscribe({ epoch: 'e1', seq: 3, timestamp: T0, zones: [zone('A', 10)] });
+
+    socket.disconnect();
+    socket.connect();
+    expect(lastSent('subscribe')[1]).toEqual({ epoch: 'e1', lastSeq: 3 });
+
+    ackSubscribe({ deltas: [{ seq: 4, timestamp: T0, changes: [{ zoneId: 'A', population: 11 }], removed: [] }] });
+    expect(callback).toHaveBeenLastCalledWith([zone('A', 11)], { seq: 4, timestamp: new Date(T0), replayed: true });
+  });
+
+  test('unsubscribes when the last subscriber leaves', () => {
+    client.connectSocket();
+    const unsubscribe = client.subscribeToZoneUpdates(jest.fn());
+    unsubscribe();
+
+    expect(lastSent('unsubscribe')).toEqual(['unsubscribe']);
+  });
+});
+
+describe('connection state', () => {
+  test('reports reconnect attempts to listeners', () => {
+    const listener = jest.fn();
+    client.subscribeToConnectionState(listener);
+    expect(listener).toHaveBeenLastCalledWith({ connected: false, lastUpdateAt: null, reconnectAttempt: 0 });
+
+    socket.io.trigger('reconnect_attempt', 2);
+    expect(listener).toHaveBeenLastCalledWith({ connected: false, lastUpdateAt: null, reconnectAttempt: 2 });
+
+    client.connectSocket();
+    expect(listener).toHaveBeenLastCalledWith({ connected: true, lastUpdateAt: null, reconnectAttempt: 0 });
+  });
+
+  test('signs out when the server rejects the token', () => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify({ token: 'expired', user: { username: 'ops', role: 'viewer' } }));
+    jest.resetModules();
+    client = require('./socket');
+    socket = client.default;
+    const auth = require('./auth');
+    expect(auth.getUser()).not.toBeNull();
+
+    socket.trigger('connect_error', new Error('Authentication required'));
+
+    expect(auth.getUser()).toBeNull();
+    expect(localStorage.getItem(SESSION_KEY)).toBeNull();
+  });
+});
+
+describe('replay', () => {
+  const REPLAY_STATE = {
+    active: true,
+    playing: true,
+    ended: false,
+    speed: 10,
+    from: '2024-03-06T11:00:00.000Z',
+    to: T0,
+    position: '2024-03-06T11:00:00.000Z',
+    frameAt: null
+  };
+
+  test('resolves control requests with the parsed state, or rejects with the server error', async () => {
+    const started = client.startReplay({ from: REPLAY_STATE.from, speed: 10 });
+    const [, options, ack] = lastSent('replay:start');
+    expect(options).toEqual({ from: REPLAY_STATE.from, speed: 10 });
+    ack({ success: true, state: REPLAY_STATE });
+
+    await expect(started).resolves.toEqual({
+      ...REPLAY_STATE,
+      from: new Date(REPLAY_STATE.from),
+      to: new Date(REPLAY_STATE.to),
+      position: new Date(REPLAY_STATE.position)
+    });
+
+    const paused = client.pauseReplay();
+    lastSent('replay:pause')[1]({ success: false, error: 'No replay in progress' });
+    await expect(paused).rejects.toThrow('No replay in progress');
+  });
+
+  test('delivers replayed frames instead of live updates until the replay stops', () => {
+    const callback = jest.fn();
+    const replayListener = jest.fn();
+    client.subscribeToZoneUpdates(callback);
+    client.subscribeToReplayState(replayListener);
+    client.connectSocket();
+    ackSubscribe({ epoch: 'e1', seq: 3, timestamp: T0, zones: [zone('A', 10)] });
+
+    socket.trigger('replayState', REPLAY_STATE);
+    expect(replayListener).toHaveBeenLastCalledWith(expect.objectContaining({ active: true, from: new Date(REPLAY_STATE.from) }));
+    callback.mockClear();
+
+    // Live deltas are applied but held back
+    socket.trigger('zoneDelta', { seq: 4, timestamp: T0, changes: [{ zoneId: 'A', population: 15 }], removed: [] });
+    expect(callback).not.toHaveBeenCalled();
+
+    socket.trigger('replayFrame', { timestamp: '2024-03-06T11:00:05.000Z', position: '2024-03-06T11:00:06.000Z', zones: [zone('A', 3)] });
+    expect(callback).toHaveBeenLastCalledWith(
+      [zone('A', 3)],
+      { seq: null, timestamp: new Date('2024-03-06T11:00:05.000Z'), replay: true }
+    );
+    expect(replayListener).toHaveBeenLastCalledWith(expect.objectContaining({ frameAt: new Date('2024-03-06T11:00:05.000Z') }));
+
+    // Back to live shows the state the live deltas built up meanwhile
+    socket.trigger('replayState', { active: false });
+    expect(callback).toHaveBeenLastCalledWith([zone('A', 15)], expect.objectContaining({ seq: 4, snapshot: true }));
+  });
+});
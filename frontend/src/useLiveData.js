@@ -0,0 +1,262 @@
+import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { connectSocket, disconnectSocket, subscribeToZoneUpdates, subscribeToZoneDefinitions, subscribeToClusterUpdates, subscribeToAlerts, subscribeToAnomalies, subscribeToConnectionState, subscribeToReplayState, requestManualUpdate, getConnectionState } from './socket';
+import { playAlertTone } from './components/AlertsPanel';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const FORECAST_HOURS = 6;
+const FORECAST_REFRESH_MS = 5 * 60 * 1000;
+const SUMMARY_REFRESH_MS = 60 * 1000;
+
+// /api/zones groups readings by zoneId (_id); socket updates carry zoneId
+const toZone = (z) => ({
+  id: z.zoneId || z._id,
+  name: z.zoneName,
+  population: z.population,
+  deviceCount: z.deviceCount,
+  density: z.density,
+  cluster: z.cluster,
+  capacity: z.capacity,
+  status: z.status
+});
+
+// Live dashboard state shared by every page: zones, summary, trend, alerts,
+// anomalies, clusters, forecast, connection and replay state. During a
+// replay, zones, trend and current totals show the replayed data. Opens the
+// Socket.IO connection for the signed-in user while mounted.
+const useLiveData = () => {
+  const [zones, setZones] = useState([]);
+  const [trendData, setTrendData] = useState([]);
+  const [forecast, setForecast] = useState({ total: [], zones: {} });
+  const [connection, setConnection] = useState(getConnectionState());
+  const [alerts, setAlerts] = useState([]);
+  const [anomalies, setAnomalies] = useState([]);
+  const [clusters, setClusters] = useState([]);
+  const [muted, setMuted] = useState(false);
+  const mutedRef = useRef(muted);
+  const [replay, setReplay] = useState({ active: false });
+  const replayingRef = useRef(false);
+  const [summary, setSummary] = useState({
+    totalPopulation: 0,
+    activeZones: 0,
+    totalZones: 0,
+    avgDensity: 0,
+    netFlowRate: null,
+    peakZone: null,
+    comparisons: {}
+  });
+
+  // Open the Socket.IO connection for the signed-in user
+  useEffect(() => {
+    connectSocket();
+    return () => disconnectSocket();
+  }, []);
+
+  // Fetch initial data
+  useEffect(() => {
+    fetchInitialData();
+  }, []);
+
+  const fetchInitialData = async () => {
+    try {
+      const [zonesRes, summaryRes, alertsRes, clustersRes, anomaliesRes] = await Promise.all([
+        axios.get(`${API_URL}/zones`),
+        axios.get(`${API_URL}/summary`),
+        axios.get(`${API_URL}/alerts`, { params: { state: 'open,acknowledged' } }),
+        axios.get(`${API_URL}/clusters`),
+        axios.get(`${API_URL}/anomalies`, { params: { state: 'active' } })
+      ]);
+
+      // Keep showing the replayed zones until the replay stops
+      if (zonesRes.data.success && !replayingRef.current) {
+        setZones(zonesRes.data.data.map(toZone));
+      }
+
+      if (summaryRes.data.success) {
+        updateSummary(summaryRes.data.summary);
+      }
+
+      if (alertsRes.data.success) {
+        setAlerts(alertsRes.data.data);
+      }
+
+      if (clustersRes.data.success) {
+        setClusters(clustersRes.data.data);
+      }
+
+      if (anomaliesRes.data.success) {
+        setAnomalies(anomaliesRes.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching initial data:', error);
+    }
+  };
+
+  // Subscribe to real-time updates via Socket.IO
+  useEffect(() => {
+    const unsubscribe = subscribeToZoneUpdates((data, meta) => {
+      console.log('📡 Received zone update:', data);
+      if (data.length === 0) return;
+
+      setZones(data.map(toZone));
+
+      // Entering or leaving a historical replay starts the trend afresh
+      const replaying = !!meta.replay;
+      const modeChanged = replaying !== replayingRef.current;
+      replayingRef.current = replaying;
+
+      // Update trend data (replayed updates after a reconnect fill the gap
+      // with their original timestamps)
+      const totalPop = data.reduce((sum, z) => sum + z.population, 0);
+      setTrendData(prev => {
+        const newData = modeChanged ? [] : [...prev];
+        if (newData.length >= 12) newData.shift();
+        newData.push({
+          time: meta.timestamp.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+          population: totalPop
+        });
+        return newData;
+      });
+
+      // Update summary
+      const activeZones = data.filter(z => z.population > 0).length;
+      const avgDensity = Math.floor(data.reduce((sum, z) => sum + z.density, 0) / data.length);
+
+      setSummary(prev => ({
+        ...prev,
+        totalPopulation: totalPop,
+        activeZones: activeZones,
+        avgDensity: avgDensity
+      }));
+    });
+
+    // Zones added, edited or removed in the zone registry
+    const unsubscribeDefinitions = subscribeToZoneDefinitions((definitions) => {
+      const ids = definitions.map(d => d.id);
+      setZones(prev => prev.filter(z => ids.includes(z.id)));
+      setSummary(prev => ({ ...prev, totalZones: definitions.length }));
+    });
+
+    const unsubscribeClusters = subscribeToClusterUpdates(setClusters);
+
+    // Alert lifecycle: keep open / acknowledged alerts, beep on new or escalated ones
+    const unsubscribeAlerts = subscribeToAlerts(({ action, alert }) => {
+      setAlerts(prev => {
+        const others = prev.filter(a => a._id !== alert._id);
+        return action === 'resolved' ? others : [alert, ...others];
+      });
+
+      if ((action === 'opened' || action === 'escalated') && !mutedRef.current) {
+        playAlertTone(alert.severity);
+      }
+    });
+
+    // Anomalies stay listed while active
+    const unsubscribeAnomalies = subscribeToAnomalies(({ action, anomaly }) => {
+      setAnomalies(prev => {
+        const others = prev.filter(a => a._id !== anomaly._id);
+        return action === 'ended' ? others : [anomaly, ...others];
+      });
+    });
+
+    // Connection status and age of the latest data
+    const unsubscribeConnection = subscribeToConnectionState(setConnection);
+
+    const unsubscribeReplay = subscribeToReplayState(setReplay);
+
+    return () => {
+      unsubscribe();
+      unsubscribeDefinitions();
+      unsubscribeClusters();
+      unsubscribeAlerts();
+      unsubscribeAnomalies();
+      unsubscribeConnection();
+      unsubscribeReplay();
+    };
+  }, []);
+
+  // Fetch forecast (campus-wide plus per zone) and keep it fresh
+  useEffect(() => {
+    const fetchForecast = async () => {
+      try {
+        const res = await axios.get(`${API_URL}/forecast`, { params: { horizon: FORECAST_HOURS } });
+        if (res.data.success) {
+          setForecast(res.data.data);
+        }
+      } catch (error) {
+        console.error('Error fetching forecast:', error);
+      }
+    };
+
+    fetchForecast();
+    const timer = setInterval(fetchForecast, FORECAST_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Comparisons, net flow and the peak zone come from stored history, so
+  // refresh them regularly; live updates only move the current totals
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        const res = await axios.get(`${API_URL}/summary`);
+        if (res.data.success) {
+          updateSummary(res.data.summary);
+        }
+      } catch (error) {
+        console.error('Error fetching summary:', error);
+      }
+    };
+
+    const timer = setInterval(fetchSummary, SUMMARY_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // During a replay the current totals come from the replayed zones
+  const updateSummary = (data) => {
+    setSummary(prev => ({
+      totalPopulation: replayingRef.current ? prev.totalPopulation : data.totalPopulation,
+      activeZones: replayingRef.current ? prev.activeZones : data.activeZones,
+      totalZones: data.totalZones,
+      avgDensity: replayingRef.current ? prev.avgDensity : data.avgDensity,
+      netFlowRate: data.netFlowRate,
+      flowWindowMinutes: data.flowWindowMinutes,
+      peakZone: data.peakZone,
+      comparisons: data.comparisons || {}
+    }));
+  };
+
+  useEffect(() => {
+    mutedRef.current = muted;
+  }, [muted]);
+
+  const handleAlertAction = async (alertId, action) => {
+    try {
+      await axios.post(`${API_URL}/alerts/${alertId}/${action}`);
+    } catch (error) {
+      console.error(`Error trying to ${action} alert:`, error);
+    }
+  };
+
+  const refresh = () => {
+    requestManualUpdate();
+    fetchInitialData();
+  };
+
+  return {
+    zones,
+    trendData,
+    forecast,
+    connection,
+    alerts,
+    anomalies,
+    clusters,
+    summary,
+    replay,
+    muted,
+    toggleMuted: () => setMuted(m => !m),
+    handleAlertAction,
+    refresh
+  };
+};
+
+export default useLiveData;
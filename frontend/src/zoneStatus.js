@@ -0,0 +1,34 @@
+// Colours shared by the zone cards, the campus map and the zone page
+
+export const getStatusColor = (status) => {
+  switch(status) {
+    case 'critical': return 'bg-fuchsia-600 animate-pulse';
+    case 'overcrowded': return 'bg-red-500';
+    case 'moderate': return 'bg-yellow-500';
+    default: return 'bg-emerald-500';
+  }
+};
+
+export const getStatusBg = (status) => {
+  switch(status) {
+    case 'critical': return 'bg-fuchsia-600/20 border-fuchsia-500/60';
+    case 'overcrowded': return 'bg-red-500/10 border-red-500/30';
+    case 'moderate': return 'bg-yellow-500/10 border-yellow-500/30';
+    default: return 'bg-emerald-500/10 border-emerald-500/30';
+  }
+};
+
+// Green through yellow to red as a zone fills up, fuchsia once over capacity
+export const occupancyColor = (percentage) => {
+  if (percentage > 100) return 'hsl(292, 84%, 55%)';
+  const hue = 140 - Math.min(100, Math.max(0, percentage)) * 1.4;
+  return `hsl(${hue}, 75%, 50%)`;
+};
+
+// Status colours for charts, matching the badges above
+export const STATUS_CHART_COLORS = {
+  normal: '#10b981',
+  moderate: '#eab308',
+  overcrowded: '#ef4444',
+  critical: '#c026d3'
+};
@@ -45,8 +45,9 @@ PORT=5000
 NODE_ENV=development
 CORS_ORIGIN=http://localhost:3000
 SOCKET_UPDATE_INTERVAL=5000
-DBSCAN_EPSILON=30
-DBSCAN_MIN_POINTS=2
+DBSCAN_EPSILON=8
+DBSCAN_MIN_POINTS=5
+JWT_SECRET=$(node -e "console.log(require('crypto').randomBytes(32).toString('hex'))")
 EOF
     echo -e "${GREEN}✅ Backend .env created${NC}"
 fi